@@ -0,0 +1,58 @@
+const { verifyToken, setCorsHeaders } = require('./lib/auth');
+const { readActiveObjects } = require('./lib/trash');
+const { resolvePatient, belongsToPatient } = require('./lib/patients');
+const { ARCHES } = require('./lib/settings');
+const { loadScheduleSettings } = require('./lib/holds');
+const { isValidTimeZone, getLocalParts } = require('./lib/time');
+const { computeAdherence } = require('../shared/schedule');
+
+module.exports = async (req, res) => {
+    setCorsHeaders(res, 'GET, OPTIONS');
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        await verifyToken(req);
+
+        const scope = await resolvePatient(req);
+        if (!scope) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        // "Today" is the family's day, so a turn due tonight is not counted missed yet
+        const timezone = req.query.timezone || 'UTC';
+        if (!isValidTimeZone(timezone)) {
+            return res.status(400).json({ error: 'timezone must be an IANA timezone name' });
+        }
+        const today = getLocalParts(new Date(), timezone).date;
+
+        const [settings, turnRows] = await Promise.all([
+            loadScheduleSettings(scope),
+            readActiveObjects('turns')
+        ]);
+        const turns = turnRows.filter((row) => belongsToPatient(row, scope));
+
+        const arches = {};
+        ARCHES.forEach((arch) => {
+            arches[arch] = computeAdherence(settings, turns, arch, today);
+        });
+
+        return res.status(200).json({
+            patientId: scope.patient.id,
+            childName: settings.childName,
+            today,
+            arches
+        });
+    } catch (error) {
+        if (error.message === 'No token provided' || error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        console.error('Adherence API error:', error);
+        return res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+};
@@ -0,0 +1,120 @@
+const { verifyToken, can, setCorsHeaders } = require('./lib/auth');
+const { readObjects, appendObjects } = require('./lib/storage');
+const { resolvePatient, belongsToPatient } = require('./lib/patients');
+const { toAuditResponse, recordAudit } = require('./lib/audit');
+const { TRASH_TABS, isDeleted, isSameArchive, restoreFromTrash } = require('./lib/trash');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// Entries about this patient, plus ones that belong to no patient (e.g. reminder devices)
+function inScope(row, scope) {
+    return !row.patient_id || row.patient_id === scope.patient.id;
+}
+
+// Whether a reset (not since undone) or a new cycle has put this patient's turns away after `timestamp`
+async function isPutAwaySince(scope, timestamp) {
+    const [archiveRows, cycleRows] = await Promise.all([readObjects('archives'), readObjects('cycles')]);
+    return [...archiveRows.filter((row) => !row.restored_at), ...cycleRows].some(
+        (row) => belongsToPatient(row, scope) && row.created_at > timestamp
+    );
+}
+
+module.exports = async (req, res) => {
+    setCorsHeaders(res, 'GET, POST, OPTIONS');
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        const user = await verifyToken(req);
+        if (!can(user, 'view_activity')) {
+            return res.status(403).json({ error: 'Your role cannot see the activity log' });
+        }
+
+        const scope = await resolvePatient(req);
+        if (!scope) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        if (req.method === 'GET') {
+            const { entity } = req.query;
+            const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+            const rows = (await readObjects('audit_log'))
+                .filter((row) => inScope(row, scope) && (!entity || row.entity === entity))
+                .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+
+            return res.status(200).json(rows.slice(0, limit).map(toAuditResponse));
+        }
+
+        // Restore: takes the row a logged delete removed out of the trash, or puts it back
+        // if it has since been purged
+        if (req.method === 'POST') {
+            const { auditId } = req.body || {};
+
+            if (!auditId) {
+                return res.status(400).json({ error: 'auditId is required' });
+            }
+
+            const entry = (await readObjects('audit_log')).find(
+                (row) => row.id === auditId && row.patient_id === scope.patient.id
+            );
+            if (!entry) {
+                return res.status(404).json({ error: 'Audit entry not found' });
+            }
+
+            const tab = TRASH_TABS[entry.entity];
+            const { before } = toAuditResponse(entry);
+            if (entry.action !== 'delete' || !tab || !before) {
+                return res.status(400).json({ error: 'Only deleted turns and treatment notes can be restored' });
+            }
+
+            const rows = await readObjects(tab);
+            const current = rows.find((row) => row.id === before.id);
+            if (current && !isDeleted(current)) {
+                return res.status(409).json({ error: 'This item has already been restored' });
+            }
+            if (tab === 'turns') {
+                // Still in the trash, it goes back to the reset or cycle that put it away; once
+                // purged it would come back live, so refuse if its turns have been put away since
+                const target = current || before;
+                if (!current && (await isPutAwaySince(scope, entry.created_at))) {
+                    return res.status(409).json({ error: 'The turns logged with this one have since been reset or closed into a cycle' });
+                }
+                const duplicate = rows.find(
+                    (row) => !isDeleted(row) && belongsToPatient(row, scope) && isSameArchive(row, target) &&
+                        row.date === target.date && row.arch === target.arch
+                );
+                if (duplicate) {
+                    return res.status(409).json({ error: 'A turn for this date and arch already exists' });
+                }
+            }
+
+            let restored;
+            if (current) {
+                restored = await restoreFromTrash(tab, current.id);
+            } else {
+                restored = { ...before, deleted_at: '', deleted_by: '' };
+                await appendObjects(tab, [restored]);
+            }
+            await recordAudit(user, {
+                action: 'restore',
+                entity: entry.entity,
+                patientId: scope.patient.id,
+                before: current || null,
+                after: restored
+            });
+
+            return res.status(201).json(restored);
+        }
+
+        return res.status(405).json({ error: 'Method not allowed' });
+    } catch (error) {
+        if (error.message === 'No token provided' || error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        console.error('Audit API error:', error);
+        return res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+};
@@ -0,0 +1,83 @@
+const { verifyToken, can, setCorsHeaders } = require('./lib/auth');
+const { appendObjects, updateObject, generateId, nowIso } = require('./lib/storage');
+const { recordAudit } = require('./lib/audit');
+const { resolvePatient } = require('./lib/patients');
+const { isValidTimeZone } = require('./lib/time');
+const { FEED_DAYS, toFeedResponse, loadLiveFeeds } = require('./lib/calendar-feeds');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function revokeFeeds(user, scope, feeds) {
+    const timestamp = nowIso();
+    for (const feed of feeds) {
+        const updated = await updateObject('calendar_feeds', feed.id, { revoked_at: timestamp, updated_at: timestamp });
+        if (updated) {
+            await recordAudit(user, { action: 'revoke', entity: 'calendar_feed', patientId: scope.patient.id, before: feed, after: updated });
+        }
+    }
+}
+
+// GET returns the child's live feed, POST replaces it with a new link and DELETE turns it off.
+// The link works without a sign-in, so only roles that may share can see or change it.
+module.exports = async (req, res) => {
+    setCorsHeaders(res, 'GET, POST, DELETE, OPTIONS');
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        const user = await verifyToken(req);
+        if (!can(user, 'share')) {
+            return res.status(403).json({ error: 'Only owners can manage the calendar feed' });
+        }
+
+        const scope = await resolvePatient(req);
+        if (!scope) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        const feeds = await loadLiveFeeds(scope);
+
+        if (req.method === 'GET') {
+            return res.status(200).json(feeds.length > 0 ? toFeedResponse(req, feeds[feeds.length - 1]) : null);
+        }
+
+        if (req.method === 'POST') {
+            const timezone = req.body?.timezone || req.query.timezone || 'UTC';
+            if (!isValidTimeZone(timezone)) {
+                return res.status(400).json({ error: 'timezone must be an IANA timezone name' });
+            }
+
+            const timestamp = nowIso();
+            const newRow = {
+                id: generateId(),
+                patient_id: scope.patient.id,
+                timezone,
+                expires_at: new Date(Date.now() + FEED_DAYS * DAY_MS).toISOString(),
+                revoked_at: '',
+                created_by: user.displayName || user.userId,
+                created_at: timestamp,
+                updated_at: timestamp
+            };
+
+            await appendObjects('calendar_feeds', [newRow]);
+            await recordAudit(user, { action: 'create', entity: 'calendar_feed', patientId: scope.patient.id, after: newRow });
+            await revokeFeeds(user, scope, feeds);
+
+            return res.status(201).json(toFeedResponse(req, newRow));
+        }
+
+        if (req.method === 'DELETE') {
+            await revokeFeeds(user, scope, feeds);
+            return res.status(200).json(null);
+        }
+
+        return res.status(405).json({ error: 'Method not allowed' });
+    } catch (error) {
+        if (error.message === 'No token provided' || error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        console.error('Calendar link error:', error);
+        return res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+};
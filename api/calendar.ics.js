@@ -0,0 +1,91 @@
+const { verifyTypedToken } = require('./lib/auth');
+const { readActiveObjects } = require('./lib/trash');
+const { resolvePatient, belongsToPatient } = require('./lib/patients');
+const { loadScheduleSettings } = require('./lib/holds');
+const { INSTALL_TURN, projectTurnDates } = require('../shared/schedule');
+const { getLocalParts } = require('./lib/time');
+const { buildCalendar } = require('./lib/ical');
+const { loadLiveFeeds } = require('./lib/calendar-feeds');
+
+const ARCH_LABELS = { top: 'Top', bottom: 'Bottom' };
+
+function isAppointment(row) {
+    return String(row.is_appointment || '').toLowerCase() === 'true';
+}
+
+function buildTurnEvents(settings, turns, patientId, today) {
+    return ['top', 'bottom'].flatMap((arch) => {
+        const total = arch === 'top' ? settings.topTotal : settings.bottomTotal;
+        const done = turns.filter((turn) => turn.arch === arch).length + INSTALL_TURN;
+
+        // UIDs follow the turn number so a rescheduled turn moves instead of duplicating
+        return projectTurnDates(settings, turns, arch, today).map((date, index) => {
+            const number = done + index + 1;
+            return {
+                uid: `${patientId}-${arch}-${number}@expander-tracker`,
+                date,
+                summary: `${settings.childName}: ${ARCH_LABELS[arch].toLowerCase()} turn ${number}/${total}`
+            };
+        });
+    });
+}
+
+function buildAppointmentEvents(settings, notes, patientId) {
+    return notes.filter(isAppointment).map((note) => ({
+        uid: `${patientId}-note-${note.id}@expander-tracker`,
+        date: note.date,
+        summary: `${settings.childName}: orthodontist appointment`,
+        description: note.note
+    }));
+}
+
+// Calendar apps can't send headers, so the feed is authorized by a `calendar` token
+// in the query string (issued by /api/calendar-link) naming a calendar_feeds row.
+module.exports = async (req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const link = verifyTypedToken(req.query.token, 'calendar');
+
+        const scope = await resolvePatient({ query: { patientId: link.patientId } });
+        if (!scope) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        // Revocation and the timezone are only known to the row
+        const feed = (await loadLiveFeeds(scope)).find((row) => row.id === link.feedId);
+        if (!feed) {
+            return res.status(401).json({ error: 'This calendar link has expired or been replaced' });
+        }
+
+        const [settings, turnRows, noteRows] = await Promise.all([
+            loadScheduleSettings(scope),
+            readActiveObjects('turns'),
+            readActiveObjects('treatment_notes')
+        ]);
+        const turns = turnRows.filter((row) => belongsToPatient(row, scope));
+        const notes = noteRows.filter((row) => belongsToPatient(row, scope));
+        const today = getLocalParts(new Date(), feed.timezone).date;
+
+        const calendar = buildCalendar({
+            name: `${settings.childName} expander`,
+            events: [
+                ...buildTurnEvents(settings, turns, scope.patient.id, today),
+                ...buildAppointmentEvents(settings, notes, scope.patient.id)
+            ]
+        });
+
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', 'inline; filename="expander.ics"');
+        res.setHeader('Cache-Control', 'private, max-age=900');
+        return res.status(200).send(calendar);
+    } catch (error) {
+        if (error.message === 'No token provided' || error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        console.error('Calendar feed error:', error);
+        return res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+};
@@ -0,0 +1,28 @@
+const { runReminders } = require('../lib/reminders');
+
+// Invoked by Vercel Cron (see vercel.json), which sends `Authorization: Bearer $CRON_SECRET`.
+function isAuthorizedCron(req) {
+    const secret = process.env.CRON_SECRET;
+    if (!secret || !secret.trim()) {
+        return false;
+    }
+    return req.headers.authorization === `Bearer ${secret.trim()}`;
+}
+
+module.exports = async (req, res) => {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!isAuthorizedCron(req)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+        const summary = await runReminders(new Date());
+        return res.status(200).json(summary);
+    } catch (error) {
+        console.error('Reminder job error:', error);
+        return res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+};
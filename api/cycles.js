@@ -0,0 +1,212 @@
+const { verifyToken, can, setCorsHeaders } = require('./lib/auth');
+const { readObjects, appendObjects, updateObject, updateObjects, generateId, nowIso } = require('./lib/storage');
+const { resolvePatient, belongsToPatient } = require('./lib/patients');
+const { recordAudit } = require('./lib/audit');
+const { toSettingsResponse } = require('./lib/settings');
+const { loadHolds } = require('./lib/holds');
+const { parseJson, toCycleResponse, getActiveStartDate, getActiveCycleName, loadCycles } = require('./lib/cycles');
+const { isDeleted, isActive } = require('./lib/trash');
+const { isValidDate } = require('./lib/turns');
+
+const MAX_NAME_LENGTH = 100;
+
+// Columns for one arch of the next cycle: same schedule, new install date. Phases pinned to
+// a date before the new start belong to the old course and are dropped.
+function toNextArchColumns(arch, schedule, startDate) {
+    const phases = schedule.phases.filter((phase) => !phase.startsOn || phase.startsOn >= startDate);
+    return {
+        [`${arch}_install_date`]: startDate,
+        [`${arch}_schedule_type`]: schedule.scheduleType,
+        [`${arch}_interval_days`]: String(schedule.intervalDays),
+        [`${arch}_phases`]: phases.length > 0 ? JSON.stringify(phases) : ''
+    };
+}
+
+module.exports = async (req, res) => {
+    setCorsHeaders(res, 'GET, POST, OPTIONS');
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        const user = await verifyToken(req);
+
+        const scope = await resolvePatient(req);
+        if (!scope) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        if (req.method === 'GET') {
+            const rows = await loadCycles(scope);
+            const cycleId = req.query.id;
+
+            // One finished cycle in full, for the read-only view
+            if (cycleId) {
+                const index = rows.findIndex((row) => row.id === cycleId);
+                if (index === -1) {
+                    return res.status(404).json({ error: 'Cycle not found' });
+                }
+                const row = rows[index];
+                const cycle = toCycleResponse(row, index + 1, scope.patient);
+
+                const [turnRows, noteRows] = await Promise.all([
+                    readObjects('turns'),
+                    readObjects('treatment_notes')
+                ]);
+                const turns = turnRows
+                    .filter((turn) => turn.archive_id === row.id && !isDeleted(turn) && belongsToPatient(turn, scope))
+                    .sort((a, b) => String(b.date).localeCompare(String(a.date)));
+                const notes = noteRows
+                    .filter((note) => !isDeleted(note) && belongsToPatient(note, scope))
+                    .filter((note) => (!cycle.startDate || note.date >= cycle.startDate) && note.date <= cycle.endDate)
+                    .sort((a, b) => String(b.date).localeCompare(String(a.date)));
+
+                return res.status(200).json({
+                    ...cycle,
+                    settings: {
+                        ...toSettingsResponse(parseJson(row.settings, null), scope.patient),
+                        holds: parseJson(row.holds, [])
+                    },
+                    turns,
+                    notes
+                });
+            }
+
+            const [settingsRows, turnRows] = await Promise.all([
+                readObjects('settings'),
+                readObjects('turns')
+            ]);
+            const settings = toSettingsResponse(settingsRows.find((row) => belongsToPatient(row, scope)), scope.patient);
+            const turns = turnRows.filter((row) => isActive(row) && belongsToPatient(row, scope));
+
+            return res.status(200).json({
+                active: {
+                    number: rows.length + 1,
+                    name: getActiveCycleName(settings, rows),
+                    startDate: getActiveStartDate(settings, turns)
+                },
+                cycles: rows.map((row, index) => toCycleResponse(row, index + 1, scope.patient)).reverse()
+            });
+        }
+
+        if (req.method === 'POST') {
+            if (!can(user, 'edit_settings')) {
+                return res.status(403).json({ error: 'Your role cannot start a treatment cycle' });
+            }
+
+            const { startDate, endDate, name } = req.body || {};
+
+            if (!isValidDate(startDate)) {
+                return res.status(400).json({ error: 'startDate must be in YYYY-MM-DD format' });
+            }
+            if (endDate !== undefined && endDate !== null && endDate !== '' && !isValidDate(endDate)) {
+                return res.status(400).json({ error: 'endDate must be in YYYY-MM-DD format' });
+            }
+            const nextName = (name || '').toString().trim();
+            if (nextName.length > MAX_NAME_LENGTH) {
+                return res.status(400).json({ error: `name must be ${MAX_NAME_LENGTH} characters or less` });
+            }
+
+            const [settingsRows, turnRows, holds, cycleRows] = await Promise.all([
+                readObjects('settings'),
+                readObjects('turns'),
+                loadHolds(scope),
+                loadCycles(scope)
+            ]);
+            // Never saved means the defaults were in effect
+            const existing = settingsRows.find((row) => belongsToPatient(row, scope)) || null;
+            const settings = toSettingsResponse(existing, scope.patient);
+            // Trashed turns close with the cycle too, so a later restore puts them back in it
+            const closing = turnRows.filter((row) => !row.archive_id && belongsToPatient(row, scope));
+            const turns = closing.filter(isActive);
+            const cycleStart = getActiveStartDate(settings, turns);
+            const lastTurnDate = turns.map((turn) => turn.date).sort().pop();
+            const cycleEnd = endDate || lastTurnDate || startDate;
+
+            if (cycleStart && cycleEnd < cycleStart) {
+                return res.status(400).json({ error: `endDate cannot be before the cycle started (${cycleStart})` });
+            }
+            if (lastTurnDate && cycleEnd < lastTurnDate) {
+                return res.status(400).json({ error: `endDate cannot be before the last turn (${lastTurnDate})` });
+            }
+            if (startDate < cycleEnd) {
+                return res.status(400).json({ error: `startDate cannot be before the previous cycle ends (${cycleEnd})` });
+            }
+
+            const number = cycleRows.length + 1;
+            const timestamp = nowIso();
+
+            const cycle = {
+                id: generateId(),
+                user_id: user.userId,
+                patient_id: scope.patient.id,
+                name: getActiveCycleName(settings, cycleRows),
+                start_date: cycleStart || '',
+                end_date: cycleEnd,
+                settings: existing ? JSON.stringify(existing) : '',
+                holds: JSON.stringify(holds.filter(
+                    (hold) => hold.startDate <= cycleEnd && (!cycleStart || hold.endDate >= cycleStart)
+                )),
+                top_count: String(turns.filter((turn) => turn.arch === 'top').length),
+                bottom_count: String(turns.filter((turn) => turn.arch === 'bottom').length),
+                created_by: user.displayName || user.userId || '',
+                created_at: timestamp
+            };
+
+            // Row first, so turns are never stamped with the id of a cycle that was not saved
+            await appendObjects('cycles', [cycle]);
+            const changes = {};
+            closing.forEach((turn) => {
+                changes[turn.id] = { archive_id: cycle.id };
+            });
+            await updateObjects('turns', changes);
+
+            const nextSettings = {
+                // Superseded by the per-arch columns below
+                install_date: '',
+                schedule_type: '',
+                interval_days: '',
+                ...toNextArchColumns('top', settings.schedules.top, startDate),
+                ...toNextArchColumns('bottom', settings.schedules.bottom, startDate),
+                cycle_name: nextName,
+                updated_at: timestamp
+            };
+            let updated;
+            if (existing) {
+                updated = await updateObject('settings', existing.id, nextSettings);
+            } else {
+                updated = {
+                    id: generateId(),
+                    user_id: 'shared',
+                    patient_id: scope.patient.id,
+                    top_total: String(settings.topTotal),
+                    bottom_total: String(settings.bottomTotal),
+                    top_mm_per_turn: String(settings.topMmPerTurn),
+                    bottom_mm_per_turn: String(settings.bottomMmPerTurn),
+                    child_name: settings.childName,
+                    created_at: timestamp,
+                    ...nextSettings
+                };
+                await appendObjects('settings', [updated]);
+            }
+
+            await recordAudit(user, [
+                { action: 'create', entity: 'cycle', patientId: scope.patient.id, after: cycle },
+                { action: existing ? 'update' : 'create', entity: 'settings', patientId: scope.patient.id, before: existing, after: updated }
+            ]);
+
+            return res.status(201).json({
+                cycle: toCycleResponse(cycle, number, scope.patient),
+                settings: toSettingsResponse(updated, scope.patient)
+            });
+        }
+
+        return res.status(405).json({ error: 'Method not allowed' });
+    } catch (error) {
+        if (error.message === 'No token provided' || error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        console.error('Cycles API error:', error);
+        return res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+};
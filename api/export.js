@@ -0,0 +1,187 @@
+const { verifyToken, can, setCorsHeaders } = require('./lib/auth');
+const { readObjects } = require('./lib/storage');
+const { resolvePatient, belongsToPatient } = require('./lib/patients');
+const { describePhases } = require('./lib/settings');
+const { describeCadence } = require('../shared/format');
+const { loadScheduleSettings } = require('./lib/holds');
+const { toCycleResponse, getActiveCycleName, loadCycles } = require('./lib/cycles');
+const { isDeleted } = require('./lib/trash');
+const { isValidDate } = require('./lib/turns');
+const { buildCsv } = require('./lib/csv');
+
+const FORMATS = ['csv', 'json'];
+
+function inRange(date, from, to) {
+    return (!from || date >= from) && (!to || date <= to);
+}
+
+function byDate(a, b) {
+    const dateCompare = String(a.date || '').localeCompare(String(b.date || ''));
+    if (dateCompare !== 0) return dateCompare;
+    return String(a.createdAt || '').localeCompare(String(b.createdAt || ''));
+}
+
+function toExportTurn(row, cycle) {
+    return {
+        date: row.date,
+        time: row.time || null,
+        arch: row.arch,
+        note: row.note || '',
+        cycle,
+        loggedBy: row.logged_by || null,
+        override: row.override === 'true',
+        backfilled: row.backfilled === 'true',
+        createdAt: row.created_at
+    };
+}
+
+function toExportNote(row) {
+    return {
+        date: row.date,
+        note: row.note || '',
+        isAppointment: row.is_appointment === 'true',
+        loggedBy: row.logged_by || null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at || null
+    };
+}
+
+// One file, one section per kind of record, so it prints and opens as a single sheet
+function toCsv(data) {
+    const { settings } = data;
+    const yesNo = (value) => (value ? 'yes' : '');
+
+    return buildCsv([
+        ['Expander tracker export'],
+        ['Child', data.patient.name],
+        ['Exported', data.exportedAt],
+        ['From', data.from || 'start'],
+        ['To', data.to || 'today'],
+        [],
+        ['Settings'],
+        ['Arch', 'Install date', 'Schedule', 'Phases', 'Total turns', 'mm per turn'],
+        ...['top', 'bottom'].map((arch) => {
+            const schedule = settings.schedules[arch];
+            return [
+                arch,
+                schedule.installDate || '',
+                describeCadence(schedule),
+                describePhases(schedule.phases),
+                arch === 'top' ? settings.topTotal : settings.bottomTotal,
+                arch === 'top' ? settings.topMmPerTurn : settings.bottomMmPerTurn
+            ];
+        }),
+        [],
+        ['Holds'],
+        ['Start', 'End', 'Arch', 'Reason'],
+        ...settings.holds.map((hold) => [hold.startDate, hold.endDate, hold.arch || 'both', hold.reason]),
+        [],
+        ['Turns'],
+        ['Date', 'Time', 'Arch', 'Note', 'Cycle', 'Logged by', 'Exception', 'Backfilled'],
+        ...data.turns.map((turn) => [
+            turn.date,
+            turn.time || '',
+            turn.arch,
+            turn.note,
+            turn.cycle,
+            turn.loggedBy || '',
+            yesNo(turn.override),
+            yesNo(turn.backfilled)
+        ]),
+        [],
+        ['Treatment notes'],
+        ['Date', 'Appointment', 'Note', 'Logged by'],
+        ...data.treatmentNotes.map((note) => [note.date, yesNo(note.isAppointment), note.note, note.loggedBy || ''])
+    ]);
+}
+
+function toFileName(name, format) {
+    const slug = String(name || 'child').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'child';
+    return `expander-${slug}-${new Date().toISOString().slice(0, 10)}.${format}`;
+}
+
+module.exports = async (req, res) => {
+    setCorsHeaders(res, 'GET, OPTIONS');
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const user = await verifyToken(req);
+        if (!can(user, 'export')) {
+            return res.status(403).json({ error: 'Your role cannot download exports' });
+        }
+
+        const scope = await resolvePatient(req);
+        if (!scope) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        const format = (req.query.format || 'csv').toLowerCase();
+        const from = req.query.from || null;
+        const to = req.query.to || null;
+
+        if (!FORMATS.includes(format)) {
+            return res.status(400).json({ error: 'format must be "csv" or "json"' });
+        }
+        if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+            return res.status(400).json({ error: 'from and to must be in YYYY-MM-DD format' });
+        }
+        if (from && to && from > to) {
+            return res.status(400).json({ error: 'from cannot be after to' });
+        }
+
+        const [settings, cycleRows, turnRows, noteRows] = await Promise.all([
+            loadScheduleSettings(scope),
+            loadCycles(scope),
+            readObjects('turns'),
+            readObjects('treatment_notes')
+        ]);
+
+        // Turns of the current and finished cycles; ones cleared by a reset are left out
+        const cycleNames = {};
+        cycleRows.forEach((row, index) => {
+            cycleNames[row.id] = toCycleResponse(row, index + 1, scope.patient).name;
+        });
+        const activeCycle = getActiveCycleName(settings, cycleRows);
+
+        const turns = turnRows
+            .filter((row) => belongsToPatient(row, scope) && !isDeleted(row) && inRange(row.date, from, to))
+            .filter((row) => !row.archive_id || cycleNames[row.archive_id])
+            .map((row) => toExportTurn(row, row.archive_id ? cycleNames[row.archive_id] : activeCycle))
+            .sort(byDate);
+        const treatmentNotes = noteRows
+            .filter((row) => belongsToPatient(row, scope) && !isDeleted(row) && inRange(row.date, from, to))
+            .map(toExportNote)
+            .sort(byDate);
+
+        const data = {
+            exportedAt: new Date().toISOString(),
+            patient: { id: scope.patient.id, name: settings.childName },
+            from,
+            to,
+            settings,
+            cycles: cycleRows.map((row, index) => toCycleResponse(row, index + 1, scope.patient)),
+            turns,
+            treatmentNotes
+        };
+
+        res.setHeader('Content-Disposition', `attachment; filename="${toFileName(settings.childName, format)}"`);
+        res.setHeader('Cache-Control', 'no-store');
+        if (format === 'json') {
+            return res.status(200).json(data);
+        }
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        return res.status(200).send(toCsv(data));
+    } catch (error) {
+        if (error.message === 'No token provided' || error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        console.error('Export API error:', error);
+        return res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+};
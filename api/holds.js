@@ -0,0 +1,154 @@
+const { verifyToken, can, setCorsHeaders } = require('./lib/auth');
+const { readObjects, appendObjects, updateObject, deleteObject, generateId, nowIso } = require('./lib/storage');
+const { recordAudit } = require('./lib/audit');
+const { resolvePatient, belongsToPatient } = require('./lib/patients');
+const { getExpectedVersion, isStale } = require('./lib/concurrency');
+const { MAX_REASON_LENGTH, toHoldResponse, loadHolds } = require('./lib/holds');
+const { isValidDate } = require('./lib/turns');
+
+// Returns { error } or { value } with the row columns for a hold
+function validateHold({ startDate, endDate, arch, reason }) {
+    if (!isValidDate(startDate) || !isValidDate(endDate)) {
+        return { error: 'startDate and endDate must be in YYYY-MM-DD format' };
+    }
+    if (endDate < startDate) {
+        return { error: 'endDate must be on or after startDate' };
+    }
+    if (arch && !['top', 'bottom'].includes(arch)) {
+        return { error: 'arch must be "top", "bottom" or empty for both' };
+    }
+    const r = (reason || '').toString().trim();
+    if (r.length > MAX_REASON_LENGTH) {
+        return { error: `reason must be ${MAX_REASON_LENGTH} characters or less` };
+    }
+
+    return {
+        value: {
+            arch: arch || '',
+            start_date: startDate,
+            end_date: endDate,
+            reason: r
+        }
+    };
+}
+
+module.exports = async (req, res) => {
+    setCorsHeaders(res, 'GET, POST, PUT, DELETE, OPTIONS', 'Content-Type, Authorization, If-Match');
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        const user = await verifyToken(req);
+
+        const scope = await resolvePatient(req);
+        if (!scope) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        if (req.method === 'GET') {
+            return res.status(200).json(await loadHolds(scope));
+        }
+
+        if (req.method === 'POST') {
+            if (!can(user, 'edit_settings')) {
+                return res.status(403).json({ error: 'Your role cannot change holds' });
+            }
+
+            const result = validateHold(req.body || {});
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+
+            const timestamp = nowIso();
+            const newRow = {
+                id: generateId(),
+                user_id: 'shared',
+                patient_id: scope.patient.id,
+                ...result.value,
+                created_at: timestamp,
+                updated_at: timestamp
+            };
+
+            await appendObjects('holds', [newRow]);
+            await recordAudit(user, { action: 'create', entity: 'hold', patientId: scope.patient.id, after: newRow });
+
+            return res.status(201).json(toHoldResponse(newRow));
+        }
+
+        if (req.method === 'PUT') {
+            if (!can(user, 'edit_settings')) {
+                return res.status(403).json({ error: 'Your role cannot change holds' });
+            }
+
+            const { id } = req.body || {};
+
+            if (!id) {
+                return res.status(400).json({ error: 'id is required' });
+            }
+            const expected = getExpectedVersion(req);
+            if (!expected.provided) {
+                return res.status(428).json({ error: 'updatedAt (or If-Match) is required' });
+            }
+            const result = validateHold(req.body);
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+
+            const rows = await readObjects('holds');
+            const existing = rows.find((row) => row.id === id && belongsToPatient(row, scope));
+
+            if (!existing) {
+                return res.status(404).json({ error: 'Hold not found' });
+            }
+            if (isStale(expected, existing)) {
+                return res.status(409).json({
+                    error: 'Hold was changed by someone else',
+                    current: toHoldResponse(existing)
+                });
+            }
+
+            const updated = await updateObject('holds', id, {
+                ...result.value,
+                updated_at: nowIso()
+            });
+
+            if (!updated) {
+                return res.status(404).json({ error: 'Hold not found' });
+            }
+            await recordAudit(user, { action: 'update', entity: 'hold', patientId: scope.patient.id, before: existing, after: updated });
+
+            return res.status(200).json(toHoldResponse(updated));
+        }
+
+        if (req.method === 'DELETE') {
+            if (!can(user, 'edit_settings')) {
+                return res.status(403).json({ error: 'Your role cannot change holds' });
+            }
+
+            const holdId = req.query.id || req.body?.id;
+
+            if (!holdId) {
+                return res.status(400).json({ error: 'Hold ID is required' });
+            }
+
+            const rows = await readObjects('holds');
+            const existing = rows.find((row) => row.id === holdId && belongsToPatient(row, scope));
+
+            if (!existing || !(await deleteObject('holds', holdId))) {
+                return res.status(404).json({ error: 'Hold not found' });
+            }
+            await recordAudit(user, { action: 'delete', entity: 'hold', patientId: scope.patient.id, before: existing });
+
+            return res.status(200).json({ success: true });
+        }
+
+        return res.status(405).json({ error: 'Method not allowed' });
+    } catch (error) {
+        if (error.message === 'No token provided' || error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        console.error('Holds API error:', error);
+        return res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+};
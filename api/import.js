@@ -0,0 +1,226 @@
+const { verifyToken, can, setCorsHeaders } = require('./lib/auth');
+const { appendObjects, generateId, nowIso } = require('./lib/storage');
+const { recordAudit } = require('./lib/audit');
+const { readActiveObjects } = require('./lib/trash');
+const { resolvePatient, belongsToPatient } = require('./lib/patients');
+const { loadScheduleSettings } = require('./lib/holds');
+const { isValidTimeZone, getLocalParts } = require('./lib/time');
+const { MAX_NOTE_LENGTH, isValidDate, validateTurn, findDuplicateTurn } = require('./lib/turns');
+const { parseCsv } = require('./lib/csv');
+const { addDays } = require('../shared/schedule');
+
+const MAX_IMPORT_LENGTH = 1000000;
+const MAX_IMPORT_ROWS = 5000;
+const TRUE_VALUES = ['yes', 'y', 'true', '1', 'x'];
+const NOTE_TYPES = ['note', 'notes', 'treatment_note', 'treatment note'];
+
+// Section titles in the file /api/export writes; rows are only read from the last two
+const SECTION_TITLES = ['expander tracker export', 'settings', 'holds', 'turns', 'treatment notes'];
+
+/**
+ * Reads either a plain table (a header row with a "date" column, then "arch" and/or
+ * "type", "note", "time", "appointment") or the sectioned export file.
+ * A row whose arch is "both" becomes two turns; a row with no arch is a treatment note.
+ * Returns { items: [{ line, kind: 'turn' | 'note', ... }], errors: [{ line, error }] }.
+ */
+function readImportRows(records) {
+    const items = [];
+    const errors = [];
+    let section = null;
+    let header = null;
+
+    for (const { line, cells } of records) {
+        const lower = cells.map((cell) => cell.trim().toLowerCase());
+        const filled = lower.filter(Boolean);
+
+        if (filled.length === 1 && SECTION_TITLES.includes(filled[0]) && lower[0] === filled[0]) {
+            section = filled[0];
+            header = null;
+            continue;
+        }
+        if (lower.includes('date')) {
+            header = lower;
+            continue;
+        }
+        if (!header || (section && !['turns', 'treatment notes'].includes(section))) {
+            continue;
+        }
+
+        const get = (...names) => {
+            const index = header.findIndex((column) => names.includes(column));
+            return index === -1 ? '' : (cells[index] || '').trim();
+        };
+        const date = get('date');
+        const note = get('note', 'notes');
+        const arch = get('arch').toLowerCase();
+        const type = get('type').toLowerCase();
+        const isNote = section === 'treatment notes' || (section !== 'turns' && (NOTE_TYPES.includes(type) || (!arch && type !== 'turn')));
+
+        if (isNote) {
+            items.push({
+                line,
+                kind: 'note',
+                date,
+                note,
+                isAppointment: TRUE_VALUES.includes(get('appointment', 'is_appointment').toLowerCase())
+            });
+        } else if (arch === 'both') {
+            items.push({ line, kind: 'turn', date, arch: 'top', note, time: get('time') });
+            items.push({ line, kind: 'turn', date, arch: 'bottom', note, time: get('time') });
+        } else {
+            items.push({ line, kind: 'turn', date, arch, note, time: get('time') });
+        }
+    }
+
+    if (!header && items.length === 0) {
+        errors.push({ line: 1, error: 'The file needs a header row with date and arch columns' });
+    }
+    return { items, errors };
+}
+
+module.exports = async (req, res) => {
+    setCorsHeaders(res, 'POST, OPTIONS');
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const user = await verifyToken(req);
+        if (!can(user, 'log_turns') || !can(user, 'edit_notes')) {
+            return res.status(403).json({ error: 'Your role cannot import turns and notes' });
+        }
+
+        const scope = await resolvePatient(req);
+        if (!scope) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        const { csv, timezone } = req.body || {};
+        // Nothing is written unless the client asks for it after seeing the preview
+        const dryRun = req.body?.dryRun !== false;
+
+        if (typeof csv !== 'string' || !csv.trim()) {
+            return res.status(400).json({ error: 'csv is required' });
+        }
+        if (csv.length > MAX_IMPORT_LENGTH) {
+            return res.status(400).json({ error: 'csv is too large' });
+        }
+
+        const records = parseCsv(csv);
+        if (records.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({ error: `csv can have at most ${MAX_IMPORT_ROWS} rows` });
+        }
+
+        // Same day rules as logging a turn (see api/turns.js)
+        const hasTimeZone = isValidTimeZone(timezone);
+        const local = getLocalParts(new Date(), hasTimeZone ? timezone : 'UTC');
+        const latestDate = hasTimeZone ? local.date : addDays(local.date, 1);
+        const backfillBefore = hasTimeZone ? local.date : addDays(local.date, -1);
+
+        const [settings, turnRows, noteRows] = await Promise.all([
+            loadScheduleSettings(scope),
+            readActiveObjects('turns'),
+            readActiveObjects('treatment_notes')
+        ]);
+        const existingNotes = noteRows.filter((row) => belongsToPatient(row, scope));
+
+        const { items, errors } = readImportRows(records);
+        const turns = [];
+        const treatmentNotes = [];
+        const skipped = [];
+
+        for (const item of items) {
+            if (item.kind === 'turn') {
+                const invalid = validateTurn(item, settings, latestDate);
+                if (invalid) {
+                    errors.push({ line: item.line, error: invalid });
+                } else if (findDuplicateTurn(turnRows, scope, item)) {
+                    skipped.push({ line: item.line, kind: 'turn', date: item.date, arch: item.arch, reason: 'already logged' });
+                } else {
+                    const earlier = turns.find((turn) => turn.date === item.date && turn.arch === item.arch);
+                    if (earlier) {
+                        errors.push({ line: item.line, error: `Same date and arch as line ${earlier.line}` });
+                    } else {
+                        turns.push({ line: item.line, date: item.date, arch: item.arch, time: item.time || null, note: item.note });
+                    }
+                }
+                continue;
+            }
+
+            if (!isValidDate(item.date)) {
+                errors.push({ line: item.line, error: 'date must be in YYYY-MM-DD format' });
+            } else if (!item.note) {
+                errors.push({ line: item.line, error: 'note is required' });
+            } else if (item.note.length > MAX_NOTE_LENGTH) {
+                errors.push({ line: item.line, error: `note must be ${MAX_NOTE_LENGTH} characters or less` });
+            } else if (existingNotes.some((row) => row.date === item.date && row.note === item.note)
+                || treatmentNotes.some((note) => note.date === item.date && note.note === item.note)) {
+                skipped.push({ line: item.line, kind: 'note', date: item.date, reason: 'already added' });
+            } else {
+                treatmentNotes.push({ line: item.line, date: item.date, note: item.note, isAppointment: item.isAppointment });
+            }
+        }
+
+        errors.sort((a, b) => a.line - b.line);
+        const report = { dryRun, turns, treatmentNotes, skipped, errors };
+
+        if (dryRun) {
+            return res.status(200).json(report);
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Fix the errors in the file before importing', ...report });
+        }
+
+        const timestamp = nowIso();
+        const loggedBy = user.displayName || user.userId || '';
+
+        const newTurns = turns.map((turn) => ({
+            id: generateId(),
+            user_id: user.userId,
+            patient_id: scope.patient.id,
+            date: turn.date,
+            arch: turn.arch,
+            note: turn.note,
+            created_at: timestamp,
+            override: '',
+            time: turn.time || '',
+            backfilled: turn.date < backfillBefore ? 'true' : '',
+            logged_by: loggedBy
+        }));
+        const newNotes = treatmentNotes.map((note) => ({
+            id: generateId(),
+            user_id: user.userId,
+            patient_id: scope.patient.id,
+            date: note.date,
+            note: note.note,
+            is_appointment: note.isAppointment ? 'true' : '',
+            created_at: timestamp,
+            updated_at: timestamp,
+            logged_by: loggedBy
+        }));
+
+        // One batch append per tab, not a write per row
+        if (newTurns.length > 0) {
+            await appendObjects('turns', newTurns);
+        }
+        if (newNotes.length > 0) {
+            await appendObjects('treatment_notes', newNotes);
+        }
+        await recordAudit(user, [
+            ...newTurns.map((row) => ({ action: 'create', entity: 'turn', patientId: scope.patient.id, after: row })),
+            ...newNotes.map((row) => ({ action: 'create', entity: 'treatment_note', patientId: scope.patient.id, after: row }))
+        ]);
+
+        return res.status(201).json(report);
+    } catch (error) {
+        if (error.message === 'No token provided' || error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        console.error('Import API error:', error);
+        return res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+};
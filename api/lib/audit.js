@@ -0,0 +1,62 @@
+const { appendObjects, generateId, nowIso } = require('./storage');
+
+function parseSnapshot(value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (_) {
+        return null;
+    }
+}
+
+function toAuditResponse(row) {
+    return {
+        id: row.id,
+        actorId: row.actor_id,
+        actorName: row.actor_name || row.actor_id,
+        action: row.action,
+        entity: row.entity,
+        entityId: row.entity_id,
+        patientId: row.patient_id || null,
+        before: parseSnapshot(row.before),
+        after: parseSnapshot(row.after),
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Appends one row per change to the append-only audit_log tab.
+ * entries: { action: 'create' | 'update' | 'delete' | 'restore' | 'reset' | 'revoke', entity, entityId, patientId, before, after }
+ * where before/after are the stored rows (null when there is none).
+ * The change itself has already been written, so a failure here is logged rather than
+ * turned into an error response the client might retry.
+ */
+async function recordAudit(user, entries) {
+    const list = Array.isArray(entries) ? entries : [entries];
+    if (list.length === 0) return;
+
+    const timestamp = nowIso();
+    const rows = list.map((entry) => ({
+        id: generateId(),
+        actor_id: user?.userId || '',
+        actor_name: user?.displayName || user?.userId || '',
+        action: entry.action,
+        entity: entry.entity,
+        entity_id: entry.entityId || entry.after?.id || entry.before?.id || '',
+        patient_id: entry.patientId || '',
+        before: entry.before ? JSON.stringify(entry.before) : '',
+        after: entry.after ? JSON.stringify(entry.after) : '',
+        created_at: timestamp
+    }));
+
+    try {
+        await appendObjects('audit_log', rows);
+    } catch (error) {
+        console.error('Audit log error:', error);
+    }
+}
+
+module.exports = {
+    toAuditResponse,
+    recordAudit
+};
@@ -1,4 +1,6 @@
 const jwt = require('jsonwebtoken');
+const { isRole, can: roleCan } = require('../../shared/roles');
+const { listUsers, getRole, isEnabled, getTokenVersion } = require('./users');
 
 function getJwtSecret() {
     const secret = process.env.JWT_SECRET;
@@ -8,13 +10,63 @@ function getJwtSecret() {
     return secret;
 }
 
-function verifyToken(req) {
+async function verifyToken(req) {
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
         throw new Error('No token provided');
     }
     const token = authHeader.substring(7);
-    return jwt.verify(token, getJwtSecret());
+    const decoded = jwt.verify(token, getJwtSecret());
+    // Purpose-specific tokens (see signTypedToken) never work as a login session
+    if (decoded.type) {
+        throw new jwt.JsonWebTokenError('Token type not accepted');
+    }
+    // Sessions from before roles sign in again to pick one up
+    if (!isRole(decoded.role)) {
+        throw new jwt.JsonWebTokenError('Token has no role');
+    }
+    // A valid signature isn't enough: disabling the account or changing its password
+    // (which bumps token_version, see api/users.js) ends every session it had
+    const row = (await listUsers()).find((user) => user.id === decoded.userId);
+    if (!isEnabled(row) || getTokenVersion(row) !== (decoded.tokenVersion || 0)) {
+        throw new jwt.JsonWebTokenError('Session has been signed out');
+    }
+    // The row, not the token, says who they are now, so a role change applies at once
+    return {
+        ...decoded,
+        username: row.username,
+        displayName: row.display_name || row.username,
+        role: getRole(row)
+    };
+}
+
+// `user` is what verifyToken returns, with the role from the users row
+function can(user, permission) {
+    return roleCan(user?.role, permission);
+}
+
+// Tokens handed out for a single purpose, such as a calendar feed URL. The `type`
+// claim keeps them from being accepted anywhere else.
+function signTypedToken(type, payload, options = {}) {
+    return jwt.sign({ ...payload, type }, getJwtSecret(), options);
+}
+
+function verifyTypedToken(token, type) {
+    if (!token) {
+        throw new Error('No token provided');
+    }
+    const decoded = jwt.verify(token, getJwtSecret());
+    if (decoded.type !== type) {
+        throw new jwt.JsonWebTokenError('Token type not accepted');
+    }
+    return decoded;
+}
+
+// Origin of the deployment as the browser sees it, for links handed out to other apps and people
+function getRequestOrigin(req) {
+    const proto = req.headers['x-forwarded-proto'] || 'http';
+    const host = req.headers['x-forwarded-host'] || req.headers.host;
+    return host ? `${proto}://${host}` : '';
 }
 
 function getAllowedOrigin() {
@@ -36,5 +88,9 @@ function setCorsHeaders(res, methods = 'GET, POST, PUT, DELETE, OPTIONS', extraH
 module.exports = {
     getJwtSecret,
     verifyToken,
+    can,
+    signTypedToken,
+    verifyTypedToken,
+    getRequestOrigin,
     setCorsHeaders
 };
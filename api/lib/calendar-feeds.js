@@ -0,0 +1,42 @@
+const { readObjects } = require('./storage');
+const { belongsToPatient } = require('./patients');
+const { signTypedToken, getRequestOrigin } = require('./auth');
+const { isLive } = require('./shares');
+
+// A calendar feed is subscribed to once and polled for months, so it lives for a year
+// rather than the days a share link does. Like a share link, the `calendar` token names
+// a calendar_feeds row and the row decides whether it still works. Each child has at
+// most one live feed: getting a new link revokes the old one.
+
+const FEED_DAYS = 365;
+
+function toFeedResponse(req, row) {
+    return {
+        id: row.id,
+        url: getFeedUrl(req, row),
+        timezone: row.timezone,
+        expiresAt: row.expires_at,
+        createdBy: row.created_by || null,
+        createdAt: row.created_at
+    };
+}
+
+async function loadLiveFeeds(scope) {
+    const rows = await readObjects('calendar_feeds');
+    return rows.filter((row) => belongsToPatient(row, scope) && isLive(row));
+}
+
+function getFeedUrl(req, row) {
+    const token = signTypedToken('calendar', {
+        feedId: row.id,
+        patientId: row.patient_id,
+        exp: Math.floor(new Date(row.expires_at).getTime() / 1000)
+    });
+    return `${getRequestOrigin(req)}/api/calendar.ics?token=${encodeURIComponent(token)}`;
+}
+
+module.exports = {
+    FEED_DAYS,
+    toFeedResponse,
+    loadLiveFeeds
+};
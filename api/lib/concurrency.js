@@ -0,0 +1,33 @@
+// Optimistic concurrency: writers echo back the updated_at they loaded, either
+// as an If-Match header or as `updatedAt` in the body. An empty value means
+// "I expect this record not to exist yet".
+function getExpectedVersion(req) {
+    const header = req.headers?.['if-match'];
+    if (header) {
+        return {
+            provided: true,
+            value: String(header).replace(/^W\//, '').replace(/^"|"$/g, '')
+        };
+    }
+    if (req.body && Object.prototype.hasOwnProperty.call(req.body, 'updatedAt')) {
+        return {
+            provided: true,
+            value: req.body.updatedAt || ''
+        };
+    }
+    return { provided: false, value: '' };
+}
+
+function isStale(expected, row) {
+    return (row?.updated_at || '') !== (expected.value || '');
+}
+
+function toEtag(row) {
+    return `"${row?.updated_at || ''}"`;
+}
+
+module.exports = {
+    getExpectedVersion,
+    isStale,
+    toEtag
+};
@@ -0,0 +1,88 @@
+// Minimal CSV (RFC 4180) writer and reader.
+
+// Spreadsheet apps run cells starting with these as formulas; a leading quote keeps them text
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * rows: arrays of cell values; an empty array writes a blank line
+ */
+function buildCsv(rows) {
+    return rows.map((row) => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Undoes escapeCell's formula guard so exported text reads back unchanged
+function unescapeCell(text) {
+    return /^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text;
+}
+
+/**
+ * Splits CSV text into records: [{ line, cells }], where line is the 1-based line the
+ * record starts on. Quoted cells may contain commas, quotes ("") and line breaks.
+ * Blank lines are skipped.
+ */
+function parseCsv(text) {
+    const records = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let startLine = 1;
+
+    const endRecord = () => {
+        cells.push(cell);
+        if (cells.some((value) => value.trim() !== '')) {
+            records.push({ line: startLine, cells: cells.map(unescapeCell) });
+        }
+        cells = [];
+        cell = '';
+    };
+
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            startLine = line;
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || cells.length > 0) {
+        endRecord();
+    }
+
+    return records;
+}
+
+module.exports = {
+    buildCsv,
+    parseCsv
+};
@@ -0,0 +1,66 @@
+const { readObjects } = require('./storage');
+const { belongsToPatient } = require('./patients');
+const { ARCHES, toInt, toSettingsResponse } = require('./settings');
+
+// A treatment cycle is one course of expansion. Ending the current cycle snapshots its
+// settings and holds into a cycles row and stamps its turns with the cycle id in
+// archive_id (the same mechanism a reset uses), so the next cycle starts from zero
+// while the finished one stays readable.
+
+function parseJson(value, fallback) {
+    if (!value) return fallback;
+    try {
+        return JSON.parse(value);
+    } catch (_) {
+        return fallback;
+    }
+}
+
+function sortCycles(rows) {
+    return [...rows].sort((a, b) => String(a.created_at || '').localeCompare(String(b.created_at || '')));
+}
+
+function toCycleResponse(row, number, patient) {
+    const settings = toSettingsResponse(parseJson(row.settings, null), patient);
+    return {
+        id: row.id,
+        number,
+        name: row.name || `Cycle ${number}`,
+        startDate: row.start_date || null,
+        endDate: row.end_date,
+        topDone: toInt(row.top_count, 0),
+        bottomDone: toInt(row.bottom_count, 0),
+        topTotal: settings.topTotal,
+        bottomTotal: settings.bottomTotal,
+        createdBy: row.created_by || null,
+        createdAt: row.created_at
+    };
+}
+
+// The current cycle began at the earliest install date, or failing that the first turn
+function getActiveStartDate(settings, turns) {
+    const dates = [
+        ...ARCHES.map((arch) => settings.schedules[arch].installDate),
+        ...turns.map((turn) => turn.date)
+    ].filter(Boolean).sort();
+    return dates[0] || null;
+}
+
+// Finished cycles are numbered in the order they were closed; the active one comes next
+function getActiveCycleName(settings, cycleRows) {
+    return settings.cycleName || `Cycle ${cycleRows.length + 1}`;
+}
+
+async function loadCycles(scope) {
+    const rows = await readObjects('cycles');
+    return sortCycles(rows.filter((row) => belongsToPatient(row, scope)));
+}
+
+module.exports = {
+    parseJson,
+    sortCycles,
+    toCycleResponse,
+    getActiveStartDate,
+    getActiveCycleName,
+    loadCycles
+};
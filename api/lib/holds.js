@@ -0,0 +1,40 @@
+const { readObjects } = require('./storage');
+const { belongsToPatient } = require('./patients');
+const { loadSettings } = require('./settings');
+
+const MAX_REASON_LENGTH = 500;
+
+// arch is '' when the hold pauses both arches
+function toHoldResponse(row) {
+    return {
+        id: row.id,
+        arch: row.arch || null,
+        startDate: row.start_date,
+        endDate: row.end_date,
+        reason: row.reason || '',
+        updatedAt: row.updated_at || null
+    };
+}
+
+function sortHolds(holds) {
+    return [...holds].sort((a, b) => String(b.startDate).localeCompare(String(a.startDate)));
+}
+
+async function loadHolds(scope) {
+    const rows = await readObjects('holds');
+    return sortHolds(rows.filter((row) => belongsToPatient(row, scope)).map(toHoldResponse));
+}
+
+// Settings in the shape the schedule engine expects, holds included
+async function loadScheduleSettings(scope) {
+    const [settings, holds] = await Promise.all([loadSettings(scope), loadHolds(scope)]);
+    return { ...settings, holds };
+}
+
+module.exports = {
+    MAX_REASON_LENGTH,
+    toHoldResponse,
+    sortHolds,
+    loadHolds,
+    loadScheduleSettings
+};
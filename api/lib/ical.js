@@ -0,0 +1,75 @@
+// Minimal iCalendar (RFC 5545) writer for all-day events.
+const { addDays } = require('../../shared/schedule');
+
+const PRODUCT_ID = '-//Expander Tracker//Turn Schedule//EN';
+
+function escapeText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldLine(line) {
+    const chunks = [];
+    let current = '';
+    for (const char of line) {
+        const limit = chunks.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            chunks.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+function toIcsDate(dateStr) {
+    return dateStr.replace(/-/g, '');
+}
+
+function toIcsTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * events: [{ uid, date: 'YYYY-MM-DD', summary, description? }]
+ */
+function buildCalendar({ name, events, now = new Date() }) {
+    const stamp = toIcsTimestamp(now);
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+        'X-PUBLISHED-TTL:PT6H'
+    ];
+
+    events.forEach((event) => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${toIcsDate(event.date)}`,
+            `DTEND;VALUE=DATE:${toIcsDate(addDays(event.date, 1))}`,
+            `SUMMARY:${escapeText(event.summary)}`
+        );
+        if (event.description) {
+            lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        }
+        lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    buildCalendar
+};
@@ -0,0 +1,76 @@
+const { readObjects, appendObjects, generateId, nowIso } = require('./storage');
+
+const DEFAULT_PATIENT_NAME = 'Child';
+const MAX_NAME_LENGTH = 100;
+
+async function listPatients() {
+    const patients = await readObjects('patients');
+    if (patients.length > 0) {
+        return patients;
+    }
+
+    // First run after upgrading from the single-tracker layout: seed one patient
+    // from the legacy settings row so existing turns and notes stay attached to it.
+    const settingsRows = await readObjects('settings');
+    const timestamp = nowIso();
+    const seeded = {
+        id: generateId(),
+        name: settingsRows[0]?.child_name || DEFAULT_PATIENT_NAME,
+        created_at: timestamp,
+        updated_at: timestamp
+    };
+
+    await appendObjects('patients', [seeded]);
+    return [seeded];
+}
+
+async function resolvePatient(req) {
+    const patients = await listPatients();
+    const requestedId = req.query?.patientId || req.body?.patientId;
+    const patient = requestedId
+        ? patients.find((p) => p.id === requestedId)
+        : patients[0];
+
+    if (!patient) {
+        return null;
+    }
+
+    return {
+        patient,
+        isPrimary: patient.id === patients[0].id
+    };
+}
+
+// Rows written before multi-patient support have no patient_id; they belong to the primary patient.
+function belongsToPatient(row, scope) {
+    if (row.patient_id) {
+        return row.patient_id === scope.patient.id;
+    }
+    return scope.isPrimary;
+}
+
+function validatePatientName(name) {
+    const n = (name || '').toString().trim();
+    if (!n) return { valid: false, error: 'name is required' };
+    if (n.length > MAX_NAME_LENGTH) {
+        return { valid: false, error: `name must be ${MAX_NAME_LENGTH} characters or less` };
+    }
+    return { valid: true, value: n };
+}
+
+function toPatientResponse(row) {
+    return {
+        id: row.id,
+        name: row.name || DEFAULT_PATIENT_NAME,
+        createdAt: row.created_at || null
+    };
+}
+
+module.exports = {
+    DEFAULT_PATIENT_NAME,
+    listPatients,
+    resolvePatient,
+    belongsToPatient,
+    validatePatientName,
+    toPatientResponse
+};
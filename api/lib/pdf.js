@@ -0,0 +1,237 @@
+// Minimal PDF 1.4 writer: wrapped Helvetica text, simple tables, and page breaks on
+// US Letter pages. Enough for a printable report without a PDF dependency.
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const LINE_HEIGHT = 1.3;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126, from the standard AFM
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+// Bold glyphs run a little wider; close enough for line wrapping
+const BOLD_FACTOR = 1.06;
+
+// Characters outside Latin-1 that WinAnsiEncoding still has a slot for
+const WIN_ANSI = {
+    '–': 0x96,
+    '—': 0x97,
+    '‘': 0x91,
+    '’': 0x92,
+    '“': 0x93,
+    '”': 0x94,
+    '•': 0x95,
+    '…': 0x85
+};
+
+function toWinAnsiCode(char) {
+    if (WIN_ANSI[char]) return WIN_ANSI[char];
+    const code = char.codePointAt(0);
+    if ((code >= 32 && code < 127) || (code >= 160 && code <= 255)) return code;
+    return 63; // '?'
+}
+
+function measure(text, size, bold) {
+    let units = 0;
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        units += code >= 32 && code < 127 ? HELVETICA_WIDTHS[code - 32] : 556;
+    }
+    return (units / 1000) * size * (bold ? BOLD_FACTOR : 1);
+}
+
+// PDF string literal; anything past ASCII is written as an octal escape
+function encodeText(text) {
+    let out = '';
+    for (const char of String(text)) {
+        const code = toWinAnsiCode(char);
+        if (code === 40 || code === 41 || code === 92) {
+            out += `\\${String.fromCharCode(code)}`;
+        } else if (code > 126) {
+            out += `\\${code.toString(8).padStart(3, '0')}`;
+        } else {
+            out += String.fromCharCode(code);
+        }
+    }
+    return `(${out})`;
+}
+
+function wrapText(text, width, size, bold) {
+    const lines = [];
+    String(text ?? '').split(/\r?\n/).forEach((paragraph) => {
+        let line = '';
+        paragraph.split(' ').forEach((word) => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (measure(candidate, size, bold) <= width) {
+                line = candidate;
+                return;
+            }
+            if (line) lines.push(line);
+            // A word wider than the column is split wherever it runs out of room
+            line = '';
+            for (const char of word) {
+                if (line && measure(line + char, size, bold) > width) {
+                    lines.push(line);
+                    line = '';
+                }
+                line += char;
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+function formatNumber(value) {
+    return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Builds a document top to bottom:
+ *   doc.heading(text), doc.text(text, { size, bold, color }), doc.space(points),
+ *   doc.table(columns: [{ label, width }], rows: [[cell]]) with widths in points,
+ *   doc.toBuffer() once everything is added.
+ * Tables repeat their header row after a page break.
+ */
+function createPdfDocument({ title = '' } = {}) {
+    const pages = [];
+    let ops = null;
+    let y = 0;
+
+    function addPage() {
+        ops = [];
+        pages.push(ops);
+        y = PAGE_HEIGHT - MARGIN;
+    }
+
+    function ensureSpace(height) {
+        if (!ops || y - height < MARGIN) {
+            addPage();
+            return true;
+        }
+        return false;
+    }
+
+    function drawText(x, baseline, text, size, bold, gray = 0) {
+        ops.push(`BT ${formatNumber(gray)} g /${bold ? 'F2' : 'F1'} ${size} Tf ${formatNumber(x)} ${formatNumber(baseline)} Td ${encodeText(text)} Tj ET`);
+    }
+
+    function drawRule(x1, x2, atY) {
+        ops.push(`0.6 G 0.5 w ${formatNumber(x1)} ${formatNumber(atY)} m ${formatNumber(x2)} ${formatNumber(atY)} l S`);
+    }
+
+    function text(value, { size = 10, bold = false, gray = 0 } = {}) {
+        const lineHeight = size * LINE_HEIGHT;
+        wrapText(value, CONTENT_WIDTH, size, bold).forEach((line) => {
+            ensureSpace(lineHeight);
+            y -= lineHeight;
+            drawText(MARGIN, y + size * 0.25, line, size, bold, gray);
+        });
+    }
+
+    function space(points) {
+        if (ops) y -= points;
+    }
+
+    function heading(value) {
+        ensureSpace(40);
+        space(10);
+        text(value, { size: 13, bold: true });
+        space(4);
+    }
+
+    function table(columns, rows, { size = 9 } = {}) {
+        const lineHeight = size * LINE_HEIGHT;
+        const padding = 3;
+
+        const drawRow = (cells, bold) => {
+            const wrapped = columns.map((column, i) => wrapText(cells[i] ?? '', column.width - padding * 2, size, bold));
+            const height = Math.max(...wrapped.map((lines) => lines.length)) * lineHeight + padding * 2;
+            return { wrapped, height, bold };
+        };
+        const paint = ({ wrapped, height, bold }) => {
+            let x = MARGIN;
+            wrapped.forEach((lines, i) => {
+                lines.forEach((line, n) => {
+                    drawText(x + padding, y - padding - lineHeight * (n + 1) + size * 0.25, line, size, bold);
+                });
+                x += columns[i].width;
+            });
+            y -= height;
+            drawRule(MARGIN, MARGIN + columns.reduce((sum, column) => sum + column.width, 0), y);
+        };
+
+        const header = drawRow(columns.map((column) => column.label), true);
+        ensureSpace(header.height + lineHeight * 2);
+        paint(header);
+
+        rows.forEach((cells) => {
+            const row = drawRow(cells, false);
+            if (ensureSpace(row.height)) {
+                paint(header);
+            }
+            paint(row);
+        });
+    }
+
+    function toBuffer() {
+        if (pages.length === 0) addPage();
+
+        const objects = [];
+        const add = (body) => {
+            objects.push(body);
+            return objects.length;
+        };
+
+        const catalogId = add(null);
+        const pagesId = add(null);
+        const regularId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+        const infoId = add(`<< /Title ${encodeText(title)} /Producer (Expander Tracker) >>`);
+
+        const pageIds = pages.map((pageOps, index) => {
+            // Footer with page numbers, now that the count is known
+            const footer = `BT 0.4 g /F1 8 Tf ${MARGIN} ${MARGIN / 2} Td ${encodeText(`${title}${title ? ' - ' : ''}page ${index + 1} of ${pages.length}`)} Tj ET`;
+            const stream = [...pageOps, footer].join('\n');
+            const contentId = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+            return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+        });
+
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        // Every byte written is ASCII, so string lengths are byte offsets
+        let output = '%PDF-1.4\n';
+        const offsets = objects.map((body, index) => {
+            const offset = output.length;
+            output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+        const xrefOffset = output.length;
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+        return Buffer.from(output, 'ascii');
+    }
+
+    return {
+        heading,
+        text,
+        space,
+        table,
+        toBuffer
+    };
+}
+
+module.exports = {
+    CONTENT_WIDTH,
+    createPdfDocument
+};
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const webpush = require('web-push');
+
+const DEFAULT_OUTBOX_FILE = path.join('.data', 'push-outbox.jsonl');
+
+let _localKeys = null;
+
+function getDriverName() {
+    const driver = (process.env.PUSH_DRIVER || 'webpush').trim().toLowerCase();
+    if (!['webpush', 'local'].includes(driver)) {
+        throw new Error('PUSH_DRIVER must be "webpush" or "local"');
+    }
+    return driver;
+}
+
+// The local driver still needs a key pair so browsers can create a subscription;
+// without configured keys it generates a throwaway pair for this process.
+function getVapidKeys() {
+    const publicKey = (process.env.VAPID_PUBLIC_KEY || '').trim();
+    const privateKey = (process.env.VAPID_PRIVATE_KEY || '').trim();
+
+    if (publicKey && privateKey) {
+        return { publicKey, privateKey };
+    }
+    if (getDriverName() === 'local') {
+        _localKeys = _localKeys || webpush.generateVAPIDKeys();
+        return _localKeys;
+    }
+    return null;
+}
+
+function getPublicKey() {
+    const keys = getVapidKeys();
+    return keys ? keys.publicKey : null;
+}
+
+function toWebPushSubscription(row) {
+    return {
+        endpoint: row.endpoint,
+        keys: {
+            p256dh: row.p256dh,
+            auth: row.auth
+        }
+    };
+}
+
+async function sendWebPush(row, payload) {
+    const keys = getVapidKeys();
+    if (!keys) {
+        throw new Error('VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY must be set');
+    }
+
+    try {
+        await webpush.sendNotification(toWebPushSubscription(row), JSON.stringify(payload), {
+            vapidDetails: {
+                subject: process.env.VAPID_SUBJECT || 'mailto:admin@example.com',
+                publicKey: keys.publicKey,
+                privateKey: keys.privateKey
+            }
+        });
+        return { delivered: true };
+    } catch (error) {
+        // 404/410 mean the browser dropped the subscription; the caller should forget it
+        if (error.statusCode === 404 || error.statusCode === 410) {
+            return { delivered: false, expired: true };
+        }
+        throw error;
+    }
+}
+
+// Stand-in for a push service: logs the notification and appends it to a JSONL outbox
+async function sendLocal(row, payload) {
+    const file = path.resolve(process.env.PUSH_OUTBOX_FILE || DEFAULT_OUTBOX_FILE);
+    const entry = {
+        sentAt: new Date().toISOString(),
+        subscriptionId: row.id,
+        userId: row.user_id,
+        endpoint: row.endpoint,
+        payload
+    };
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+    console.log(`[push:local] ${row.user_id}: ${payload.title} - ${payload.body}`);
+    return { delivered: true };
+}
+
+function sendNotification(row, payload) {
+    return getDriverName() === 'local'
+        ? sendLocal(row, payload)
+        : sendWebPush(row, payload);
+}
+
+module.exports = {
+    getPublicKey,
+    sendNotification
+};
@@ -0,0 +1,113 @@
+const { readObjects, updateObject, deleteObject, nowIso } = require('./storage');
+const { listPatients, belongsToPatient } = require('./patients');
+const { toSettingsResponse } = require('./settings');
+const { toHoldResponse } = require('./holds');
+const { getNextDueDate } = require('../../shared/schedule');
+const { isEnabled } = require('./users');
+const { sendNotification } = require('./push');
+const { readActiveObjects } = require('./trash');
+const { isValidTime, getLocalParts } = require('./time');
+
+const DEFAULT_REMIND_AT = '19:30';
+
+function describeArches(arches) {
+    if (arches.length === 2) return 'Top and bottom turns';
+    return arches[0] === 'top' ? 'Top turn' : 'Bottom turn';
+}
+
+// Arches that are due on or before `date` and have not been logged yet that day. An arch
+// without an install date, or installed in the future, has nothing due.
+function getDueArches(settings, turns, date) {
+    return ['top', 'bottom'].filter((arch) => {
+        const loggedToday = turns.some((turn) => turn.arch === arch && turn.date === date);
+        const due = getNextDueDate(settings, turns, arch, date);
+        return !loggedToday && Boolean(due) && due <= date;
+    });
+}
+
+function buildReminders(patients, settingsRows, turnRows, holdRows, date) {
+    return patients
+        .map((patient, index) => {
+            const scope = { patient, isPrimary: index === 0 };
+            const settings = {
+                ...toSettingsResponse(settingsRows.find((row) => belongsToPatient(row, scope)), patient),
+                holds: holdRows.filter((row) => belongsToPatient(row, scope)).map(toHoldResponse)
+            };
+            const turns = turnRows.filter((row) => belongsToPatient(row, scope));
+            const arches = getDueArches(settings, turns, date);
+
+            return arches.length === 0 ? null : {
+                title: `${settings.childName}: turn due tonight`,
+                body: `${describeArches(arches)} due tonight.`,
+                tag: `turn-due-${patient.id}-${date}`,
+                url: '/'
+            };
+        })
+        .filter(Boolean);
+}
+
+// One pass of the scheduled job. Each subscription gets at most one round of
+// reminders per local day, on the first run at or after its preferred time.
+// Subscriptions of people who were removed or disabled are skipped (and kept, in case
+// the account is enabled again).
+async function runReminders(now = new Date()) {
+    const subscriptions = await readObjects('push_subscriptions');
+    const summary = { checked: subscriptions.length, sent: 0, skipped: 0, expired: 0, failed: 0 };
+
+    if (subscriptions.length === 0) {
+        return summary;
+    }
+
+    const [patients, settingsRows, turnRows, holdRows, userRows] = await Promise.all([
+        listPatients(),
+        readObjects('settings'),
+        readActiveObjects('turns'),
+        readObjects('holds'),
+        readObjects('users')
+    ]);
+
+    for (const subscription of subscriptions) {
+        const local = getLocalParts(now, subscription.timezone);
+        const remindAt = isValidTime(subscription.remind_at) ? subscription.remind_at : DEFAULT_REMIND_AT;
+        const owner = userRows.find((row) => row.id === subscription.user_id);
+
+        if (!isEnabled(owner) || local.time < remindAt || subscription.last_sent_date === local.date) {
+            summary.skipped += 1;
+            continue;
+        }
+
+        const reminders = buildReminders(patients, settingsRows, turnRows, holdRows, local.date);
+
+        try {
+            let expired = false;
+            for (const payload of reminders) {
+                const result = await sendNotification(subscription, payload);
+                if (result.expired) {
+                    expired = true;
+                    break;
+                }
+                summary.sent += 1;
+            }
+
+            if (expired) {
+                await deleteObject('push_subscriptions', subscription.id);
+                summary.expired += 1;
+            } else {
+                await updateObject('push_subscriptions', subscription.id, {
+                    last_sent_date: local.date,
+                    updated_at: nowIso()
+                });
+            }
+        } catch (error) {
+            console.error(`Reminder delivery failed for subscription ${subscription.id}:`, error);
+            summary.failed += 1;
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    DEFAULT_REMIND_AT,
+    runReminders
+};
@@ -0,0 +1,121 @@
+const { readObjects } = require('./storage');
+const { belongsToPatient } = require('./patients');
+const { describeCadence } = require('../../shared/format');
+
+const ARCHES = ['top', 'bottom'];
+const SCHEDULE_TYPES = ['every_n_days', 'twice_per_week'];
+// Phases may also pause turning entirely
+const PHASE_SCHEDULE_TYPES = [...SCHEDULE_TYPES, 'hold'];
+// Typical expander screw: a quarter millimetre per turn
+const DEFAULT_MM_PER_TURN = 0.25;
+
+function toInt(value, fallback) {
+    if (value === '' || value === null || value === undefined) return fallback;
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+function toFloat(value, fallback) {
+    if (value === '' || value === null || value === undefined) return fallback;
+    const parsed = parseFloat(value);
+    return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+function getDefaultSchedule() {
+    return {
+        installDate: null,
+        scheduleType: 'every_n_days',
+        intervalDays: 2,
+        phases: []
+    };
+}
+
+function getDefaultSettings() {
+    return {
+        topTotal: 27,
+        bottomTotal: 23,
+        topMmPerTurn: DEFAULT_MM_PER_TURN,
+        bottomMmPerTurn: DEFAULT_MM_PER_TURN,
+        schedules: {
+            top: getDefaultSchedule(),
+            bottom: getDefaultSchedule()
+        },
+        childName: 'Child',
+        cycleName: '',
+        updatedAt: null
+    };
+}
+
+// Phases are kept as a JSON array in one cell per arch
+function parsePhases(value) {
+    if (!value) return [];
+    try {
+        const phases = JSON.parse(value);
+        return Array.isArray(phases) ? phases : [];
+    } catch (_) {
+        return [];
+    }
+}
+
+// Rows saved before per-arch schedules only have the shared install_date /
+// schedule_type / interval_days columns; both arches read those until the row is saved again.
+function toArchSchedule(row, arch) {
+    const hasOwn = Boolean(row[`${arch}_schedule_type`]);
+    const column = (name) => (hasOwn ? row[`${arch}_${name}`] : row[name]);
+
+    return {
+        installDate: column('install_date') || null,
+        scheduleType: column('schedule_type') || 'every_n_days',
+        intervalDays: toInt(column('interval_days'), 2),
+        phases: parsePhases(row[`${arch}_phases`])
+    };
+}
+
+function toSettingsResponse(row, patient) {
+    if (!row) {
+        return {
+            ...getDefaultSettings(),
+            childName: patient.name || 'Child'
+        };
+    }
+
+    return {
+        topTotal: toInt(row.top_total, 27),
+        bottomTotal: toInt(row.bottom_total, 23),
+        topMmPerTurn: toFloat(row.top_mm_per_turn, DEFAULT_MM_PER_TURN),
+        bottomMmPerTurn: toFloat(row.bottom_mm_per_turn, DEFAULT_MM_PER_TURN),
+        schedules: {
+            top: toArchSchedule(row, 'top'),
+            bottom: toArchSchedule(row, 'bottom')
+        },
+        childName: patient.name || row.child_name || 'Child',
+        cycleName: row.cycle_name || '',
+        updatedAt: row.updated_at || null
+    };
+}
+
+// Plain-language phases, for exports and reports
+function describePhases(phases) {
+    return phases
+        .map((phase) => `${phase.startsOn ? `from ${phase.startsOn}` : `from turn ${phase.startsAtTurn}`}: ${describeCadence(phase)}`)
+        .join('; ');
+}
+
+async function loadSettings(scope) {
+    const rows = await readObjects('settings');
+    return toSettingsResponse(rows.find((row) => belongsToPatient(row, scope)), scope.patient);
+}
+
+module.exports = {
+    ARCHES,
+    SCHEDULE_TYPES,
+    PHASE_SCHEDULE_TYPES,
+    DEFAULT_MM_PER_TURN,
+    toInt,
+    toFloat,
+    getDefaultSchedule,
+    getDefaultSettings,
+    toSettingsResponse,
+    describePhases,
+    loadSettings
+};
@@ -0,0 +1,68 @@
+const { readObjects } = require('./storage');
+const { belongsToPatient } = require('./patients');
+const { signTypedToken, getRequestOrigin } = require('./auth');
+
+// A share link opens the dashboard read-only for one child, e.g. for the orthodontist,
+// without a sign-in. The link carries a `share` token (see signTypedToken) naming a
+// shares row; the row decides whether it still works, so it can be revoked early.
+
+const DEFAULT_SHARE_DAYS = 30;
+const MAX_SHARE_DAYS = 365;
+const MAX_LABEL_LENGTH = 100;
+
+function isLive(row, now = new Date()) {
+    return Boolean(row) && !row.revoked_at && new Date(row.expires_at) > now;
+}
+
+function toShareResponse(row) {
+    return {
+        id: row.id,
+        label: row.label || '',
+        expiresAt: row.expires_at,
+        revokedAt: row.revoked_at || null,
+        active: isLive(row),
+        createdBy: row.created_by || null,
+        createdAt: row.created_at
+    };
+}
+
+function sortShares(rows) {
+    return [...rows].sort((a, b) => String(b.created_at || '').localeCompare(String(a.created_at || '')));
+}
+
+async function loadShares(scope) {
+    const rows = await readObjects('shares');
+    return sortShares(rows.filter((row) => belongsToPatient(row, scope)));
+}
+
+function validateShare({ label, days }) {
+    const value = (label || '').toString().trim();
+    if (value.length > MAX_LABEL_LENGTH) {
+        return { error: `label must be ${MAX_LABEL_LENGTH} characters or less` };
+    }
+    const lifetime = days === undefined || days === null || days === '' ? DEFAULT_SHARE_DAYS : Number(days);
+    if (!Number.isInteger(lifetime) || lifetime < 1 || lifetime > MAX_SHARE_DAYS) {
+        return { error: `days must be a whole number from 1 to ${MAX_SHARE_DAYS}` };
+    }
+    return { label: value, days: lifetime };
+}
+
+// The token expires with the row, so an expired link fails even before the row is read
+function getShareUrl(req, row) {
+    const token = signTypedToken('share', {
+        shareId: row.id,
+        patientId: row.patient_id,
+        exp: Math.floor(new Date(row.expires_at).getTime() / 1000)
+    });
+    return `${getRequestOrigin(req)}/?share=${encodeURIComponent(token)}`;
+}
+
+module.exports = {
+    DEFAULT_SHARE_DAYS,
+    MAX_SHARE_DAYS,
+    isLive,
+    toShareResponse,
+    loadShares,
+    validateShare,
+    getShareUrl
+};
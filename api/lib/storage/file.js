@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const { getHeaders, normalizeRow, ensureString } = require('./schema');
+
+const DEFAULT_DATA_FILE = path.join('.data', 'tracker.json');
+
+// Serializes read-modify-write cycles within this process; the file adapter is
+// meant for local development and tests, not for concurrent serverless instances.
+let _queue = Promise.resolve();
+
+function getDataFile() {
+    const file = process.env.DATA_FILE;
+    return path.resolve(file && file.trim() ? file.trim() : DEFAULT_DATA_FILE);
+}
+
+function readStore() {
+    const file = getDataFile();
+    if (!fs.existsSync(file)) {
+        return {};
+    }
+    const raw = fs.readFileSync(file, 'utf8');
+    return raw.trim() ? JSON.parse(raw) : {};
+}
+
+function writeStore(store) {
+    const file = getDataFile();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(store, null, 2));
+    fs.renameSync(tmpFile, file);
+}
+
+function withStore(fn) {
+    const run = _queue.then(() => fn(readStore()));
+    _queue = run.catch(() => {});
+    return run;
+}
+
+function toStoredRow(headers, row) {
+    const stored = {};
+    headers.forEach((header) => {
+        stored[header] = ensureString(row[header]);
+    });
+    return stored;
+}
+
+async function readObjects(tabName) {
+    const headers = getHeaders(tabName);
+    return withStore((store) => (store[tabName] || []).map((row) => normalizeRow(headers, row)));
+}
+
+async function overwriteObjects(tabName, rows) {
+    const headers = getHeaders(tabName);
+    return withStore((store) => {
+        store[tabName] = rows.map((row) => toStoredRow(headers, row));
+        writeStore(store);
+    });
+}
+
+async function appendObjects(tabName, rows) {
+    const headers = getHeaders(tabName);
+    return withStore((store) => {
+        store[tabName] = [...(store[tabName] || []), ...rows.map((row) => toStoredRow(headers, row))];
+        writeStore(store);
+    });
+}
+
+async function updateObject(tabName, id, changes) {
+    const headers = getHeaders(tabName);
+    return withStore((store) => {
+        const rows = store[tabName] || [];
+        const index = rows.findIndex((row) => row.id === id);
+        if (index === -1) {
+            return null;
+        }
+        rows[index] = toStoredRow(headers, { ...normalizeRow(headers, rows[index]), ...changes, id });
+        writeStore(store);
+        return normalizeRow(headers, rows[index]);
+    });
+}
+
+async function updateObjects(tabName, changesById) {
+    const headers = getHeaders(tabName);
+    return withStore((store) => {
+        const rows = store[tabName] || [];
+        const updated = [];
+        rows.forEach((row, index) => {
+            const changes = changesById[row.id];
+            if (!changes) {
+                return;
+            }
+            rows[index] = toStoredRow(headers, { ...normalizeRow(headers, row), ...changes, id: row.id });
+            updated.push(normalizeRow(headers, rows[index]));
+        });
+        if (updated.length > 0) {
+            writeStore(store);
+        }
+        return updated;
+    });
+}
+
+async function deleteObject(tabName, id) {
+    return withStore((store) => {
+        const rows = store[tabName] || [];
+        const remaining = rows.filter((row) => row.id !== id);
+        if (remaining.length === rows.length) {
+            return false;
+        }
+        store[tabName] = remaining;
+        writeStore(store);
+        return true;
+    });
+}
+
+module.exports = {
+    readObjects,
+    overwriteObjects,
+    appendObjects,
+    updateObject,
+    updateObjects,
+    deleteObject
+};
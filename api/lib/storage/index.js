@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const { HEADERS, getHeaders } = require('./schema');
+
+// Every adapter exposes the same tab-oriented interface:
+//   readObjects(tabName) -> Promise<row[]>
+//   overwriteObjects(tabName, rows) -> Promise<void>
+//   appendObjects(tabName, rows) -> Promise<void>
+//   updateObject(tabName, id, changes) -> Promise<row | null>   (null when id is not found)
+//   updateObjects(tabName, changesById) -> Promise<row[]>       (one write; unknown ids are skipped)
+//   deleteObject(tabName, id) -> Promise<boolean>               (false when id is not found)
+// Rows are plain objects keyed by the column names in schema.js, all values strings.
+const DRIVERS = {
+    sheets: () => require('./sheets'),
+    file: () => require('./file')
+};
+
+let _adapter = null;
+
+function getDriverName() {
+    const driver = (process.env.STORAGE_DRIVER || 'sheets').trim().toLowerCase();
+    if (!DRIVERS[driver]) {
+        throw new Error(`STORAGE_DRIVER must be one of: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+    return driver;
+}
+
+function getAdapter() {
+    if (!_adapter) {
+        _adapter = DRIVERS[getDriverName()]();
+    }
+    return _adapter;
+}
+
+function readObjects(tabName) {
+    return getAdapter().readObjects(tabName);
+}
+
+function overwriteObjects(tabName, rows) {
+    return getAdapter().overwriteObjects(tabName, rows);
+}
+
+function appendObjects(tabName, rows) {
+    return getAdapter().appendObjects(tabName, rows);
+}
+
+function updateObject(tabName, id, changes) {
+    return getAdapter().updateObject(tabName, id, changes);
+}
+
+function updateObjects(tabName, changesById) {
+    return getAdapter().updateObjects(tabName, changesById);
+}
+
+function deleteObject(tabName, id) {
+    return getAdapter().deleteObject(tabName, id);
+}
+
+function nowIso() {
+    return new Date().toISOString();
+}
+
+function generateId() {
+    if (typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+module.exports = {
+    HEADERS,
+    getHeaders,
+    readObjects,
+    overwriteObjects,
+    appendObjects,
+    updateObject,
+    updateObjects,
+    deleteObject,
+    generateId,
+    nowIso
+};
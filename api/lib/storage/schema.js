@@ -0,0 +1,180 @@
+const HEADERS = {
+    settings: [
+        'id',
+        'user_id',
+        'top_total',
+        'bottom_total',
+        'install_date',
+        'schedule_type',
+        'interval_days',
+        'child_name',
+        'created_at',
+        'updated_at',
+        'patient_id',
+        'top_install_date',
+        'top_schedule_type',
+        'top_interval_days',
+        'bottom_install_date',
+        'bottom_schedule_type',
+        'bottom_interval_days',
+        'top_phases',
+        'bottom_phases',
+        'top_mm_per_turn',
+        'bottom_mm_per_turn',
+        'cycle_name'
+    ],
+    turns: [
+        'id',
+        'user_id',
+        'date',
+        'arch',
+        'note',
+        'created_at',
+        'patient_id',
+        'override',
+        'time',
+        'backfilled',
+        'logged_by',
+        'deleted_at',
+        'deleted_by',
+        'archive_id'
+    ],
+    treatment_notes: [
+        'id',
+        'user_id',
+        'date',
+        'note',
+        'created_at',
+        'updated_at',
+        'patient_id',
+        'is_appointment',
+        'logged_by',
+        'deleted_at',
+        'deleted_by'
+    ],
+    holds: [
+        'id',
+        'user_id',
+        'patient_id',
+        'arch',
+        'start_date',
+        'end_date',
+        'reason',
+        'created_at',
+        'updated_at'
+    ],
+    archives: [
+        'id',
+        'user_id',
+        'patient_id',
+        'turn_count',
+        'created_by',
+        'created_at',
+        'restored_at'
+    ],
+    cycles: [
+        'id',
+        'user_id',
+        'patient_id',
+        'name',
+        'start_date',
+        'end_date',
+        'settings',
+        'holds',
+        'top_count',
+        'bottom_count',
+        'created_by',
+        'created_at'
+    ],
+    audit_log: [
+        'id',
+        'actor_id',
+        'actor_name',
+        'action',
+        'entity',
+        'entity_id',
+        'patient_id',
+        'before',
+        'after',
+        'created_at'
+    ],
+    patients: [
+        'id',
+        'name',
+        'created_at',
+        'updated_at'
+    ],
+    users: [
+        'id',
+        'username',
+        'display_name',
+        'password_hash',
+        'is_admin',
+        'disabled_at',
+        'created_at',
+        'updated_at',
+        'role',
+        'token_version'
+    ],
+    shares: [
+        'id',
+        'patient_id',
+        'label',
+        'expires_at',
+        'revoked_at',
+        'created_by',
+        'created_at',
+        'updated_at'
+    ],
+    calendar_feeds: [
+        'id',
+        'patient_id',
+        'timezone',
+        'expires_at',
+        'revoked_at',
+        'created_by',
+        'created_at',
+        'updated_at'
+    ],
+    push_subscriptions: [
+        'id',
+        'user_id',
+        'endpoint',
+        'p256dh',
+        'auth',
+        'remind_at',
+        'timezone',
+        'last_sent_date',
+        'created_at',
+        'updated_at'
+    ]
+};
+
+function getHeaders(tabName) {
+    const headers = HEADERS[tabName];
+    if (!headers) {
+        throw new Error(`Unknown sheet/tab: ${tabName}`);
+    }
+    return headers;
+}
+
+function ensureString(value) {
+    if (value === null || value === undefined) return '';
+    return String(value);
+}
+
+// Project a stored row onto the current column set; missing columns read as ''.
+function normalizeRow(headers, row) {
+    const normalized = {};
+    headers.forEach((header) => {
+        normalized[header] = row[header] ?? '';
+    });
+    return normalized;
+}
+
+module.exports = {
+    HEADERS,
+    getHeaders,
+    ensureString,
+    normalizeRow
+};
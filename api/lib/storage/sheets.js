@@ -0,0 +1,319 @@
+const { google } = require('googleapis');
+const { getHeaders, normalizeRow, ensureString } = require('./schema');
+
+const SHEETS_SCOPE = ['https://www.googleapis.com/auth/spreadsheets'];
+// What a deleted row leaves in the id column. Rows are never removed, so the row number
+// an update looked up still points at the same record when it writes (see deleteObject).
+// A fully blank row would also end the table that values.append appends after.
+const DELETED_ROW_ID = '#deleted';
+
+let _sheetsClient = null;
+const _checkedHeaders = new Set();
+
+function getSpreadsheetId() {
+    const id = process.env.GOOGLE_SHEETS_SPREADSHEET_ID;
+    if (!id || !id.trim()) {
+        throw new Error('GOOGLE_SHEETS_SPREADSHEET_ID must be set');
+    }
+    return id.trim();
+}
+
+function getServiceAccountEmail() {
+    const email = process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL;
+    if (!email || !email.trim()) {
+        throw new Error('GOOGLE_SERVICE_ACCOUNT_EMAIL must be set');
+    }
+    return email.trim();
+}
+
+function getPrivateKey() {
+    const key = process.env.GOOGLE_PRIVATE_KEY;
+    if (!key || !key.trim()) {
+        throw new Error('GOOGLE_PRIVATE_KEY must be set');
+    }
+    return key.replace(/\\n/g, '\n');
+}
+
+function getSheetsClient() {
+    if (_sheetsClient) {
+        return _sheetsClient;
+    }
+
+    const auth = new google.auth.JWT({
+        email: getServiceAccountEmail(),
+        key: getPrivateKey(),
+        scopes: SHEETS_SCOPE
+    });
+
+    _sheetsClient = google.sheets({
+        version: 'v4',
+        auth
+    });
+
+    return _sheetsClient;
+}
+
+function columnLetter(index) {
+    let letter = '';
+    let n = index + 1;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        letter = String.fromCharCode(65 + remainder) + letter;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letter;
+}
+
+function rowRange(tabName, headers, rowNumber) {
+    return `'${tabName}'!A${rowNumber}:${columnLetter(headers.length - 1)}${rowNumber}`;
+}
+
+function rowArrayToObject(headers, row) {
+    const obj = {};
+    headers.forEach((header, index) => {
+        obj[header] = row[index] ?? '';
+    });
+    return obj;
+}
+
+function objectToRowArray(headers, obj) {
+    return headers.map((header) => ensureString(obj[header]));
+}
+
+async function readRawValues(tabName) {
+    const sheets = getSheetsClient();
+    const spreadsheetId = getSpreadsheetId();
+
+    const response = await sheets.spreadsheets.values.get({
+        spreadsheetId,
+        range: `'${tabName}'`
+    });
+
+    return response.data.values || [];
+}
+
+async function readObjects(tabName) {
+    const values = await readRawValues(tabName);
+    const headers = getHeaders(tabName);
+
+    if (values.length === 0) {
+        return [];
+    }
+
+    const sheetHeaders = values[0];
+    const dataRows = values.slice(1);
+
+    return dataRows
+        .filter((row) => row.some((cell) => String(cell || '').trim() !== ''))
+        .filter((row) => row[0] !== DELETED_ROW_ID)
+        .map((row) => rowArrayToObject(sheetHeaders, row))
+        .map((row) => normalizeRow(headers, row));
+}
+
+async function overwriteObjects(tabName, rows) {
+    const sheets = getSheetsClient();
+    const spreadsheetId = getSpreadsheetId();
+    const headers = getHeaders(tabName);
+
+    const matrix = [
+        headers,
+        ...rows.map((row) => objectToRowArray(headers, row))
+    ];
+
+    await sheets.spreadsheets.values.clear({
+        spreadsheetId,
+        range: `'${tabName}'`
+    });
+
+    await sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: `'${tabName}'!A1`,
+        valueInputOption: 'RAW',
+        requestBody: {
+            values: matrix
+        }
+    });
+}
+
+// Row-level writes address cells by position, so the sheet's header row must match
+// HEADERS exactly. New columns are only ever appended, so an older header row is a
+// prefix and can be extended in place; anything else gets a one-time full rewrite.
+async function ensureHeaderRow(tabName) {
+    if (_checkedHeaders.has(tabName)) {
+        return;
+    }
+
+    const sheets = getSheetsClient();
+    const spreadsheetId = getSpreadsheetId();
+    const headers = getHeaders(tabName);
+
+    const response = await sheets.spreadsheets.values.get({
+        spreadsheetId,
+        range: `'${tabName}'!1:1`
+    });
+    const current = (response.data.values || [])[0] || [];
+
+    const matches = current.length === headers.length && headers.every((header, i) => current[i] === header);
+    const isPrefix = current.every((header, i) => headers[i] === header);
+
+    if (!matches) {
+        if (isPrefix) {
+            await sheets.spreadsheets.values.update({
+                spreadsheetId,
+                range: rowRange(tabName, headers, 1),
+                valueInputOption: 'RAW',
+                requestBody: {
+                    values: [headers]
+                }
+            });
+        } else {
+            await overwriteObjects(tabName, await readObjects(tabName));
+        }
+    }
+
+    _checkedHeaders.add(tabName);
+}
+
+async function findRowNumber(tabName, id) {
+    const sheets = getSheetsClient();
+
+    const response = await sheets.spreadsheets.values.get({
+        spreadsheetId: getSpreadsheetId(),
+        range: `'${tabName}'!A:A`
+    });
+
+    const ids = (response.data.values || []).map((row) => row[0]);
+    const index = ids.findIndex((value, i) => i > 0 && value === id);
+    return index === -1 ? null : index + 1;
+}
+
+async function appendObjects(tabName, rows) {
+    if (rows.length === 0) {
+        return;
+    }
+
+    await ensureHeaderRow(tabName);
+
+    const sheets = getSheetsClient();
+    const headers = getHeaders(tabName);
+
+    await sheets.spreadsheets.values.append({
+        spreadsheetId: getSpreadsheetId(),
+        range: `'${tabName}'!A1`,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        requestBody: {
+            values: rows.map((row) => objectToRowArray(headers, row))
+        }
+    });
+}
+
+async function updateObject(tabName, id, changes) {
+    await ensureHeaderRow(tabName);
+
+    const rowNumber = await findRowNumber(tabName, id);
+    if (!rowNumber) {
+        return null;
+    }
+
+    const sheets = getSheetsClient();
+    const spreadsheetId = getSpreadsheetId();
+    const headers = getHeaders(tabName);
+    const range = rowRange(tabName, headers, rowNumber);
+
+    const response = await sheets.spreadsheets.values.get({ spreadsheetId, range });
+    const existing = rowArrayToObject(headers, (response.data.values || [])[0] || []);
+
+    // Deletes leave rows in place, but a one-time header rewrite (ensureHeaderRow) compacts
+    // the tab; if that moved the row between lookup and read, let the caller retry.
+    if (existing.id !== id) {
+        throw new Error(`Row ${id} moved during update, please retry`);
+    }
+
+    const updated = normalizeRow(headers, { ...existing, ...changes, id });
+
+    await sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range,
+        valueInputOption: 'RAW',
+        requestBody: {
+            values: [objectToRowArray(headers, updated)]
+        }
+    });
+
+    return updated;
+}
+
+// Rewrites every matched row in a single values.batchUpdate, which Sheets applies
+// all-or-nothing, so a bulk change never lands halfway.
+async function updateObjects(tabName, changesById) {
+    await ensureHeaderRow(tabName);
+
+    const sheets = getSheetsClient();
+    const spreadsheetId = getSpreadsheetId();
+    const headers = getHeaders(tabName);
+
+    const values = await readRawValues(tabName);
+    const updated = [];
+    const data = [];
+
+    values.forEach((row, index) => {
+        const existing = rowArrayToObject(headers, row);
+        const changes = index > 0 && changesById[existing.id];
+        if (!changes) {
+            return;
+        }
+        const next = normalizeRow(headers, { ...existing, ...changes, id: existing.id });
+        updated.push(next);
+        data.push({
+            range: rowRange(tabName, headers, index + 1),
+            values: [objectToRowArray(headers, next)]
+        });
+    });
+
+    if (data.length > 0) {
+        await sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId,
+            requestBody: {
+                valueInputOption: 'RAW',
+                data
+            }
+        });
+    }
+
+    return updated;
+}
+
+// Blanks the row and marks it deleted instead of removing it. Removing it would shift
+// every row below, and an update that had already looked up its row number would then
+// overwrite a different record.
+async function deleteObject(tabName, id) {
+    await ensureHeaderRow(tabName);
+
+    const rowNumber = await findRowNumber(tabName, id);
+    if (!rowNumber) {
+        return false;
+    }
+
+    const headers = getHeaders(tabName);
+
+    await getSheetsClient().spreadsheets.values.update({
+        spreadsheetId: getSpreadsheetId(),
+        range: rowRange(tabName, headers, rowNumber),
+        valueInputOption: 'RAW',
+        requestBody: {
+            values: [headers.map((_, index) => (index === 0 ? DELETED_ROW_ID : ''))]
+        }
+    });
+
+    return true;
+}
+
+module.exports = {
+    readObjects,
+    overwriteObjects,
+    appendObjects,
+    updateObject,
+    updateObjects,
+    deleteObject
+};
@@ -0,0 +1,44 @@
+// Clock helpers shared by handlers that work in the family's timezone rather than UTC.
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function isValidTime(str) {
+    return TIME_REGEX.test(String(str || ''));
+}
+
+function isValidTimeZone(timeZone) {
+    if (!timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (_) {
+        return false;
+    }
+}
+
+// Wall-clock date and time for `now` in `timeZone` (UTC if it isn't a valid zone)
+function getLocalParts(now, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-CA', {
+        timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now).forEach((part) => {
+        parts[part.type] = part.value;
+    });
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        time: `${parts.hour}:${parts.minute}`
+    };
+}
+
+module.exports = {
+    isValidTime,
+    isValidTimeZone,
+    getLocalParts
+};
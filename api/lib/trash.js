@@ -0,0 +1,58 @@
+const { readObjects, updateObject, nowIso } = require('./storage');
+
+// Deleting a turn or treatment note only stamps deleted_at; the row sits in the
+// trash until restored or purged once it is older than TRASH_RETENTION_DAYS.
+const TRASH_TABS = {
+    turn: 'turns',
+    treatment_note: 'treatment_notes'
+};
+
+const TRASH_RETENTION_DAYS = 30;
+
+function isDeleted(row) {
+    return Boolean(row.deleted_at);
+}
+
+// Live rows: not in the trash and not put away by a reset (see api/reset.js)
+function isActive(row) {
+    return !isDeleted(row) && !row.archive_id;
+}
+
+// Live turns have no archive_id; a reset or a finished cycle stamps its id on every turn it
+// puts away, trashed ones included
+function isSameArchive(a, b) {
+    return (a.archive_id || '') === (b.archive_id || '');
+}
+
+async function readActiveObjects(tab) {
+    return (await readObjects(tab)).filter(isActive);
+}
+
+async function moveToTrash(tab, id, user) {
+    return updateObject(tab, id, {
+        deleted_at: nowIso(),
+        deleted_by: user?.displayName || user?.userId || ''
+    });
+}
+
+async function restoreFromTrash(tab, id) {
+    return updateObject(tab, id, { deleted_at: '', deleted_by: '' });
+}
+
+function getPurgeDate(row) {
+    const deletedAt = new Date(row.deleted_at);
+    deletedAt.setUTCDate(deletedAt.getUTCDate() + TRASH_RETENTION_DAYS);
+    return deletedAt;
+}
+
+module.exports = {
+    TRASH_TABS,
+    TRASH_RETENTION_DAYS,
+    isDeleted,
+    isActive,
+    isSameArchive,
+    readActiveObjects,
+    moveToTrash,
+    restoreFromTrash,
+    getPurgeDate
+};
@@ -0,0 +1,59 @@
+const { belongsToPatient } = require('./patients');
+const { isValidTime } = require('./time');
+const { getArchSchedule } = require('../../shared/schedule');
+
+// Row rules shared by logging turns and importing them
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_NOTE_LENGTH = 2000;
+const TURN_ARCHES = ['top', 'bottom'];
+
+function isValidDate(str) {
+    if (!str) return false;
+    if (!DATE_REGEX.test(str)) return false;
+    const d = new Date(str);
+    return !isNaN(d.getTime());
+}
+
+/**
+ * Checks one { date, arch, note, time } against the turn rules.
+ * latestDate is the last day a turn may be logged for (the family's today).
+ * Returns an error message, or null when the turn is valid.
+ */
+function validateTurn(turn, settings, latestDate) {
+    if (!turn.date || !turn.arch) {
+        return 'Each turn must have date and arch';
+    }
+    if (!TURN_ARCHES.includes(turn.arch)) {
+        return 'arch must be "top" or "bottom"';
+    }
+    if (!isValidDate(turn.date)) {
+        return 'date must be in YYYY-MM-DD format';
+    }
+    if (turn.date > latestDate) {
+        return 'date cannot be in the future';
+    }
+    const { installDate } = getArchSchedule(settings, turn.arch);
+    if (installDate && turn.date < installDate) {
+        return `date cannot be before the ${turn.arch} install date (${installDate})`;
+    }
+    if (turn.time && !isValidTime(turn.time)) {
+        return 'time must be in HH:MM format';
+    }
+    const note = turn.note ? String(turn.note).trim() : '';
+    if (note.length > MAX_NOTE_LENGTH) {
+        return `note must be ${MAX_NOTE_LENGTH} characters or less`;
+    }
+    return null;
+}
+
+// One turn per arch per day
+function findDuplicateTurn(rows, scope, turn) {
+    return rows.find((row) => belongsToPatient(row, scope) && row.date === turn.date && row.arch === turn.arch);
+}
+
+module.exports = {
+    MAX_NOTE_LENGTH,
+    isValidDate,
+    validateTurn,
+    findDuplicateTurn
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { readObjects, appendObjects, nowIso } = require('./storage');
+const { isRole } = require('../../shared/roles');
+
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_NAME_LENGTH = 100;
+const USERNAME_REGEX = /^[A-Za-z0-9._@-]{2,60}$/;
+
+function parseEnvUsers() {
+    const usersEnv = process.env.APP_USERS;
+    if (!usersEnv) {
+        return [];
+    }
+
+    try {
+        const parsed = JSON.parse(usersEnv);
+        if (!Array.isArray(parsed)) {
+            throw new Error('APP_USERS must be a JSON array');
+        }
+        return parsed;
+    } catch (error) {
+        throw new Error('APP_USERS must be valid JSON array');
+    }
+}
+
+function hashPassword(password) {
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+// Readable enough to pass on by text message; shown to the admin once
+function generatePassword() {
+    return crypto.randomBytes(9).toString('base64').replace(/[+/]/g, 'x');
+}
+
+async function listUsers() {
+    const users = await readObjects('users');
+    if (users.length > 0) {
+        return users;
+    }
+
+    // First run after upgrading from env-configured users: copy APP_USERS into the users
+    // tab, hashing any plain-text passwords, so the env var can be removed afterwards.
+    // Ids are kept so existing sessions and user_id columns still point at the same person.
+    const envUsers = parseEnvUsers().filter((user) => user.username && (user.passwordHash || user.password));
+    if (envUsers.length === 0) {
+        throw new Error('No users yet: set APP_USERS to create the first accounts');
+    }
+
+    const timestamp = nowIso();
+    const seeded = await Promise.all(envUsers.map(async (user) => ({
+        id: user.id || user.username,
+        username: user.username,
+        display_name: user.displayName || user.username,
+        password_hash: user.passwordHash || await hashPassword(String(user.password)),
+        is_admin: '',
+        disabled_at: '',
+        created_at: timestamp,
+        updated_at: timestamp,
+        // Everyone could do everything before, so nobody loses access unless APP_USERS says so
+        role: isRole(user.role) ? user.role : 'owner',
+        token_version: ''
+    })));
+
+    await appendObjects('users', seeded);
+    return seeded;
+}
+
+// Rows from before roles only say whether the user was an admin
+function getRole(row) {
+    if (isRole(row?.role)) return row.role;
+    return row?.is_admin === 'true' ? 'owner' : 'caregiver';
+}
+
+function isEnabled(row) {
+    return Boolean(row) && !row.disabled_at;
+}
+
+// Sessions carry the version they were signed in with; rows from before it are version 0
+function getTokenVersion(row) {
+    return Number(row?.token_version) || 0;
+}
+
+function findUserByName(users, username) {
+    const lower = String(username).toLowerCase();
+    return users.find((user) => String(user.username).toLowerCase() === lower) || null;
+}
+
+function validateUsername(username) {
+    const value = (username || '').toString().trim();
+    if (!USERNAME_REGEX.test(value)) {
+        return { valid: false, error: 'username must be 2-60 letters, digits, or . _ @ -' };
+    }
+    return { valid: true, value };
+}
+
+function validateDisplayName(displayName, fallback) {
+    const value = (displayName || '').toString().trim() || fallback;
+    if (value.length > MAX_NAME_LENGTH) {
+        return { valid: false, error: `displayName must be ${MAX_NAME_LENGTH} characters or less` };
+    }
+    return { valid: true, value };
+}
+
+function validateRole(role) {
+    if (!isRole(role)) {
+        return { valid: false, error: 'role must be owner, caregiver, clinician, or viewer' };
+    }
+    return { valid: true, value: role };
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return { valid: false, error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+    return { valid: true, value: password };
+}
+
+function toUserResponse(row) {
+    return {
+        id: row.id,
+        username: row.username,
+        displayName: row.display_name || row.username,
+        role: getRole(row),
+        disabled: !isEnabled(row),
+        createdAt: row.created_at || null,
+        updatedAt: row.updated_at || null
+    };
+}
+
+// Audit snapshots never carry the hash
+function toAuditSnapshot(row) {
+    if (!row) return null;
+    const { password_hash: _hash, ...rest } = row;
+    return rest;
+}
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    listUsers,
+    hashPassword,
+    generatePassword,
+    getRole,
+    isEnabled,
+    getTokenVersion,
+    findUserByName,
+    validateUsername,
+    validateDisplayName,
+    validateRole,
+    validatePassword,
+    toUserResponse,
+    toAuditSnapshot
+};
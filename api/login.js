@@ -1,33 +1,7 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { getJwtSecret, setCorsHeaders } = require('./lib/auth');
-
-function getUsers() {
-    const usersEnv = process.env.APP_USERS;
-    if (!usersEnv) {
-        throw new Error('APP_USERS environment variable is not set');
-    }
-
-    try {
-        const parsed = JSON.parse(usersEnv);
-        if (!Array.isArray(parsed)) {
-            throw new Error('APP_USERS must be a JSON array');
-        }
-        return parsed;
-    } catch (error) {
-        throw new Error('APP_USERS must be valid JSON array');
-    }
-}
-
-async function verifyPassword(password, user) {
-    if (user.passwordHash) {
-        return bcrypt.compare(password, user.passwordHash);
-    }
-    if (user.password !== undefined) {
-        return password === user.password;
-    }
-    return false;
-}
+const { listUsers, findUserByName, getRole, isEnabled, getTokenVersion } = require('./lib/users');
 
 module.exports = async (req, res) => {
     setCorsHeaders(res, 'POST, OPTIONS', 'Content-Type');
@@ -47,27 +21,30 @@ module.exports = async (req, res) => {
             return res.status(400).json({ error: 'Username and password required' });
         }
 
-        const users = getUsers();
-        const user = users.find((u) => u.username === username);
+        const user = findUserByName(await listUsers(), username);
 
-        if (!user) {
+        // Disabled accounts get the same answer as a wrong password
+        if (!isEnabled(user) || !user.password_hash) {
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        const passwordMatch = await verifyPassword(password, user);
+        const passwordMatch = await bcrypt.compare(password, user.password_hash);
 
         if (!passwordMatch) {
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        const userId = user.id || user.username;
-        const displayName = user.displayName || user.username;
+        const userId = user.id;
+        const displayName = user.display_name || user.username;
+        const role = getRole(user);
 
         const token = jwt.sign(
             {
                 userId,
                 username: user.username,
-                displayName
+                displayName,
+                role,
+                tokenVersion: getTokenVersion(user)
             },
             getJwtSecret(),
             { expiresIn: '30d' }
@@ -78,7 +55,8 @@ module.exports = async (req, res) => {
             user: {
                 id: userId,
                 username: user.username,
-                displayName
+                displayName,
+                role
             }
         });
     } catch (error) {
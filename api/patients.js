@@ -0,0 +1,84 @@
+const { verifyToken, can, setCorsHeaders } = require('./lib/auth');
+const { appendObjects, updateObject, generateId, nowIso } = require('./lib/storage');
+const { recordAudit } = require('./lib/audit');
+const { listPatients, validatePatientName, toPatientResponse } = require('./lib/patients');
+
+module.exports = async (req, res) => {
+    setCorsHeaders(res, 'GET, POST, PUT, OPTIONS');
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        const user = await verifyToken(req);
+
+        if (req.method === 'GET') {
+            const patients = await listPatients();
+            return res.status(200).json(patients.map(toPatientResponse));
+        }
+
+        if (req.method === 'POST') {
+            if (!can(user, 'edit_settings')) {
+                return res.status(403).json({ error: 'Your role cannot add children' });
+            }
+
+            const nameResult = validatePatientName(req.body?.name);
+            if (!nameResult.valid) {
+                return res.status(400).json({ error: nameResult.error });
+            }
+
+            // Seeds the legacy patient first so it keeps its place as the primary one
+            await listPatients();
+            const timestamp = nowIso();
+
+            const newRow = {
+                id: generateId(),
+                name: nameResult.value,
+                created_at: timestamp,
+                updated_at: timestamp
+            };
+
+            await appendObjects('patients', [newRow]);
+            await recordAudit(user, { action: 'create', entity: 'patient', patientId: newRow.id, after: newRow });
+
+            return res.status(201).json(toPatientResponse(newRow));
+        }
+
+        if (req.method === 'PUT') {
+            if (!can(user, 'edit_settings')) {
+                return res.status(403).json({ error: 'Your role cannot rename children' });
+            }
+
+            const { id, name } = req.body || {};
+
+            if (!id) {
+                return res.status(400).json({ error: 'id is required' });
+            }
+            const nameResult = validatePatientName(name);
+            if (!nameResult.valid) {
+                return res.status(400).json({ error: nameResult.error });
+            }
+
+            const before = (await listPatients()).find((patient) => patient.id === id) || null;
+            const updated = await updateObject('patients', id, {
+                name: nameResult.value,
+                updated_at: nowIso()
+            });
+
+            if (!updated) {
+                return res.status(404).json({ error: 'Patient not found' });
+            }
+            await recordAudit(user, { action: 'update', entity: 'patient', patientId: id, before, after: updated });
+
+            return res.status(200).json(toPatientResponse(updated));
+        }
+
+        return res.status(405).json({ error: 'Method not allowed' });
+    } catch (error) {
+        if (error.message === 'No token provided' || error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        console.error('Patients API error:', error);
+        return res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+};
@@ -0,0 +1,154 @@
+const { verifyToken, setCorsHeaders } = require('./lib/auth');
+const { readObjects, appendObjects, updateObject, deleteObject, generateId, nowIso } = require('./lib/storage');
+const { recordAudit } = require('./lib/audit');
+const { getPublicKey } = require('./lib/push');
+const { DEFAULT_REMIND_AT } = require('./lib/reminders');
+const { isValidTime, isValidTimeZone } = require('./lib/time');
+
+function toSubscriptionResponse(row) {
+    return {
+        id: row.id,
+        endpoint: row.endpoint,
+        remindAt: row.remind_at || DEFAULT_REMIND_AT,
+        timezone: row.timezone || 'UTC',
+        lastSentDate: row.last_sent_date || null
+    };
+}
+
+function validatePreferences(remindAt, timezone) {
+    if (remindAt !== undefined && !isValidTime(remindAt)) {
+        return 'remindAt must be HH:MM (24-hour)';
+    }
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+        return 'timezone must be an IANA timezone name';
+    }
+    return null;
+}
+
+module.exports = async (req, res) => {
+    setCorsHeaders(res, 'GET, POST, PUT, DELETE, OPTIONS');
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        const user = await verifyToken(req);
+        const userRows = (rows) => rows.filter((row) => row.user_id === user.userId);
+
+        if (req.method === 'GET') {
+            const rows = userRows(await readObjects('push_subscriptions'));
+            return res.status(200).json({
+                publicKey: getPublicKey(),
+                subscriptions: rows.map(toSubscriptionResponse)
+            });
+        }
+
+        if (req.method === 'POST') {
+            const { subscription, remindAt, timezone } = req.body || {};
+
+            if (!subscription || !subscription.endpoint || !subscription.keys?.p256dh || !subscription.keys?.auth) {
+                return res.status(400).json({ error: 'subscription with endpoint and keys is required' });
+            }
+            const preferenceError = validatePreferences(remindAt, timezone);
+            if (preferenceError) {
+                return res.status(400).json({ error: preferenceError });
+            }
+
+            const rows = await readObjects('push_subscriptions');
+            const existing = rows.find((row) => row.endpoint === subscription.endpoint);
+            const timestamp = nowIso();
+
+            const fields = {
+                user_id: user.userId,
+                endpoint: subscription.endpoint,
+                p256dh: subscription.keys.p256dh,
+                auth: subscription.keys.auth,
+                remind_at: remindAt || existing?.remind_at || DEFAULT_REMIND_AT,
+                timezone: timezone || existing?.timezone || 'UTC',
+                updated_at: timestamp
+            };
+
+            // Re-subscribing the same browser replaces its row rather than adding a second one
+            if (existing) {
+                const updated = await updateObject('push_subscriptions', existing.id, fields);
+                await recordAudit(user, {
+                    action: 'update',
+                    entity: 'push_subscription',
+                    before: toSubscriptionResponse(existing),
+                    after: toSubscriptionResponse(updated)
+                });
+                return res.status(200).json(toSubscriptionResponse(updated));
+            }
+
+            const newRow = {
+                id: generateId(),
+                ...fields,
+                last_sent_date: '',
+                created_at: timestamp
+            };
+            await appendObjects('push_subscriptions', [newRow]);
+            await recordAudit(user, { action: 'create', entity: 'push_subscription', after: toSubscriptionResponse(newRow) });
+
+            return res.status(201).json(toSubscriptionResponse(newRow));
+        }
+
+        if (req.method === 'PUT') {
+            const { remindAt, timezone } = req.body || {};
+
+            if (remindAt === undefined && timezone === undefined) {
+                return res.status(400).json({ error: 'remindAt or timezone is required' });
+            }
+            const preferenceError = validatePreferences(remindAt, timezone);
+            if (preferenceError) {
+                return res.status(400).json({ error: preferenceError });
+            }
+
+            // The preferred time is per user, so it applies to every device they subscribed
+            const rows = userRows(await readObjects('push_subscriptions'));
+            const changes = { updated_at: nowIso() };
+            if (remindAt !== undefined) changes.remind_at = remindAt;
+            if (timezone !== undefined) changes.timezone = timezone;
+
+            const updated = [];
+            for (const row of rows) {
+                updated.push(await updateObject('push_subscriptions', row.id, changes));
+            }
+            await recordAudit(user, rows.map((row, index) => ({
+                action: 'update',
+                entity: 'push_subscription',
+                before: toSubscriptionResponse(row),
+                after: updated[index] ? toSubscriptionResponse(updated[index]) : null
+            })));
+
+            return res.status(200).json({
+                subscriptions: updated.filter(Boolean).map(toSubscriptionResponse)
+            });
+        }
+
+        if (req.method === 'DELETE') {
+            const endpoint = req.query.endpoint || req.body?.endpoint;
+
+            if (!endpoint) {
+                return res.status(400).json({ error: 'endpoint is required' });
+            }
+
+            const rows = userRows(await readObjects('push_subscriptions'));
+            const existing = rows.find((row) => row.endpoint === endpoint);
+
+            if (!existing || !(await deleteObject('push_subscriptions', existing.id))) {
+                return res.status(404).json({ error: 'Subscription not found' });
+            }
+            await recordAudit(user, { action: 'delete', entity: 'push_subscription', before: toSubscriptionResponse(existing) });
+
+            return res.status(200).json({ success: true });
+        }
+
+        return res.status(405).json({ error: 'Method not allowed' });
+    } catch (error) {
+        if (error.message === 'No token provided' || error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        console.error('Reminders API error:', error);
+        return res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+};
@@ -0,0 +1,144 @@
+const { verifyToken, can, setCorsHeaders } = require('./lib/auth');
+const { readObjects, appendObjects, updateObject, updateObjects, generateId, nowIso } = require('./lib/storage');
+const { resolvePatient, belongsToPatient } = require('./lib/patients');
+const { recordAudit } = require('./lib/audit');
+const { isDeleted, isActive } = require('./lib/trash');
+
+// A reset stamps every live turn with the id of a new archives row in one batch
+// write instead of deleting them, so it can be undone by clearing that stamp. Turns in
+// the trash are stamped too, so restoring one later puts it back with the others.
+
+function toArchiveResponse(row) {
+    return {
+        id: row.id,
+        turnCount: parseInt(row.turn_count, 10) || 0,
+        createdBy: row.created_by || null,
+        createdAt: row.created_at,
+        restoredAt: row.restored_at || null
+    };
+}
+
+function sortArchives(rows) {
+    return [...rows].sort((a, b) => String(b.created_at || '').localeCompare(String(a.created_at || '')));
+}
+
+module.exports = async (req, res) => {
+    setCorsHeaders(res, 'GET, POST, DELETE, OPTIONS');
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        const user = await verifyToken(req);
+
+        const scope = await resolvePatient(req);
+        if (!scope) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        if (req.method === 'GET') {
+            const rows = (await readObjects('archives')).filter((row) => belongsToPatient(row, scope));
+            return res.status(200).json(sortArchives(rows).map(toArchiveResponse));
+        }
+
+        if (req.method === 'POST') {
+            if (!can(user, 'edit_settings')) {
+                return res.status(403).json({ error: 'Your role cannot reset turns' });
+            }
+
+            const rows = (await readObjects('turns')).filter((row) => !row.archive_id && belongsToPatient(row, scope));
+            const turns = rows.filter(isActive);
+
+            if (turns.length === 0) {
+                return res.status(400).json({ error: 'There are no turns to reset' });
+            }
+
+            const archiveId = generateId();
+            const archive = {
+                id: archiveId,
+                user_id: user.userId,
+                patient_id: scope.patient.id,
+                turn_count: String(turns.length),
+                created_by: user.displayName || user.userId || '',
+                created_at: nowIso(),
+                restored_at: ''
+            };
+
+            // The row goes in first: if stamping the turns then fails, the reset is still
+            // listed and undoing it brings back whatever was stamped
+            await appendObjects('archives', [archive]);
+
+            const changes = {};
+            rows.forEach((row) => {
+                changes[row.id] = { archive_id: archiveId };
+            });
+            await updateObjects('turns', changes);
+            await recordAudit(user, { action: 'reset', entity: 'archive', patientId: scope.patient.id, after: archive });
+
+            return res.status(201).json({ archiveId, count: turns.length });
+        }
+
+        if (req.method === 'DELETE') {
+            if (!can(user, 'edit_settings')) {
+                return res.status(403).json({ error: 'Your role cannot undo a reset' });
+            }
+
+            const archiveId = req.query.archiveId || req.body?.archiveId;
+
+            if (!archiveId) {
+                return res.status(400).json({ error: 'archiveId is required' });
+            }
+
+            const archive = (await readObjects('archives')).find(
+                (row) => row.id === archiveId && belongsToPatient(row, scope)
+            );
+            if (!archive) {
+                return res.status(404).json({ error: 'Reset not found' });
+            }
+            if (archive.restored_at) {
+                return res.status(409).json({ error: 'This reset has already been undone' });
+            }
+            // Its turns belong to a cycle that has since been closed
+            const laterCycle = (await readObjects('cycles')).some(
+                (row) => belongsToPatient(row, scope) && row.created_at > archive.created_at
+            );
+            if (laterCycle) {
+                return res.status(409).json({ error: 'A new treatment cycle has started since this reset' });
+            }
+
+            const rows = (await readObjects('turns')).filter((row) => belongsToPatient(row, scope));
+            const archived = rows.filter((row) => row.archive_id === archiveId);
+            const live = archived.filter((row) => !isDeleted(row));
+
+            // Turns logged since the reset win; the user removes them first to bring the old ones back
+            const clashes = live.filter((turn) => rows.some(
+                (row) => isActive(row) && row.date === turn.date && row.arch === turn.arch
+            ));
+            if (clashes.length > 0) {
+                return res.status(409).json({
+                    error: 'Turns have been logged since the reset on the same days',
+                    conflicts: clashes.map((turn) => ({ date: turn.date, arch: turn.arch }))
+                });
+            }
+
+            const changes = {};
+            archived.forEach((row) => {
+                changes[row.id] = { archive_id: '' };
+            });
+
+            await updateObjects('turns', changes);
+            const updated = await updateObject('archives', archiveId, { restored_at: nowIso() });
+            await recordAudit(user, { action: 'restore', entity: 'archive', patientId: scope.patient.id, before: archive, after: updated });
+
+            return res.status(200).json({ archiveId, count: live.length });
+        }
+
+        return res.status(405).json({ error: 'Method not allowed' });
+    } catch (error) {
+        if (error.message === 'No token provided' || error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        console.error('Reset API error:', error);
+        return res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+};
@@ -1,76 +1,162 @@
-const { verifyToken, setCorsHeaders } = require('./lib/auth');
-const { readObjects, overwriteObjects, nowIso, generateId } = require('./lib/sheets');
-
-const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const { verifyToken, can, setCorsHeaders } = require('./lib/auth');
+const { readObjects, appendObjects, updateObject, nowIso, generateId } = require('./lib/storage');
+const { resolvePatient, belongsToPatient } = require('./lib/patients');
+const { getExpectedVersion, isStale, toEtag } = require('./lib/concurrency');
+const { recordAudit } = require('./lib/audit');
+const {
+    ARCHES,
+    SCHEDULE_TYPES,
+    PHASE_SCHEDULE_TYPES,
+    toSettingsResponse
+} = require('./lib/settings');
+const { isValidDate } = require('./lib/turns');
+
+const MAX_PHASES = 20;
+const MAX_MM_PER_TURN = 2;
+
+// Each phase starts on a date or at a turn number, never both
+function parsePhase(phase, label) {
+    const { startsOn, startsAtTurn, scheduleType, intervalDays } = phase || {};
+    const hasDate = startsOn !== undefined && startsOn !== null && startsOn !== '';
+    const hasTurn = startsAtTurn !== undefined && startsAtTurn !== null && startsAtTurn !== '';
+
+    if (hasDate === hasTurn) {
+        return { error: `${label} needs either startsOn or startsAtTurn` };
+    }
+    if (hasDate && !isValidDate(startsOn)) {
+        return { error: `${label}.startsOn must be YYYY-MM-DD format` };
+    }
+    const turn = hasTurn ? parseInt(startsAtTurn, 10) : null;
+    if (hasTurn && (Number.isNaN(turn) || turn < 1 || turn > 999)) {
+        return { error: `${label}.startsAtTurn must be between 1 and 999` };
+    }
+    if (!PHASE_SCHEDULE_TYPES.includes(scheduleType)) {
+        return { error: `${label}.scheduleType must be "every_n_days", "twice_per_week" or "hold"` };
+    }
+    const interval = intervalDays !== undefined ? parseInt(intervalDays, 10) : 2;
+    if (Number.isNaN(interval) || interval < 1 || interval > 365) {
+        return { error: `${label}.intervalDays must be between 1 and 365` };
+    }
 
-function isValidDate(str) {
-    if (!str) return true;
-    if (!DATE_REGEX.test(str)) return false;
-    const d = new Date(str);
-    return !isNaN(d.getTime());
+    const start = hasDate ? { startsOn } : { startsAtTurn: turn };
+    return { value: { ...start, scheduleType, intervalDays: interval } };
 }
 
-function toInt(value, fallback) {
-    if (value === '' || value === null || value === undefined) return fallback;
-    const parsed = parseInt(value, 10);
-    return Number.isNaN(parsed) ? fallback : parsed;
-}
+// Validates one arch's schedule block; returns { error } or { value } with row columns
+function parseArchSchedule(arch, schedule) {
+    const { installDate, scheduleType, intervalDays, phases } = schedule || {};
+    const label = `schedules.${arch}`;
+
+    if (scheduleType && !SCHEDULE_TYPES.includes(scheduleType)) {
+        return { error: `${label}.scheduleType must be "every_n_days" or "twice_per_week"` };
+    }
+    const interval = intervalDays !== undefined ? parseInt(intervalDays, 10) : 2;
+    if (Number.isNaN(interval) || interval < 1 || interval > 365) {
+        return { error: `${label}.intervalDays must be between 1 and 365` };
+    }
+    if (installDate && !isValidDate(installDate)) {
+        return { error: `${label}.installDate must be YYYY-MM-DD format` };
+    }
+    if (phases !== undefined && !Array.isArray(phases)) {
+        return { error: `${label}.phases must be an array` };
+    }
+    if ((phases || []).length > MAX_PHASES) {
+        return { error: `${label}.phases can have at most ${MAX_PHASES} entries` };
+    }
+
+    const parsedPhases = [];
+    for (const [index, phase] of (phases || []).entries()) {
+        const parsed = parsePhase(phase, `${label}.phases[${index}]`);
+        if (parsed.error) {
+            return parsed;
+        }
+        parsedPhases.push(parsed.value);
+    }
 
-function getDefaultSettings() {
     return {
-        topTotal: 27,
-        bottomTotal: 23,
-        installDate: null,
-        scheduleType: 'every_n_days',
-        intervalDays: 2,
-        childName: 'Child'
+        value: {
+            [`${arch}_install_date`]: installDate || '',
+            [`${arch}_schedule_type`]: scheduleType || 'every_n_days',
+            [`${arch}_interval_days`]: String(interval),
+            [`${arch}_phases`]: parsedPhases.length > 0 ? JSON.stringify(parsedPhases) : ''
+        }
     };
 }
 
+function withoutUndefined(obj) {
+    return Object.fromEntries(Object.entries(obj || {}).filter(([, value]) => value !== undefined));
+}
+
 module.exports = async (req, res) => {
-    setCorsHeaders(res, 'GET, PUT, OPTIONS');
+    setCorsHeaders(res, 'GET, PUT, OPTIONS', 'Content-Type, Authorization, If-Match');
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
     }
 
     try {
-        verifyToken(req);
+        const user = await verifyToken(req);
+
+        const scope = await resolvePatient(req);
+        if (!scope) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
 
         if (req.method === 'GET') {
             const rows = await readObjects('settings');
-            const active = rows[0];
+            const active = rows.find((row) => belongsToPatient(row, scope));
 
-            if (!active) {
-                return res.status(200).json(getDefaultSettings());
-            }
-
-            return res.status(200).json({
-                topTotal: toInt(active.top_total, 27),
-                bottomTotal: toInt(active.bottom_total, 23),
-                installDate: active.install_date || null,
-                scheduleType: active.schedule_type || 'every_n_days',
-                intervalDays: toInt(active.interval_days, 2),
-                childName: active.child_name || 'Child'
-            });
+            res.setHeader('ETag', toEtag(active));
+            return res.status(200).json(toSettingsResponse(active, scope.patient));
         }
 
         if (req.method === 'PUT') {
+            if (!can(user, 'edit_settings')) {
+                return res.status(403).json({ error: 'Your role cannot change settings' });
+            }
+
+            const expected = getExpectedVersion(req);
+            if (!expected.provided) {
+                return res.status(428).json({ error: 'updatedAt (or If-Match) is required' });
+            }
+
             const {
                 topTotal,
                 bottomTotal,
+                topMmPerTurn,
+                bottomMmPerTurn,
+                schedules,
                 installDate,
                 scheduleType,
                 intervalDays,
                 childName
             } = req.body || {};
 
-            if (scheduleType && !['every_n_days', 'twice_per_week'].includes(scheduleType)) {
-                return res.status(400).json({ error: 'scheduleType must be "every_n_days" or "twice_per_week"' });
+            const rows = await readObjects('settings');
+            const existing = rows.find((row) => belongsToPatient(row, scope)) || null;
+
+            if (isStale(expected, existing)) {
+                return res.status(409).json({
+                    error: 'Settings were changed by someone else',
+                    current: toSettingsResponse(existing, scope.patient)
+                });
+            }
+
+            // A field left out of the body keeps its saved value (or the default, before the first save)
+            const current = toSettingsResponse(existing, scope.patient);
+
+            // Clients that predate per-arch schedules send one schedule for both arches
+            const scheduleColumns = {};
+            for (const arch of ARCHES) {
+                const given = schedules ? schedules[arch] : { installDate, scheduleType, intervalDays };
+                const parsed = parseArchSchedule(arch, { ...current.schedules[arch], ...withoutUndefined(given) });
+                if (parsed.error) {
+                    return res.status(400).json({ error: parsed.error });
+                }
+                Object.assign(scheduleColumns, parsed.value);
             }
 
-            const top = topTotal !== undefined ? parseInt(topTotal, 10) : 27;
-            const bottom = bottomTotal !== undefined ? parseInt(bottomTotal, 10) : 23;
-            const interval = intervalDays !== undefined ? parseInt(intervalDays, 10) : 2;
+            const top = topTotal !== undefined ? parseInt(topTotal, 10) : current.topTotal;
+            const bottom = bottomTotal !== undefined ? parseInt(bottomTotal, 10) : current.bottomTotal;
 
             if (Number.isNaN(top) || top < 1 || top > 999) {
                 return res.status(400).json({ error: 'topTotal must be between 1 and 999' });
@@ -78,39 +164,66 @@ module.exports = async (req, res) => {
             if (Number.isNaN(bottom) || bottom < 1 || bottom > 999) {
                 return res.status(400).json({ error: 'bottomTotal must be between 1 and 999' });
             }
-            if (Number.isNaN(interval) || interval < 1 || interval > 365) {
-                return res.status(400).json({ error: 'intervalDays must be between 1 and 365' });
-            }
-            if (!isValidDate(installDate)) {
-                return res.status(400).json({ error: 'installDate must be YYYY-MM-DD format' });
+
+            const mmPerTurn = {};
+            for (const [arch, value] of [['top', topMmPerTurn], ['bottom', bottomMmPerTurn]]) {
+                const mm = value !== undefined ? Number(value) : current[`${arch}MmPerTurn`];
+                if (!Number.isFinite(mm) || mm <= 0 || mm > MAX_MM_PER_TURN) {
+                    return res.status(400).json({ error: `${arch}MmPerTurn must be greater than 0 and at most ${MAX_MM_PER_TURN}` });
+                }
+                mmPerTurn[arch] = mm;
             }
 
-            const child = (childName || 'Child').toString().trim();
+            const child = (childName !== undefined ? childName || 'Child' : current.childName).toString().trim();
             if (child.length > 100) {
                 return res.status(400).json({ error: 'childName must be 100 characters or less' });
             }
 
-            const rows = await readObjects('settings');
-            const existing = rows[0] || null;
             const timestamp = nowIso();
 
             const activeRow = {
                 id: existing?.id || generateId(),
                 user_id: existing?.user_id || 'shared',
+                patient_id: scope.patient.id,
                 top_total: String(top),
                 bottom_total: String(bottom),
-                install_date: installDate || '',
-                schedule_type: scheduleType || 'every_n_days',
-                interval_days: String(interval),
+                // Superseded by the per-arch columns below
+                install_date: '',
+                schedule_type: '',
+                interval_days: '',
+                ...scheduleColumns,
+                top_mm_per_turn: String(mmPerTurn.top),
+                bottom_mm_per_turn: String(mmPerTurn.bottom),
                 child_name: child || 'Child',
                 created_at: existing?.created_at || timestamp,
                 updated_at: timestamp
             };
 
-            await overwriteObjects('settings', [activeRow]);
+            // The stored row keeps columns this PUT does not write (e.g. cycle_name)
+            let saved = activeRow;
+            if (existing) {
+                saved = await updateObject('settings', existing.id, activeRow);
+            } else {
+                await appendObjects('settings', [activeRow]);
+            }
+            await recordAudit(user, {
+                action: existing ? 'update' : 'create',
+                entity: 'settings',
+                patientId: scope.patient.id,
+                before: existing,
+                after: saved
+            });
 
-            return res.status(200).json({ success: true });
+            // The patient record owns the display name; keep it in step with the header edit.
+            if (activeRow.child_name !== scope.patient.name) {
+                await updateObject('patients', scope.patient.id, {
+                    name: activeRow.child_name,
+                    updated_at: timestamp
+                });
+            }
 
+            res.setHeader('ETag', toEtag(saved));
+            return res.status(200).json(toSettingsResponse(saved, { name: saved.child_name }));
         }
 
         return res.status(405).json({ error: 'Method not allowed' });
@@ -0,0 +1,76 @@
+const { verifyTypedToken, setCorsHeaders } = require('./lib/auth');
+const { readActiveObjects } = require('./lib/trash');
+const { resolvePatient, belongsToPatient, toPatientResponse } = require('./lib/patients');
+const { loadSettings } = require('./lib/settings');
+const { loadHolds } = require('./lib/holds');
+const { getActiveStartDate, getActiveCycleName, loadCycles } = require('./lib/cycles');
+const { isLive, loadShares } = require('./lib/shares');
+
+function newestFirst(rows) {
+    return [...rows].sort((a, b) => {
+        const dateCompare = String(b.date || '').localeCompare(String(a.date || ''));
+        if (dateCompare !== 0) return dateCompare;
+        return String(b.created_at || '').localeCompare(String(a.created_at || ''));
+    });
+}
+
+// Everything the read-only dashboard shows, in one read. Authorized by the `share` token
+// in the query string (issued by /api/shares) instead of a session, and only ever reads.
+module.exports = async (req, res) => {
+    setCorsHeaders(res, 'GET, OPTIONS', 'Content-Type');
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const link = verifyTypedToken(req.query.token, 'share');
+
+        const scope = await resolvePatient({ query: { patientId: link.patientId } });
+        if (!scope) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        // Revocation is only known to the row
+        const share = (await loadShares(scope)).find((row) => row.id === link.shareId);
+        if (!isLive(share)) {
+            return res.status(401).json({ error: 'This share link has expired or been revoked' });
+        }
+
+        const [settings, holds, cycleRows, turnRows, noteRows] = await Promise.all([
+            loadSettings(scope),
+            loadHolds(scope),
+            loadCycles(scope),
+            readActiveObjects('turns'),
+            readActiveObjects('treatment_notes')
+        ]);
+        const turns = turnRows.filter((row) => belongsToPatient(row, scope));
+
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).json({
+            share: {
+                label: share.label || '',
+                expiresAt: share.expires_at
+            },
+            patient: toPatientResponse(scope.patient),
+            settings,
+            turns: newestFirst(turns),
+            treatmentNotes: newestFirst(noteRows.filter((row) => belongsToPatient(row, scope))),
+            holds,
+            cycle: {
+                number: cycleRows.length + 1,
+                name: getActiveCycleName(settings, cycleRows),
+                startDate: getActiveStartDate(settings, turns)
+            }
+        });
+    } catch (error) {
+        if (error.message === 'No token provided' || error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'This share link has expired or been revoked' });
+        }
+        console.error('Share view error:', error);
+        return res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+};
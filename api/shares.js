@@ -0,0 +1,93 @@
+const { verifyToken, can, setCorsHeaders } = require('./lib/auth');
+const { appendObjects, updateObject, generateId, nowIso } = require('./lib/storage');
+const { recordAudit } = require('./lib/audit');
+const { resolvePatient } = require('./lib/patients');
+const { isLive, toShareResponse, loadShares, validateShare, getShareUrl } = require('./lib/shares');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = async (req, res) => {
+    setCorsHeaders(res, 'GET, POST, DELETE, OPTIONS');
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        const user = await verifyToken(req);
+        if (!can(user, 'share')) {
+            return res.status(403).json({ error: 'Only owners can manage share links' });
+        }
+
+        const scope = await resolvePatient(req);
+        if (!scope) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        // Links that still work come with their URL so they can be copied again
+        if (req.method === 'GET') {
+            const rows = await loadShares(scope);
+            return res.status(200).json(rows.map((row) => ({
+                ...toShareResponse(row),
+                url: isLive(row) ? getShareUrl(req, row) : null
+            })));
+        }
+
+        if (req.method === 'POST') {
+            const result = validateShare(req.body || {});
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+
+            const timestamp = nowIso();
+            const newRow = {
+                id: generateId(),
+                patient_id: scope.patient.id,
+                label: result.label,
+                expires_at: new Date(Date.now() + result.days * DAY_MS).toISOString(),
+                revoked_at: '',
+                created_by: user.displayName || user.userId,
+                created_at: timestamp,
+                updated_at: timestamp
+            };
+
+            await appendObjects('shares', [newRow]);
+            await recordAudit(user, { action: 'create', entity: 'share', patientId: scope.patient.id, after: newRow });
+
+            return res.status(201).json({ ...toShareResponse(newRow), url: getShareUrl(req, newRow) });
+        }
+
+        // Revoked rows are kept so the list shows who had access and until when
+        if (req.method === 'DELETE') {
+            const shareId = req.query.id || req.body?.id;
+
+            if (!shareId) {
+                return res.status(400).json({ error: 'Share ID is required' });
+            }
+
+            const existing = (await loadShares(scope)).find((row) => row.id === shareId);
+            if (!existing) {
+                return res.status(404).json({ error: 'Share link not found' });
+            }
+            if (existing.revoked_at) {
+                return res.status(200).json(toShareResponse(existing));
+            }
+
+            const timestamp = nowIso();
+            const updated = await updateObject('shares', shareId, { revoked_at: timestamp, updated_at: timestamp });
+            if (!updated) {
+                return res.status(404).json({ error: 'Share link not found' });
+            }
+            await recordAudit(user, { action: 'revoke', entity: 'share', patientId: scope.patient.id, before: existing, after: updated });
+
+            return res.status(200).json(toShareResponse(updated));
+        }
+
+        return res.status(405).json({ error: 'Method not allowed' });
+    } catch (error) {
+        if (error.message === 'No token provided' || error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        console.error('Shares API error:', error);
+        return res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+};
@@ -0,0 +1,118 @@
+const { verifyToken, can, setCorsHeaders } = require('./lib/auth');
+const { readObjects, deleteObject } = require('./lib/storage');
+const { resolvePatient, belongsToPatient } = require('./lib/patients');
+const { recordAudit } = require('./lib/audit');
+const { TRASH_TABS, isDeleted, isSameArchive, restoreFromTrash, getPurgeDate } = require('./lib/trash');
+
+function toTrashItem(entity, row) {
+    return {
+        entity,
+        id: row.id,
+        date: row.date,
+        arch: row.arch || null,
+        note: row.note || '',
+        deletedAt: row.deleted_at,
+        deletedBy: row.deleted_by || null,
+        purgeAfter: getPurgeDate(row).toISOString()
+    };
+}
+
+async function readTrash(tab, scope) {
+    return (await readObjects(tab)).filter((row) => isDeleted(row) && belongsToPatient(row, scope));
+}
+
+async function purge(user, scope, entity, row) {
+    const removed = await deleteObject(TRASH_TABS[entity], row.id);
+    if (removed) {
+        await recordAudit(user, { action: 'purge', entity, patientId: scope.patient.id, before: row });
+    }
+    return removed;
+}
+
+module.exports = async (req, res) => {
+    setCorsHeaders(res, 'GET, POST, DELETE, OPTIONS');
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        const user = await verifyToken(req);
+        if (!can(user, 'restore')) {
+            return res.status(403).json({ error: 'Your role cannot use the trash' });
+        }
+
+        const scope = await resolvePatient(req);
+        if (!scope) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        // Lists the trash, first purging anything past its retention
+        if (req.method === 'GET') {
+            const now = new Date();
+            const items = [];
+
+            for (const [entity, tab] of Object.entries(TRASH_TABS)) {
+                for (const row of await readTrash(tab, scope)) {
+                    if (getPurgeDate(row) <= now) {
+                        await purge(user, scope, entity, row);
+                    } else {
+                        items.push(toTrashItem(entity, row));
+                    }
+                }
+            }
+
+            items.sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt)));
+            return res.status(200).json(items);
+        }
+
+        if (req.method !== 'POST' && req.method !== 'DELETE') {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        // POST restores an item; DELETE purges it now
+        const { entity, id } = req.method === 'DELETE' ? req.query : req.body || {};
+        const tab = TRASH_TABS[entity];
+
+        if (!tab || !id) {
+            return res.status(400).json({ error: 'entity ("turn" or "treatment_note") and id are required' });
+        }
+
+        const rows = await readObjects(tab);
+        const existing = rows.find((row) => row.id === id && isDeleted(row) && belongsToPatient(row, scope));
+        if (!existing) {
+            return res.status(404).json({ error: 'Item not found in trash' });
+        }
+
+        if (req.method === 'POST') {
+            // A turn put away by a reset or a finished cycle goes back there, not into the current one
+            if (entity === 'turn') {
+                const duplicate = rows.find(
+                    (row) => !isDeleted(row) && belongsToPatient(row, scope) && isSameArchive(row, existing) &&
+                        row.date === existing.date && row.arch === existing.arch
+                );
+                if (duplicate) {
+                    return res.status(409).json({ error: 'A turn for this date and arch already exists' });
+                }
+            }
+
+            const restored = await restoreFromTrash(tab, id);
+            if (!restored) {
+                return res.status(404).json({ error: 'Item not found in trash' });
+            }
+            await recordAudit(user, { action: 'restore', entity, patientId: scope.patient.id, before: existing, after: restored });
+
+            return res.status(200).json(restored);
+        }
+
+        if (!(await purge(user, scope, entity, existing))) {
+            return res.status(404).json({ error: 'Item not found in trash' });
+        }
+        return res.status(200).json({ success: true });
+    } catch (error) {
+        if (error.message === 'No token provided' || error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        console.error('Trash API error:', error);
+        return res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+};
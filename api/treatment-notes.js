@@ -1,15 +1,13 @@
-const { verifyToken, setCorsHeaders } = require('./lib/auth');
-const { readObjects, overwriteObjects, generateId, nowIso } = require('./lib/sheets');
+const { verifyToken, can, setCorsHeaders } = require('./lib/auth');
+const { readObjects, appendObjects, updateObject, generateId, nowIso } = require('./lib/storage');
+const { recordAudit } = require('./lib/audit');
+const { readActiveObjects, moveToTrash } = require('./lib/trash');
+const { resolvePatient, belongsToPatient } = require('./lib/patients');
+const { getExpectedVersion, isStale } = require('./lib/concurrency');
+const { isValidDate } = require('./lib/turns');
 
-const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
 const MAX_NOTE_LENGTH = 2000;
-
-function isValidDate(str) {
-    if (!str) return false;
-    if (!DATE_REGEX.test(str)) return false;
-    const d = new Date(str);
-    return !isNaN(d.getTime());
-}
+const CLIENT_ID_REGEX = /^[A-Za-z0-9-]{8,64}$/;
 
 function validateNote(note) {
     const n = (note || '').toString().trim();
@@ -20,6 +18,11 @@ function validateNote(note) {
     return { valid: true, value: n };
 }
 
+// Stored as 'true' or '' so the sheet stays readable
+function toAppointmentFlag(value) {
+    return value === true || value === 'true' ? 'true' : '';
+}
+
 function sortNotes(rows) {
     return [...rows].sort((a, b) => {
         const dateCompare = String(b.date || '').localeCompare(String(a.date || ''));
@@ -29,22 +32,35 @@ function sortNotes(rows) {
 }
 
 module.exports = async (req, res) => {
-    setCorsHeaders(res, 'GET, POST, PUT, DELETE, OPTIONS');
+    setCorsHeaders(res, 'GET, POST, PUT, DELETE, OPTIONS', 'Content-Type, Authorization, If-Match');
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
     }
 
     try {
-        verifyToken(req);
+        const user = await verifyToken(req);
+
+        const scope = await resolvePatient(req);
+        if (!scope) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
 
         if (req.method === 'GET') {
-            const rows = await readObjects('treatment_notes');
+            const rows = (await readActiveObjects('treatment_notes')).filter((row) => belongsToPatient(row, scope));
             return res.status(200).json(sortNotes(rows));
 
         }
 
         if (req.method === 'POST') {
-            const { date, note } = req.body || {};
+            if (!can(user, 'edit_notes')) {
+                return res.status(403).json({ error: 'Your role cannot change treatment notes' });
+            }
+
+            const { id, date, note, isAppointment } = req.body || {};
+
+            if (id !== undefined && !CLIENT_ID_REGEX.test(String(id))) {
+                return res.status(400).json({ error: 'id must be 8-64 letters, digits or dashes' });
+            }
 
             if (!date) {
                 return res.status(400).json({ error: 'date is required' });
@@ -57,31 +73,53 @@ module.exports = async (req, res) => {
                 return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
             }
 
-            const rows = await readObjects('treatment_notes');
+            // Offline clients send their own id so a replayed create is a no-op
+            if (id) {
+                const rows = await readObjects('treatment_notes');
+                const existing = rows.find((row) => row.id === id);
+                if (existing) {
+                    if (!belongsToPatient(existing, scope)) {
+                        return res.status(409).json({ error: 'id is already in use' });
+                    }
+                    return res.status(200).json(existing);
+                }
+            }
+
             const timestamp = nowIso();
 
             const newRow = {
-                id: generateId(),
-                user_id: 'shared',
+                id: id || generateId(),
+                user_id: user.userId,
+                patient_id: scope.patient.id,
                 date,
                 note: noteResult.value,
+                is_appointment: toAppointmentFlag(isAppointment),
                 created_at: timestamp,
-                updated_at: timestamp
+                updated_at: timestamp,
+                logged_by: user.displayName || user.userId || ''
             };
 
-            const nextRows = [...rows, newRow];
-            await overwriteObjects('treatment_notes', nextRows);
+            await appendObjects('treatment_notes', [newRow]);
+            await recordAudit(user, { action: 'create', entity: 'treatment_note', patientId: scope.patient.id, after: newRow });
 
             return res.status(201).json(newRow);
 
         }
 
         if (req.method === 'PUT') {
-            const { id, date, note } = req.body || {};
+            if (!can(user, 'edit_notes')) {
+                return res.status(403).json({ error: 'Your role cannot change treatment notes' });
+            }
+
+            const { id, date, note, isAppointment } = req.body || {};
 
             if (!id) {
                 return res.status(400).json({ error: 'id is required' });
             }
+            const expected = getExpectedVersion(req);
+            if (!expected.provided) {
+                return res.status(428).json({ error: 'updatedAt (or If-Match) is required' });
+            }
             if (!date) {
                 return res.status(400).json({ error: 'date is required' });
             }
@@ -93,42 +131,59 @@ module.exports = async (req, res) => {
                 return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
             }
 
-            const rows = await readObjects('treatment_notes');
-            const index = rows.findIndex((row) => row.id === id);
+            const rows = await readActiveObjects('treatment_notes');
+            const existing = rows.find((row) => row.id === id && belongsToPatient(row, scope));
 
-            if (index === -1) {
+            if (!existing) {
                 return res.status(404).json({ error: 'Treatment note not found' });
             }
+            if (isStale(expected, existing)) {
+                return res.status(409).json({
+                    error: 'Treatment note was changed by someone else',
+                    current: existing
+                });
+            }
 
-            const existing = rows[index];
-            rows[index] = {
-                ...existing,
+            const changes = {
+                patient_id: scope.patient.id,
                 date,
                 note: noteResult.value,
                 updated_at: nowIso()
             };
+            if (isAppointment !== undefined) {
+                changes.is_appointment = toAppointmentFlag(isAppointment);
+            }
 
-            await overwriteObjects('treatment_notes', rows);
+            const updated = await updateObject('treatment_notes', id, changes);
 
-            return res.status(200).json(rows[index]);
+            if (!updated) {
+                return res.status(404).json({ error: 'Treatment note not found' });
+            }
+            await recordAudit(user, { action: 'update', entity: 'treatment_note', patientId: scope.patient.id, before: existing, after: updated });
+
+            return res.status(200).json(updated);
 
         }
 
         if (req.method === 'DELETE') {
+            if (!can(user, 'edit_notes')) {
+                return res.status(403).json({ error: 'Your role cannot change treatment notes' });
+            }
+
             const noteId = req.query.id || req.body?.id;
 
             if (!noteId) {
                 return res.status(400).json({ error: 'Note ID is required' });
             }
 
-            const rows = await readObjects('treatment_notes');
-            const filtered = rows.filter((row) => row.id !== noteId);
+            const rows = await readActiveObjects('treatment_notes');
+            const existing = rows.find((row) => row.id === noteId && belongsToPatient(row, scope));
+            const trashed = existing && (await moveToTrash('treatment_notes', noteId, user));
 
-            if (filtered.length === rows.length) {
+            if (!trashed) {
                 return res.status(404).json({ error: 'Treatment note not found' });
             }
-
-            await overwriteObjects('treatment_notes', filtered);
+            await recordAudit(user, { action: 'delete', entity: 'treatment_note', patientId: scope.patient.id, before: existing, after: trashed });
 
             return res.status(200).json({ success: true });
         }
@@ -1,14 +1,61 @@
-const { verifyToken, setCorsHeaders } = require('./lib/auth');
-const { readObjects, overwriteObjects, generateId, nowIso } = require('./lib/sheets');
+const { verifyToken, can, setCorsHeaders } = require('./lib/auth');
+const { appendObjects, generateId, nowIso } = require('./lib/storage');
+const { recordAudit } = require('./lib/audit');
+const { readActiveObjects, moveToTrash } = require('./lib/trash');
+const { resolvePatient, belongsToPatient } = require('./lib/patients');
+const { loadScheduleSettings } = require('./lib/holds');
+const { isValidTimeZone, getLocalParts } = require('./lib/time');
+const { MAX_NOTE_LENGTH, validateTurn, findDuplicateTurn } = require('./lib/turns');
+const { isComplete, canLogTurn, getNextDueDate, addDays } = require('../shared/schedule');
+
+function describeScheduleBlock(arch, check) {
+    const label = arch === 'top' ? 'Top' : 'Bottom';
+    if (check.reason === 'complete') {
+        return `${label} arch has reached its total turns`;
+    }
+    if (check.reason === 'hold') {
+        return `${label} arch is on hold`;
+    }
+    if (check.reason === 'paused') {
+        return check.resumesOn ? `${label} arch is paused; turns resume on ${check.resumesOn}` : `${label} arch is paused`;
+    }
+    if (check.daysRemaining != null) {
+        return `${label} turn is not due for ${check.daysRemaining} more day(s)`;
+    }
+    return check.message ? `${label}: ${check.message}` : `${label} turn is not due yet`;
+}
+
+// Checks a turn as of its own day. Every turn of the arch counts toward the total, but the
+// interval is measured from the turns before it; a backfill must also leave each later
+// turn of the arch still due on the day it was logged.
+function checkTurnDate(settings, turns, turn) {
+    if (isComplete(settings, turns, turn.arch)) {
+        return { canLog: false, reason: 'complete', nextDueDate: null };
+    }
 
-const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
-const MAX_NOTE_LENGTH = 2000;
+    const earlier = turns.filter((row) => row.date < turn.date);
+    const check = canLogTurn(settings, earlier, turn.arch, turn.date);
+    if (!check.canLog) {
+        return { ...check, nextDueDate: getNextDueDate(settings, earlier, turn.arch, turn.date) };
+    }
 
-function isValidDate(str) {
-    if (!str) return false;
-    if (!DATE_REGEX.test(str)) return false;
-    const d = new Date(str);
-    return !isNaN(d.getTime());
+    const later = turns
+        .filter((row) => row.arch === turn.arch && row.date > turn.date)
+        .sort((a, b) => a.date.localeCompare(b.date));
+    for (const next of later) {
+        const before = turns.filter((row) => row.date < next.date);
+        // Only blocks that the new turn causes; an earlier override may already be too close
+        if (canLogTurn(settings, before, next.arch, next.date).reason === 'wait') continue;
+        if (canLogTurn(settings, [...before, turn], next.arch, next.date).reason === 'wait') {
+            return {
+                canLog: false,
+                reason: 'wait',
+                message: `too close to the turn already logged on ${next.date}`,
+                nextDueDate: null
+            };
+        }
+    }
+    return { canLog: true };
 }
 
 function sortTurns(rows) {
@@ -26,45 +73,73 @@ module.exports = async (req, res) => {
     }
 
     try {
-        verifyToken(req);
+        const user = await verifyToken(req);
+
+        const scope = await resolvePatient(req);
+        if (!scope) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
 
         if (req.method === 'GET') {
-            const rows = await readObjects('turns');
+            const rows = (await readActiveObjects('turns')).filter((row) => belongsToPatient(row, scope));
             return res.status(200).json(sortTurns(rows));
 
         }
 
         if (req.method === 'POST') {
-            const { turns } = req.body || {};
+            if (!can(user, 'log_turns')) {
+                return res.status(403).json({ error: 'Your role cannot log turns' });
+            }
+
+            const { turns, override, timezone, queuedAt } = req.body || {};
 
             if (!Array.isArray(turns) || turns.length === 0) {
                 return res.status(400).json({ error: 'turns must be a non-empty array' });
             }
 
-            const existingRows = await readObjects('turns');
+            // The family's today. Without a timezone the client's day may be either side of UTC's.
+            const hasTimeZone = isValidTimeZone(timezone);
+            const now = new Date();
+            const today = getLocalParts(now, hasTimeZone ? timezone : 'UTC').date;
+            const latestDate = hasTimeZone ? today : addDays(today, 1);
+            // A turn queued offline was logged when it was queued, not when it is replayed
+            const queued = queuedAt ? new Date(queuedAt) : now;
+            const local = getLocalParts(queued < now ? queued : now, hasTimeZone ? timezone : 'UTC');
+            const backfillBefore = hasTimeZone ? local.date : addDays(local.date, -1);
+
+            const [existingRows, settings] = await Promise.all([
+                readActiveObjects('turns'),
+                loadScheduleSettings(scope)
+            ]);
 
             for (const turn of turns) {
-                if (!turn.date || !turn.arch) {
-                    return res.status(400).json({ error: 'Each turn must have date and arch' });
-                }
-                if (!['top', 'bottom'].includes(turn.arch)) {
-                    return res.status(400).json({ error: 'arch must be "top" or "bottom"' });
-                }
-                if (!isValidDate(turn.date)) {
-                    return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
+                const invalid = validateTurn(turn, settings, latestDate);
+                if (invalid) {
+                    return res.status(400).json({ error: invalid });
                 }
 
-                const note = turn.note ? String(turn.note).trim() : '';
-                if (note.length > MAX_NOTE_LENGTH) {
-                    return res.status(400).json({ error: `note must be ${MAX_NOTE_LENGTH} characters or less` });
+                if (findDuplicateTurn(existingRows, scope, turn)) {
+                    return res.status(409).json({ error: 'A turn for this date and arch already exists' });
                 }
+            }
 
-                const duplicate = existingRows.find(
-                    (row) => row.date === turn.date && row.arch === turn.arch
-                );
-
-                if (duplicate) {
-                    return res.status(409).json({ error: 'A turn for this date and arch already exists' });
+            // Orthodontist-approved exceptions skip the schedule and are marked on the row
+            const overridden = override === true;
+            if (!overridden) {
+                const accepted = existingRows.filter((row) => belongsToPatient(row, scope));
+
+                for (const turn of turns) {
+                    const check = checkTurnDate(settings, accepted, turn);
+                    if (!check.canLog) {
+                        return res.status(422).json({
+                            error: describeScheduleBlock(turn.arch, check),
+                            reason: check.reason,
+                            arch: turn.arch,
+                            daysRemaining: check.daysRemaining ?? null,
+                            nextDueDate: check.nextDueDate
+                        });
+                    }
+                    accepted.push(turn);
                 }
             }
 
@@ -72,35 +147,51 @@ module.exports = async (req, res) => {
 
             const newRows = turns.map((turn) => ({
                 id: generateId(),
-                user_id: 'shared',
+                user_id: user.userId,
+                patient_id: scope.patient.id,
                 date: turn.date,
                 arch: turn.arch,
                 note: turn.note ? String(turn.note).trim().slice(0, MAX_NOTE_LENGTH) : '',
-                created_at: timestamp
+                created_at: timestamp,
+                override: overridden ? 'true' : '',
+                // Clients send the time; otherwise a turn for today was done about now
+                time: turn.time || (hasTimeZone && turn.date === local.date ? local.time : ''),
+                // Recorded after the day it happened
+                backfilled: turn.date < backfillBefore ? 'true' : '',
+                logged_by: user.displayName || user.userId || ''
             }));
 
-            const allRows = [...existingRows, ...newRows];
-            await overwriteObjects('turns', allRows);
+            await appendObjects('turns', newRows);
+            await recordAudit(user, newRows.map((row) => ({
+                action: 'create',
+                entity: 'turn',
+                patientId: scope.patient.id,
+                after: row
+            })));
 
             return res.status(201).json(newRows);
 
         }
 
         if (req.method === 'DELETE') {
+            if (!can(user, 'log_turns')) {
+                return res.status(403).json({ error: 'Your role cannot undo turns' });
+            }
+
             const turnId = req.query.id || req.body?.id;
 
             if (!turnId) {
                 return res.status(400).json({ error: 'Turn ID is required' });
             }
 
-            const rows = await readObjects('turns');
-            const filtered = rows.filter((row) => row.id !== turnId);
+            const rows = await readActiveObjects('turns');
+            const existing = rows.find((row) => row.id === turnId && belongsToPatient(row, scope));
+            const trashed = existing && (await moveToTrash('turns', turnId, user));
 
-            if (filtered.length === rows.length) {
+            if (!trashed) {
                 return res.status(404).json({ error: 'Turn not found' });
             }
-
-            await overwriteObjects('turns', filtered);
+            await recordAudit(user, { action: 'delete', entity: 'turn', patientId: scope.patient.id, before: existing, after: trashed });
 
             return res.status(200).json({ success: true });
         }
@@ -0,0 +1,168 @@
+const { verifyToken, can, setCorsHeaders } = require('./lib/auth');
+const { appendObjects, updateObject, generateId, nowIso } = require('./lib/storage');
+const { recordAudit } = require('./lib/audit');
+const {
+    listUsers,
+    hashPassword,
+    generatePassword,
+    getTokenVersion,
+    findUserByName,
+    validateUsername,
+    validateDisplayName,
+    validateRole,
+    validatePassword,
+    toUserResponse,
+    toAuditSnapshot
+} = require('./lib/users');
+
+// An owner-chosen password, or a generated one that is returned once so the owner can pass it on
+async function choosePassword(password) {
+    if (password === undefined || password === null || password === '') {
+        const generated = generatePassword();
+        return { hash: await hashPassword(generated), temporaryPassword: generated };
+    }
+    const result = validatePassword(password);
+    if (!result.valid) {
+        return { error: result.error };
+    }
+    return { hash: await hashPassword(result.value) };
+}
+
+module.exports = async (req, res) => {
+    setCorsHeaders(res, 'GET, POST, PUT, OPTIONS');
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    try {
+        const user = await verifyToken(req);
+
+        if (!can(user, 'manage_users')) {
+            return res.status(403).json({ error: 'Only owners can manage people' });
+        }
+        const users = await listUsers();
+        const actor = users.find((row) => row.id === user.userId);
+
+        if (req.method === 'GET') {
+            const sorted = [...users].sort((a, b) => String(a.username).localeCompare(String(b.username)));
+            return res.status(200).json(sorted.map(toUserResponse));
+        }
+
+        // Invite: the account works as soon as the owner shares the password
+        if (req.method === 'POST') {
+            const { username, displayName, password, role = 'caregiver' } = req.body || {};
+
+            const usernameResult = validateUsername(username);
+            if (!usernameResult.valid) {
+                return res.status(400).json({ error: usernameResult.error });
+            }
+            const nameResult = validateDisplayName(displayName, usernameResult.value);
+            if (!nameResult.valid) {
+                return res.status(400).json({ error: nameResult.error });
+            }
+            const roleResult = validateRole(role);
+            if (!roleResult.valid) {
+                return res.status(400).json({ error: roleResult.error });
+            }
+            if (findUserByName(users, usernameResult.value)) {
+                return res.status(409).json({ error: 'That username is already taken' });
+            }
+            const chosen = await choosePassword(password);
+            if (chosen.error) {
+                return res.status(400).json({ error: chosen.error });
+            }
+
+            const timestamp = nowIso();
+            const newRow = {
+                id: generateId(),
+                username: usernameResult.value,
+                display_name: nameResult.value,
+                password_hash: chosen.hash,
+                is_admin: '',
+                disabled_at: '',
+                created_at: timestamp,
+                updated_at: timestamp,
+                role: roleResult.value,
+                token_version: ''
+            };
+
+            await appendObjects('users', [newRow]);
+            await recordAudit(user, { action: 'create', entity: 'user', after: toAuditSnapshot(newRow) });
+
+            return res.status(201).json({ user: toUserResponse(newRow), temporaryPassword: chosen.temporaryPassword || null });
+        }
+
+        // Rename, disable or re-enable, change the role, reset the password
+        if (req.method === 'PUT') {
+            const { id, displayName, role, disabled, resetPassword, password } = req.body || {};
+
+            if (!id) {
+                return res.status(400).json({ error: 'id is required' });
+            }
+            const existing = users.find((row) => row.id === id);
+            if (!existing) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+            // Keeps at least one owner who can get back in
+            if (existing.id === actor.id && (disabled === true || (role !== undefined && role !== 'owner'))) {
+                return res.status(400).json({ error: 'You cannot disable your own account or change your own role' });
+            }
+
+            const changes = {};
+            if (displayName !== undefined) {
+                const nameResult = validateDisplayName(displayName, existing.username);
+                if (!nameResult.valid) {
+                    return res.status(400).json({ error: nameResult.error });
+                }
+                changes.display_name = nameResult.value;
+            }
+            if (role !== undefined) {
+                const roleResult = validateRole(role);
+                if (!roleResult.valid) {
+                    return res.status(400).json({ error: roleResult.error });
+                }
+                changes.role = roleResult.value;
+            }
+            if (typeof disabled === 'boolean') {
+                changes.disabled_at = disabled ? (existing.disabled_at || nowIso()) : '';
+            }
+            let temporaryPassword = null;
+            if (resetPassword === true || password) {
+                const chosen = await choosePassword(password);
+                if (chosen.error) {
+                    return res.status(400).json({ error: chosen.error });
+                }
+                changes.password_hash = chosen.hash;
+                temporaryPassword = chosen.temporaryPassword || null;
+            }
+            // Ends the person's sessions everywhere; enabling the account later doesn't revive them
+            if (changes.password_hash || (disabled === true && !existing.disabled_at)) {
+                changes.token_version = String(getTokenVersion(existing) + 1);
+            }
+            if (Object.keys(changes).length === 0) {
+                return res.status(400).json({ error: 'Nothing to update' });
+            }
+
+            const updated = await updateObject('users', id, { ...changes, updated_at: nowIso() });
+            if (!updated) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+            await recordAudit(user, {
+                action: 'update',
+                entity: 'user',
+                before: toAuditSnapshot(existing),
+                after: toAuditSnapshot(updated)
+            });
+
+            return res.status(200).json({ user: toUserResponse(updated), temporaryPassword });
+        }
+
+        return res.status(405).json({ error: 'Method not allowed' });
+    } catch (error) {
+        if (error.message === 'No token provided' || error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        console.error('Users API error:', error);
+        return res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+};
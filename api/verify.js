@@ -12,14 +12,15 @@ module.exports = async (req, res) => {
     }
 
     try {
-        const decoded = verifyToken(req);
+        const decoded = await verifyToken(req);
 
         return res.status(200).json({
             valid: true,
             user: {
                 userId: decoded.userId,
                 username: decoded.username,
-                displayName: decoded.displayName
+                displayName: decoded.displayName,
+                role: decoded.role
             }
         });
 
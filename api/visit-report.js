@@ -0,0 +1,238 @@
+const { verifyToken, can, setCorsHeaders } = require('./lib/auth');
+const { readActiveObjects } = require('./lib/trash');
+const { resolvePatient, belongsToPatient } = require('./lib/patients');
+const { ARCHES, describePhases } = require('./lib/settings');
+const { formatMm, describeCadence } = require('../shared/format');
+const { loadScheduleSettings } = require('./lib/holds');
+const { getActiveStartDate, getActiveCycleName, loadCycles } = require('./lib/cycles');
+const { isValidTimeZone, getLocalParts } = require('./lib/time');
+const { isValidDate } = require('./lib/turns');
+const { createPdfDocument, CONTENT_WIDTH } = require('./lib/pdf');
+const {
+    INSTALL_TURN,
+    getProjectedCompletionDate,
+    computeAdherence,
+    summarizeAdherence,
+    isComplete
+} = require('../shared/schedule');
+
+const ARCH_LABELS = { top: 'Top', bottom: 'Bottom' };
+const STATUS_LABELS = { on_time: 'On time', late: 'Late', missed: 'Missed' };
+
+function formatDate(date) {
+    if (!date) return '-';
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+        timeZone: 'UTC',
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric'
+    });
+}
+
+// 'HH:MM' -> '8:42pm', as the app shows it
+function formatTime(time) {
+    if (!time) return '';
+    const [hours, minutes] = time.split(':').map(Number);
+    return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')}${hours < 12 ? 'am' : 'pm'}`;
+}
+
+function columns(labels, widths) {
+    const scale = CONTENT_WIDTH / widths.reduce((sum, width) => sum + width, 0);
+    return labels.map((label, i) => ({ label, width: widths[i] * scale }));
+}
+
+function buildReport({ settings, cycleName, cycleStart, turns, notes, from, to, today }) {
+    const doc = createPdfDocument({ title: `${settings.childName} visit report` });
+    const inRange = (date) => date >= from && date <= to;
+    // Adherence can't be judged past today
+    const asOf = to < today ? to : today;
+
+    doc.text(`${settings.childName}: expander visit report`, { size: 18, bold: true });
+    doc.text(`${formatDate(from)} – ${formatDate(to)} · generated ${formatDate(today)}`, { gray: 0.35 });
+    doc.text(`Treatment cycle: ${cycleName}${cycleStart ? `, since ${formatDate(cycleStart)}` : ''}`, { gray: 0.35 });
+
+    doc.heading('Schedule');
+    doc.table(
+        columns(['Arch', 'Installed', 'Schedule', 'Turns', 'Expansion', 'Finish'], [50, 80, 150, 55, 85, 92]),
+        ARCHES.map((arch) => {
+            const schedule = settings.schedules[arch];
+            const total = settings[`${arch}Total`];
+            const mmPerTurn = settings[`${arch}MmPerTurn`];
+            const done = Math.min(INSTALL_TURN + turns.filter((turn) => turn.arch === arch).length, total);
+            const finish = getProjectedCompletionDate(settings, turns, arch, today);
+            const phases = describePhases(schedule.phases);
+            return [
+                ARCH_LABELS[arch],
+                formatDate(schedule.installDate),
+                phases ? `${describeCadence(schedule)}; ${phases}` : describeCadence(schedule),
+                `${done} / ${total}`,
+                `${formatMm(done * mmPerTurn)} / ${formatMm(total * mmPerTurn)} mm`,
+                finish ? `${isComplete(settings, turns, arch) ? 'Done' : 'Projected'} ${formatDate(finish)}` : '-'
+            ];
+        })
+    );
+
+    const holds = settings.holds.filter((hold) => hold.startDate <= to && hold.endDate >= from);
+    if (holds.length > 0) {
+        doc.space(6);
+        holds.forEach((hold) => {
+            const arches = hold.arch ? `${ARCH_LABELS[hold.arch]} arch` : 'Both arches';
+            doc.text(`Hold: ${arches} paused ${formatDate(hold.startDate)} – ${formatDate(hold.endDate)}${hold.reason ? ` (${hold.reason})` : ''}`, { size: 9 });
+        });
+    }
+
+    doc.heading('Adherence');
+    const adherence = {};
+    ARCHES.forEach((arch) => {
+        const events = computeAdherence(settings, turns, arch, asOf).events.filter((event) => inRange(event.dueDate));
+        adherence[arch] = summarizeAdherence(events);
+    });
+    doc.table(
+        columns(['Arch', 'Due', 'On time', 'Late', 'Missed', 'Adherence', 'Longest streak'], [60, 50, 60, 50, 55, 75, 90]),
+        ARCHES.map((arch) => {
+            const summary = adherence[arch];
+            return [
+                ARCH_LABELS[arch],
+                summary.due,
+                summary.onTime,
+                summary.late,
+                summary.missed,
+                summary.adherencePercent === null ? '-' : `${summary.adherencePercent}%`,
+                summary.longestStreak
+            ];
+        })
+    );
+    const problems = ARCHES.flatMap((arch) => adherence[arch].events
+        .filter((event) => event.status !== 'on_time')
+        .map((event) => ({ ...event, arch })))
+        .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+    if (problems.length > 0) {
+        doc.space(8);
+        doc.table(
+            columns(['Due', 'Arch', 'Status', 'Done'], [100, 80, 80, 252]),
+            problems.map((event) => [
+                formatDate(event.dueDate),
+                ARCH_LABELS[event.arch],
+                STATUS_LABELS[event.status],
+                event.status === 'late' ? `${formatDate(event.turnDate)} (${event.daysLate} day(s) late)` : ''
+            ])
+        );
+    }
+
+    ARCHES.forEach((arch) => {
+        doc.heading(`${ARCH_LABELS[arch]} arch turns`);
+        // Numbered across the whole cycle, counting the orthodontist's install turn
+        const archTurns = turns
+            .filter((turn) => turn.arch === arch)
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map((turn, index) => ({ ...turn, number: INSTALL_TURN + index + 1 }))
+            .filter((turn) => inRange(turn.date));
+        if (archTurns.length === 0) {
+            doc.text('No turns in this period.', { size: 9, gray: 0.35 });
+            return;
+        }
+        doc.table(
+            columns(['#', 'Date', 'Time', 'Logged by', 'Note'], [30, 90, 60, 100, 232]),
+            archTurns.map((turn) => [
+                turn.number,
+                formatDate(turn.date),
+                formatTime(turn.time),
+                turn.logged_by || '',
+                [turn.override === 'true' ? 'Approved exception.' : '', turn.note || ''].filter(Boolean).join(' ')
+            ])
+        );
+    });
+
+    doc.heading('Treatment notes');
+    const periodNotes = notes
+        .filter((note) => inRange(note.date))
+        .sort((a, b) => a.date.localeCompare(b.date));
+    if (periodNotes.length === 0) {
+        doc.text('No treatment notes in this period.', { size: 9, gray: 0.35 });
+    } else {
+        doc.table(
+            columns(['Date', 'Type', 'Note'], [90, 80, 342]),
+            periodNotes.map((note) => [
+                formatDate(note.date),
+                note.is_appointment === 'true' ? 'Appointment' : 'Note',
+                note.note
+            ])
+        );
+    }
+
+    return doc.toBuffer();
+}
+
+module.exports = async (req, res) => {
+    setCorsHeaders(res, 'GET, OPTIONS');
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const user = await verifyToken(req);
+        if (!can(user, 'export')) {
+            return res.status(403).json({ error: 'Your role cannot download visit reports' });
+        }
+
+        const scope = await resolvePatient(req);
+        if (!scope) {
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        const timezone = req.query.timezone || 'UTC';
+        if (!isValidTimeZone(timezone)) {
+            return res.status(400).json({ error: 'timezone must be an IANA timezone name' });
+        }
+        const today = getLocalParts(new Date(), timezone).date;
+
+        const { from: fromParam, to: toParam } = req.query;
+        if ((fromParam && !isValidDate(fromParam)) || (toParam && !isValidDate(toParam))) {
+            return res.status(400).json({ error: 'from and to must be in YYYY-MM-DD format' });
+        }
+
+        const [settings, cycleRows, turnRows, noteRows] = await Promise.all([
+            loadScheduleSettings(scope),
+            loadCycles(scope),
+            readActiveObjects('turns'),
+            readActiveObjects('treatment_notes')
+        ]);
+        const turns = turnRows.filter((row) => belongsToPatient(row, scope));
+        const notes = noteRows.filter((row) => belongsToPatient(row, scope));
+
+        // Defaults to the whole current cycle up to today
+        const cycleStart = getActiveStartDate(settings, turns);
+        const from = fromParam || cycleStart || today;
+        const to = toParam || today;
+        if (from > to) {
+            return res.status(400).json({ error: 'from cannot be after to' });
+        }
+
+        const pdf = buildReport({
+            settings,
+            cycleName: getActiveCycleName(settings, cycleRows),
+            cycleStart,
+            turns,
+            notes,
+            from,
+            to,
+            today
+        });
+
+        const slug = String(settings.childName).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'child';
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="expander-visit-report-${slug}-${to}.pdf"`);
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).send(pdf);
+    } catch (error) {
+        if (error.message === 'No token provided' || error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        console.error('Visit report API error:', error);
+        return res.status(500).json({ error: error.message || 'Internal server error' });
+    }
+};
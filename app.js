@@ -11,6 +11,11 @@ const API_BASE = (() => {
 // Authentication
 const TOKEN_KEY = 'expanderTracker_token';
 const USER_KEY = 'expanderTracker_user';
+const PATIENT_KEY = 'expanderTracker_patient';
+// Must match API_CACHE in sw.js
+const API_CACHE = 'expander-api-v1';
+// Share links (/?share=<token>) open the dashboard read-only, without signing in
+const SHARE_TOKEN = new URLSearchParams(window.location.search).get('share');
 
 function getToken() {
     return sessionStorage.getItem(TOKEN_KEY);
@@ -24,6 +29,9 @@ function setToken(token, user) {
 function clearAuth() {
     sessionStorage.removeItem(TOKEN_KEY);
     sessionStorage.removeItem(USER_KEY);
+    if ('caches' in window) {
+        caches.delete(API_CACHE);
+    }
 }
 
 function getUser() {
@@ -31,6 +39,21 @@ function getUser() {
     return userStr ? JSON.parse(userStr) : null;
 }
 
+// Selected patient persists across sessions so each device reopens on the same child
+function getSelectedPatientId() {
+    return localStorage.getItem(PATIENT_KEY);
+}
+
+function setSelectedPatientId(patientId) {
+    localStorage.setItem(PATIENT_KEY, patientId);
+}
+
+function withPatient(endpoint) {
+    if (!state.patientId) return endpoint;
+    const separator = endpoint.includes('?') ? '&' : '?';
+    return `${endpoint}${separator}patientId=${encodeURIComponent(state.patientId)}`;
+}
+
 // API Helper Functions
 async function apiCall(endpoint, options = {}) {
     const token = getToken();
@@ -70,7 +93,10 @@ async function apiCall(endpoint, options = {}) {
         }
         
         if (!response.ok) {
-            throw new Error(data.error || 'API request failed');
+            const apiError = new Error(data.error || 'API request failed');
+            apiError.status = response.status;
+            apiError.data = data;
+            throw apiError;
         }
         
         return data;
@@ -78,16 +104,52 @@ async function apiCall(endpoint, options = {}) {
         console.error('API call error:', error);
         if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError') || error.name === 'TypeError') {
             const isFileProtocol = window.location.protocol === 'file:';
-            if (isFileProtocol) {
-                throw new Error('Cannot connect to server. Please run "vercel dev" or test on the deployed URL.');
-            } else {
-                throw new Error('Cannot connect to server. Make sure the API is deployed or you are running "vercel dev".');
-            }
+            const offlineError = isFileProtocol
+                ? new Error('Cannot connect to server. Please run "vercel dev" or test on the deployed URL.')
+                : new Error('Cannot connect to server. Make sure the API is deployed or you are running "vercel dev".');
+            offlineError.offline = true;
+            throw offlineError;
         }
         throw error;
     }
 }
 
+// Exports and reports are files, not JSON, so they skip apiCall's parsing
+async function downloadFile(endpoint) {
+    const token = getToken();
+    let response;
+    try {
+        response = await fetch(`${API_BASE}${endpoint}`, {
+            headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+        });
+    } catch (error) {
+        const offlineError = new Error('Cannot connect to server. Downloads need a connection.');
+        offlineError.offline = true;
+        throw offlineError;
+    }
+    
+    if (response.status === 401) {
+        clearAuth();
+        showLogin();
+        throw new Error('Session expired. Please login again.');
+    }
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Download failed');
+    }
+    
+    const disposition = response.headers.get('content-disposition') || '';
+    const fileName = (disposition.match(/filename="([^"]+)"/) || [])[1] || 'download';
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 async function login(username, password) {
     const data = await apiCall('/api/login', {
         method: 'POST',
@@ -98,6 +160,13 @@ async function login(username, password) {
     return data;
 }
 
+function generateClientId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    return `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
 function escapeHtml(str) {
     if (!str) return '';
     const div = document.createElement('div');
@@ -110,13 +179,24 @@ const defaultState = {
     settings: {
         topTotal: 27,
         bottomTotal: 23,
-        installDate: null,
-        scheduleType: 'every_n_days',
-        intervalDays: 2,
+        topMmPerTurn: 0.25,
+        bottomMmPerTurn: 0.25,
+        schedules: {
+            top: { installDate: null, scheduleType: 'every_n_days', intervalDays: 2, phases: [] },
+            bottom: { installDate: null, scheduleType: 'every_n_days', intervalDays: 2, phases: [] }
+        },
         childName: 'Child'
     },
+    patients: [],
+    patientId: null,
+    pendingCount: 0,
+    syncErrors: [],
     turns: [],
     treatmentNotes: [],
+    holds: [],
+    cycle: null,
+    cycles: [],
+    share: null,
     counts: {
         topDone: 0,
         bottomDone: 0
@@ -162,6 +242,14 @@ function formatDate(date) {
     return d.toLocaleDateString(undefined, options);
 }
 
+// 'HH:MM' (24h) to '8:42pm'
+function formatTime(time) {
+    if (!time) return '';
+    const [hours, minutes] = time.split(':').map(part => parseInt(part, 10));
+    const suffix = hours < 12 ? 'am' : 'pm';
+    return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')}${suffix}`;
+}
+
 function parseLocalDate(dateStr) {
     if (!dateStr) return null;
     if (dateStr instanceof Date) return dateStr;
@@ -190,59 +278,142 @@ function dateToISOString(date) {
     return `${year}-${month}-${day}`;
 }
 
-function addDays(date, days) {
-    const result = new Date(date);
-    result.setDate(result.getDate() + days);
-    return result;
-}
+// Schedule rules live in shared/schedule.js so the API enforces the same ones
+const Schedule = window.ExpanderSchedule;
+
+// Install turn: orthodontist did first turn at install, so displayed count = logged turns + 1
+const INSTALL_TURN = Schedule.INSTALL_TURN;
+
+// Roles live in shared/roles.js; the API refuses what a role can't do, the UI just hides it
+const Roles = window.ExpanderRoles;
+
+// Wording shared with exports and visit reports (shared/format.js)
+const { formatMm, describeCadence } = window.ExpanderFormat;
 
-function daysBetween(a, b) {
-    if (!a || !b) return null;
-    const dateA = parseLocalDate(a);
-    const dateB = parseLocalDate(b);
-    dateA.setHours(0, 0, 0, 0);
-    dateB.setHours(0, 0, 0, 0);
-    const diffTime = dateB - dateA;
-    return Math.floor(diffTime / (1000 * 60 * 60 * 24));
+// A share link gets the viewer's permissions, whoever is signed in on this device
+function can(permission) {
+    return Roles.can(SHARE_TOKEN ? 'viewer' : getUser()?.role, permission);
 }
 
-function getWeekStart(date) {
-    const d = parseLocalDate(date);
-    const day = d.getDay();
-    const diff = d.getDate() - day + (day === 0 ? -6 : 1); // Monday as start of week
-    return new Date(d.setDate(diff));
+// [data-permission] elements (space-separated, all required) are hidden without it;
+// [data-edit-permission] sections stay visible with their controls disabled
+function applyPermissions() {
+    document.querySelectorAll('[data-permission]').forEach(el => {
+        el.classList.toggle('role-hidden', !el.dataset.permission.split(' ').every(can));
+    });
+    document.querySelectorAll('[data-edit-permission]').forEach(el => {
+        const allowed = can(el.dataset.editPermission);
+        el.querySelectorAll('input, select, textarea, button').forEach(control => {
+            if (!allowed) {
+                control.disabled = true;
+                control.dataset.roleDisabled = 'true';
+            } else if (control.dataset.roleDisabled) {
+                control.disabled = false;
+                delete control.dataset.roleDisabled;
+            }
+        });
+    });
 }
 
-function getTurnsThisWeek(arch) {
-    const today = todayMidnight();
-    const weekStart = getWeekStart(today);
-    const weekEnd = addDays(weekStart, 6);
+// Data Loading
+// Last successful server read; reused when a reload fails because the device is offline
+let lastLoaded = null;
+
+// A share link reads everything in one request, authorized by its own token instead of a session
+async function fetchSharedData() {
+    let response;
+    try {
+        response = await fetch(`${API_BASE}/api/share-view?token=${encodeURIComponent(SHARE_TOKEN)}`);
+    } catch (error) {
+        const offlineError = new Error('Cannot connect to server. Shared dashboards need a connection.');
+        offlineError.offline = true;
+        throw offlineError;
+    }
+    
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || 'Could not open the shared dashboard');
+    }
     
-    return state.turns.filter(turn => {
-        const turnDate = parseLocalDate(turn.date);
-        return turn.arch === arch && 
-               turnDate >= weekStart && 
-               turnDate <= weekEnd;
-    }).length;
+    return {
+        patients: [data.patient],
+        patientId: data.patient.id,
+        settings: data.settings,
+        turns: data.turns || [],
+        treatmentNotes: data.treatmentNotes || [],
+        holds: data.holds || [],
+        cycle: data.cycle || null,
+        cycles: [],
+        share: data.share
+    };
 }
 
-// Install turn: orthodontist did first turn at install, so displayed count = logged turns + 1
-const INSTALL_TURN = 1;
+async function fetchData() {
+    if (SHARE_TOKEN) {
+        return fetchSharedData();
+    }
+    
+    // Patients first: everything else is scoped to the selected one. The session check
+    // picks up a role an owner changed since this device signed in.
+    const [patients, session] = await Promise.all([
+        apiCall('/api/patients', { method: 'GET' }),
+        apiCall('/api/verify', { method: 'POST' })
+    ]);
+    if (session?.user) {
+        setToken(getToken(), { ...getUser(), displayName: session.user.displayName, role: session.user.role });
+    }
+    state.patients = patients || [];
+    const savedId = getSelectedPatientId();
+    const selected = state.patients.find(p => p.id === savedId) || state.patients[0];
+    state.patientId = selected ? selected.id : null;
+    if (state.patientId) {
+        setSelectedPatientId(state.patientId);
+    }
+    
+    // Load settings, turns, treatment notes, holds, and cycles in parallel
+    const [settings, turns, treatmentNotes, holds, cycles] = await Promise.all([
+        apiCall(withPatient('/api/settings'), { method: 'GET' }),
+        apiCall(withPatient('/api/turns'), { method: 'GET' }),
+        apiCall(withPatient('/api/treatment-notes'), { method: 'GET' }),
+        apiCall(withPatient('/api/holds'), { method: 'GET' }),
+        apiCall(withPatient('/api/cycles'), { method: 'GET' })
+    ]);
+    
+    return {
+        patients: state.patients,
+        patientId: state.patientId,
+        settings,
+        turns: turns || [],
+        treatmentNotes: treatmentNotes || [],
+        holds: holds || [],
+        cycle: cycles?.active || null,
+        cycles: cycles?.cycles || []
+    };
+}
 
-// Data Loading
 async function loadData() {
     try {
-        // Load settings, turns, and treatment notes in parallel
-        const [settings, turns, treatmentNotes] = await Promise.all([
-            apiCall('/api/settings', { method: 'GET' }),
-            apiCall('/api/turns', { method: 'GET' }),
-            apiCall('/api/treatment-notes', { method: 'GET' })
-        ]);
+        try {
+            lastLoaded = await fetchData();
+        } catch (error) {
+            const sameView = lastLoaded && lastLoaded.patientId === getSelectedPatientId();
+            if (!error.offline || !sameView) throw error;
+        }
         
         // Update state
-        state.settings = { ...defaultState.settings, ...settings };
-        state.turns = turns || [];
-        state.treatmentNotes = treatmentNotes || [];
+        state.patients = lastLoaded.patients;
+        state.patientId = lastLoaded.patientId;
+        state.settings = { ...defaultState.settings, ...lastLoaded.settings };
+        state.turns = [...lastLoaded.turns];
+        state.treatmentNotes = [...lastLoaded.treatmentNotes];
+        state.holds = [...lastLoaded.holds];
+        state.cycle = lastLoaded.cycle;
+        state.cycles = [...lastLoaded.cycles];
+        state.share = lastLoaded.share || null;
+        // This device's queued changes belong to its signed-in session, not to a shared view
+        if (!SHARE_TOKEN) {
+            await applyPendingMutations();
+        }
         
         // Calculate counts from turns (logged turns only; display adds INSTALL_TURN)
         state.counts.topDone = state.turns.filter(t => t.arch === 'top').length;
@@ -276,175 +447,1118 @@ async function loadData() {
     }
 }
 
+// Offline Queue
+// Turn and treatment-note mutations made without a connection are stored in IndexedDB
+// and replayed in order once the network is back. Until then they are overlaid on the
+// loaded data so the dashboard reflects them.
+const QUEUE_DB = 'expanderTracker';
+const QUEUE_STORE = 'mutations';
+const SYNC_TAG = 'replay-mutations';
+let flushInProgress = false;
+
+function openQueueDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(QUEUE_DB, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function withQueueStore(mode, operation) {
+    const db = await openQueueDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(QUEUE_STORE, mode);
+        const request = operation(tx.objectStore(QUEUE_STORE));
+        tx.oncomplete = () => {
+            db.close();
+            resolve(request.result);
+        };
+        tx.onerror = () => {
+            db.close();
+            reject(tx.error);
+        };
+    });
+}
+
+function getQueuedMutations() {
+    if (!('indexedDB' in window)) return Promise.resolve([]);
+    return withQueueStore('readonly', store => store.getAll());
+}
+
+function addQueuedMutation(mutation) {
+    return withQueueStore('readwrite', store => store.add(mutation));
+}
+
+function putQueuedMutation(mutation) {
+    return withQueueStore('readwrite', store => store.put(mutation));
+}
+
+function removeQueuedMutation(id) {
+    return withQueueStore('readwrite', store => store.delete(id));
+}
+
+// Sends a mutation, or queues it if the device is offline. Resolves to null when queued.
+async function sendMutation(kind, endpoint, method, body) {
+    if (navigator.onLine !== false) {
+        try {
+            return await apiCall(endpoint, {
+                method,
+                body: body ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            if (!error.offline || !('indexedDB' in window)) throw error;
+        }
+    }
+    
+    await addQueuedMutation({
+        kind,
+        endpoint,
+        method,
+        body,
+        patientId: state.patientId,
+        queuedAt: new Date().toISOString()
+    });
+    requestBackgroundSync();
+    return null;
+}
+
+async function applyPendingMutations() {
+    const queued = await getQueuedMutations();
+    state.pendingCount = queued.length;
+    
+    queued.filter(m => m.patientId === state.patientId).forEach(mutation => {
+        const body = mutation.body || {};
+        if (mutation.kind === 'logTurn') {
+            body.turns.forEach(turn => {
+                state.turns.push({
+                    ...turn,
+                    id: `pending-${mutation.id}-${turn.arch}`,
+                    created_at: mutation.queuedAt,
+                    backfilled: turn.date < dateToISOString(new Date(mutation.queuedAt)) ? 'true' : '',
+                    logged_by: getUser()?.displayName || '',
+                    pending: true
+                });
+            });
+        } else if (mutation.kind === 'undoTurn') {
+            state.turns = state.turns.filter(t => t.id !== body.id);
+        } else if (mutation.kind === 'createNote') {
+            state.treatmentNotes.push({
+                ...body,
+                is_appointment: body.isAppointment ? 'true' : '',
+                created_at: mutation.queuedAt,
+                logged_by: getUser()?.displayName || '',
+                pending: true
+            });
+        } else if (mutation.kind === 'updateNote') {
+            state.treatmentNotes = state.treatmentNotes.map(n => (
+                n.id === body.id
+                    ? { ...n, date: body.date, note: body.note, is_appointment: body.isAppointment ? 'true' : '', pending: true }
+                    : n
+            ));
+        } else if (mutation.kind === 'deleteNote') {
+            state.treatmentNotes = state.treatmentNotes.filter(n => n.id !== body.id);
+        }
+    });
+    
+    const newestFirst = (a, b) => String(b.date).localeCompare(String(a.date))
+        || String(b.created_at || '').localeCompare(String(a.created_at || ''));
+    state.turns.sort(newestFirst);
+    state.treatmentNotes.sort(newestFirst);
+}
+
+function describeMutation(mutation) {
+    const labels = {
+        logTurn: 'Logged turn',
+        undoTurn: 'Undone turn',
+        createNote: 'New treatment note',
+        updateNote: 'Treatment note edit',
+        deleteNote: 'Treatment note deletion'
+    };
+    return labels[mutation.kind] || 'Change';
+}
+
+// Replays one queued mutation. A queued turn carries the time it was logged so the server
+// doesn't mark it backfilled; a queued note edit that lost to another device gets the same
+// choice as one made online. Resolves to null when the user takes the other device's copy.
+async function replayMutation(mutation) {
+    let body = mutation.kind === 'logTurn' ? { ...mutation.body, queuedAt: mutation.queuedAt } : mutation.body;
+    
+    for (;;) {
+        try {
+            return await apiCall(mutation.endpoint, {
+                method: mutation.method,
+                body: body ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            if (mutation.kind !== 'updateNote' || error.status !== 409 || !error.data?.current) throw error;
+            
+            const theirs = error.data.current;
+            const keepMine = await promptConflict({
+                message: 'This note was edited on another device while your edit was waiting to be sent.',
+                theirs: `${formatDate(theirs.date)}\n${theirs.note}`,
+                mine: `${formatDate(body.date)}\n${body.note}`
+            });
+            if (!keepMine) return null;
+            body = { ...body, updatedAt: theirs.updated_at };
+        }
+    }
+}
+
+async function flushQueue() {
+    if (flushInProgress || SHARE_TOKEN || !getToken() || navigator.onLine === false) return;
+    flushInProgress = true;
+    let changed = false;
+    
+    try {
+        const queued = await getQueuedMutations();
+        for (const mutation of queued) {
+            try {
+                await replayMutation(mutation);
+            } catch (error) {
+                // Still offline, session expired or server trouble: keep the rest for later
+                if (error.offline || !error.status || error.status >= 500) break;
+                // A replayed turn that already reached the server comes back as a duplicate
+                if (!(mutation.kind === 'logTurn' && error.status === 409)) {
+                    state.syncErrors.push(`${describeMutation(mutation)}: ${error.message}`);
+                }
+            }
+            await removeQueuedMutation(mutation.id);
+            changed = true;
+        }
+    } catch (error) {
+        console.error('Error replaying queued changes:', error);
+    } finally {
+        flushInProgress = false;
+    }
+    
+    if (changed) {
+        await loadData();
+        render();
+    }
+}
+
+async function requestBackgroundSync() {
+    if (!('serviceWorker' in navigator)) return;
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        if (registration.sync) {
+            await registration.sync.register(SYNC_TAG);
+        }
+    } catch (error) {
+        console.warn('Background sync unavailable:', error);
+    }
+}
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.type === SYNC_TAG) {
+            flushQueue();
+        }
+    });
+}
+
+// Reminders
+// Push subscriptions are per device; the reminder time is per user and shared
+// by all of that user's devices (the server applies PUT to every subscription).
+function pushSupported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+function urlBase64ToUint8Array(base64String) {
+    const padding = '='.repeat((4 - base64String.length % 4) % 4);
+    const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+    const raw = atob(base64);
+    return Uint8Array.from(raw, char => char.charCodeAt(0));
+}
+
+function getTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+async function getPushSubscription() {
+    if (!pushSupported()) return null;
+    const registration = await navigator.serviceWorker.ready;
+    return registration.pushManager.getSubscription();
+}
+
+function updateReminderForm(reminders) {
+    const timeInput = document.getElementById('settingsReminderTime');
+    const statusEl = document.getElementById('reminderStatus');
+    const toggleBtn = document.getElementById('reminderToggleBtn');
+    if (!timeInput || !statusEl || !toggleBtn) return;
+
+    if (!pushSupported()) {
+        statusEl.textContent = 'This browser does not support push notifications.';
+        toggleBtn.disabled = true;
+        timeInput.disabled = true;
+        return;
+    }
+    if (!reminders.publicKey) {
+        statusEl.textContent = 'Reminders are not configured on the server.';
+        toggleBtn.disabled = true;
+        return;
+    }
+
+    const current = reminders.subscriptions.find(sub => sub.endpoint === reminders.endpoint);
+    const preferred = current || reminders.subscriptions[0];
+    if (preferred && document.activeElement !== timeInput) {
+        timeInput.value = preferred.remindAt;
+    }
+
+    toggleBtn.disabled = false;
+    toggleBtn.dataset.enabled = current ? 'true' : 'false';
+    toggleBtn.textContent = current ? 'Turn off reminders' : 'Turn on reminders';
+    statusEl.textContent = current
+        ? `Reminding this device at ${current.remindAt} when a turn is due and not yet logged.`
+        : 'Reminders are off on this device.';
+}
+
+async function refreshReminders() {
+    try {
+        const reminders = await apiCall('/api/reminders');
+        const subscription = await getPushSubscription();
+        updateReminderForm({ ...reminders, endpoint: subscription?.endpoint || null });
+        return reminders;
+    } catch (error) {
+        console.error('Failed to load reminders:', error);
+        const statusEl = document.getElementById('reminderStatus');
+        if (statusEl) {
+            statusEl.textContent = error.offline ? 'Reminder settings need a connection.' : 'Could not load reminder settings.';
+        }
+        return null;
+    }
+}
+
+async function enableReminders(remindAt) {
+    const reminders = await apiCall('/api/reminders');
+    if (!reminders.publicKey) {
+        throw new Error('Reminders are not configured on the server');
+    }
+
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+        throw new Error('Notifications are blocked for this site');
+    }
+
+    const registration = await navigator.serviceWorker.ready;
+    const subscription = await registration.pushManager.getSubscription()
+        || await registration.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: urlBase64ToUint8Array(reminders.publicKey)
+        });
+
+    await apiCall('/api/reminders', {
+        method: 'POST',
+        body: JSON.stringify({
+            subscription: subscription.toJSON(),
+            remindAt,
+            timezone: getTimeZone()
+        })
+    });
+}
+
+async function disableReminders() {
+    const subscription = await getPushSubscription();
+    if (!subscription) return;
+
+    await apiCall(`/api/reminders?endpoint=${encodeURIComponent(subscription.endpoint)}`, { method: 'DELETE' });
+    await subscription.unsubscribe();
+}
+
+async function updateReminderTime(remindAt) {
+    await apiCall('/api/reminders', {
+        method: 'PUT',
+        body: JSON.stringify({ remindAt, timezone: getTimeZone() })
+    });
+}
+
+// Calendar feed: one live link per child; a new link replaces the old one
+async function createCalendarLink() {
+    return apiCall(withPatient('/api/calendar-link'), {
+        method: 'POST',
+        body: JSON.stringify({ timezone: getTimeZone() })
+    });
+}
+
+async function revokeCalendarLink() {
+    await apiCall(withPatient('/api/calendar-link'), { method: 'DELETE' });
+}
+
+function showCalendarFeed(feed) {
+    const urlInput = document.getElementById('calendarFeedUrl');
+    if (!urlInput) return;
+    const url = feed ? new URL(feed.url, window.location.origin).href : '';
+    urlInput.value = url;
+    
+    const subscribeLink = document.getElementById('calendarSubscribeLink');
+    subscribeLink.href = url ? url.replace(/^https?:/, 'webcal:') : '#';
+    subscribeLink.classList.toggle('hidden', !url);
+    document.getElementById('calendarRevokeBtn').classList.toggle('hidden', !url);
+    document.getElementById('calendarLinkBtn').textContent = url ? 'Get a new link' : 'Get calendar link';
+}
+
+async function refreshCalendarFeed() {
+    if (!can('share')) return;
+    try {
+        showCalendarFeed(await apiCall(withPatient('/api/calendar-link'), { method: 'GET' }));
+    } catch (error) {
+        console.error('Failed to load calendar link:', error);
+    }
+}
+
+// Share links: read-only dashboards for one child, made and revoked by owners
+async function createShare(label, days) {
+    return apiCall(withPatient('/api/shares'), {
+        method: 'POST',
+        body: JSON.stringify({ label, days })
+    });
+}
+
+async function revokeShare(shareId) {
+    await apiCall(withPatient(`/api/shares?id=${encodeURIComponent(shareId)}`), { method: 'DELETE' });
+}
+
+function showShareUrl(url) {
+    const output = document.getElementById('shareUrlOutput');
+    if (!output) return;
+    output.value = url ? new URL(url, window.location.origin).href : '';
+    output.classList.toggle('hidden', !url);
+    if (!url) return;
+    output.select();
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(output.value).catch(() => {});
+    }
+}
+
+function renderShareList(shares) {
+    const container = document.getElementById('settingsShareList');
+    if (!container) return;
+    
+    if (shares.length === 0) {
+        container.innerHTML = '<p class="setting-hint">No share links yet.</p>';
+        return;
+    }
+    container.innerHTML = shares.map(share => {
+        let status = `works until ${formatDate(share.expiresAt)}`;
+        if (share.revokedAt) {
+            status = `revoked ${formatDate(share.revokedAt)}`;
+        } else if (!share.active) {
+            status = `expired ${formatDate(share.expiresAt)}`;
+        }
+        const details = [status, share.createdBy ? `made by ${share.createdBy}` : ''].filter(Boolean).join(' · ');
+        return `
+            <div class="hold-row" data-id="${escapeHtml(share.id)}">
+                <div class="hold-row-text">
+                    <div>${escapeHtml(share.label || 'Share link')}</div>
+                    <div class="setting-hint">${escapeHtml(details)}</div>
+                </div>
+                ${share.active ? `
+                <button class="btn btn-secondary btn-small share-copy" data-url="${escapeHtml(share.url)}">Copy link</button>
+                <button class="btn btn-secondary btn-small share-revoke">Revoke</button>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+async function refreshShares() {
+    if (!can('share')) return;
+    try {
+        renderShareList(await apiCall(withPatient('/api/shares'), { method: 'GET' }));
+    } catch (error) {
+        console.error('Failed to load share links:', error);
+        const container = document.getElementById('settingsShareList');
+        if (container) {
+            container.innerHTML = `<p class="setting-hint">${error.offline ? 'Share links need a connection.' : 'Could not load share links.'}</p>`;
+        }
+    }
+}
+
 // Turn Operations
-async function logTurn(arch, note) {
-    const today = dateToISOString(todayMidnight());
+// date/time record when the turn was actually done; a past date backfills a forgotten turn
+async function logTurn(arch, note, override = false, date = null, time = null) {
+    const turnDate = date || dateToISOString(todayMidnight());
+    // A turn logged for today happened just now; a backfilled one only has a time if given
+    if (!time && turnDate === todayISO()) {
+        const now = new Date();
+        time = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+    }
     
     // Determine which turns to create
     const turnsToCreate = [];
     if (arch === 'both' || arch === 'top') {
-        turnsToCreate.push({ date: today, arch: 'top', note: arch === 'both' ? note : note });
+        turnsToCreate.push({ date: turnDate, time, arch: 'top', note });
     }
     if (arch === 'both' || arch === 'bottom') {
-        turnsToCreate.push({ date: today, arch: 'bottom', note: arch === 'both' ? note : note });
+        turnsToCreate.push({ date: turnDate, time, arch: 'bottom', note });
     }
     
     if (turnsToCreate.length === 0) {
         throw new Error('Invalid arch specified');
     }
     
-    // Create turns via API
-    await apiCall('/api/turns', {
-        method: 'POST',
-        body: JSON.stringify({ turns: turnsToCreate })
-    });
+    // Create turns via API (queued when offline)
+    // override marks an orthodontist-approved exception the server won't check against the schedule
+    // timezone lets the server tell today from a backfilled day
+    const body = override
+        ? { turns: turnsToCreate, override: true, timezone: getTimeZone() }
+        : { turns: turnsToCreate, timezone: getTimeZone() };
+    await sendMutation('logTurn', withPatient('/api/turns'), 'POST', body);
     
     // Reload data to get updated counts
     await loadData();
 }
 
 async function undoTurn(turnId) {
-    await apiCall(`/api/turns?id=${turnId}`, {
-        method: 'DELETE'
-    });
+    if (turnId.startsWith('pending-')) {
+        await dropPendingTurn(turnId);
+    } else {
+        await sendMutation('undoTurn', withPatient(`/api/turns?id=${turnId}`), 'DELETE', { id: turnId });
+    }
     
     // Reload data to get updated counts
     await loadData();
 }
 
-// Schedule Checking (displayed done = logged turns + install turn)
-function canLogTurn(arch) {
-    const isTop = arch === 'top';
-    const logged = isTop ? state.counts.topDone : state.counts.bottomDone;
-    const done = logged + INSTALL_TURN; // include install turn
-    const total = isTop ? state.settings.topTotal : state.settings.bottomTotal;
-    const lastDate = isTop ? state.lastDates.top : state.lastDates.bottom;
-    
-    // Check if complete
-    if (done >= total) {
-        return { canLog: false, reason: 'complete' };
-    }
-    
-    // Check schedule
-    if (state.settings.scheduleType === 'twice_per_week') {
-        const turnsThisWeek = getTurnsThisWeek(arch);
-        if (turnsThisWeek >= 2) {
-            return { canLog: false, reason: 'wait', message: 'Already logged 2 turns this week' };
-        }
-        return { canLog: true };
+// Undoing a turn that never left the device just edits the queue
+async function dropPendingTurn(turnId) {
+    const [, queueId, arch] = turnId.split('-');
+    const mutation = (await getQueuedMutations()).find(m => m.id === Number(queueId));
+    if (!mutation) return;
+    
+    const remaining = mutation.body.turns.filter(t => t.arch !== arch);
+    if (remaining.length === 0) {
+        await removeQueuedMutation(mutation.id);
     } else {
-        // every_n_days schedule
-        if (!lastDate) {
-            return { canLog: true };
-        }
-        
-        const today = todayMidnight();
-        const lastTurn = parseLocalDate(lastDate);
-        lastTurn.setHours(0, 0, 0, 0);
-        const daysSince = daysBetween(lastTurn, today);
-        
-        if (daysSince < state.settings.intervalDays) {
-            return { 
-                canLog: false, 
-                reason: 'wait', 
-                daysRemaining: state.settings.intervalDays - daysSince 
-            };
-        }
-        return { canLog: true };
+        await putQueuedMutation({ ...mutation, body: { ...mutation.body, turns: remaining } });
     }
 }
 
+// Schedule Checking (displayed done = logged turns + install turn)
+function todayISO() {
+    return dateToISOString(todayMidnight());
+}
+
+// Holds live in their own list but the engine reads them off the settings
+function scheduleSettings() {
+    return { ...state.settings, holds: state.holds };
+}
+
+function canLogTurn(arch) {
+    return Schedule.canLogTurn(scheduleSettings(), state.turns, arch, todayISO());
+}
+
 function getNextDueDate(arch) {
-    const isTop = arch === 'top';
-    const logged = isTop ? state.counts.topDone : state.counts.bottomDone;
-    const done = logged + INSTALL_TURN;
-    const total = isTop ? state.settings.topTotal : state.settings.bottomTotal;
-    const lastDate = isTop ? state.lastDates.top : state.lastDates.bottom;
-    
-    if (done >= total) {
-        return null; // Complete
-    }
-    
-    if (state.settings.scheduleType === 'twice_per_week') {
-        const turnsThisWeek = getTurnsThisWeek(arch);
-        if (turnsThisWeek < 2) {
-            // Can still turn this week
-            return todayMidnight();
-        } else {
-            // Next turn is next week
-            const today = todayMidnight();
-            const weekStart = getWeekStart(today);
-            const nextWeekStart = addDays(weekStart, 7);
-            return nextWeekStart;
-        }
-    } else {
-        // every_n_days schedule
-        if (!lastDate) {
-            return state.settings.installDate 
-                ? addDays(parseLocalDate(state.settings.installDate), state.settings.intervalDays)
-                : null;
-        }
-        return addDays(parseLocalDate(lastDate), state.settings.intervalDays);
-    }
+    const next = Schedule.getNextDueDate(scheduleSettings(), state.turns, arch, todayISO());
+    return next ? parseLocalDate(next) : null;
 }
 
 function getStatus(arch) {
-    const isTop = arch === 'top';
-    const done = (isTop ? state.counts.topDone : state.counts.bottomDone) + INSTALL_TURN;
-    const total = isTop ? state.settings.topTotal : state.settings.bottomTotal;
-    
-    if (done >= total) {
-        return 'complete';
-    }
-    
-    const canLog = canLogTurn(arch);
-    if (!canLog.canLog) {
-        return canLog.reason;
+    return Schedule.getStatus(scheduleSettings(), state.turns, arch, todayISO());
+}
+
+function getProjectedCompletionDate(arch) {
+    const date = Schedule.getProjectedCompletionDate(scheduleSettings(), state.turns, arch, todayISO());
+    return date ? parseLocalDate(date) : null;
+}
+
+function getAdherence(arch) {
+    return Schedule.computeAdherence(scheduleSettings(), state.turns, arch, todayISO());
+}
+
+// Adherence report for visits; computed on the server from what is saved there
+async function fetchAdherenceReport() {
+    // A shared view has no session for /api/adherence, but already holds every saved turn
+    if (SHARE_TOKEN) {
+        return {
+            childName: state.settings.childName,
+            today: todayISO(),
+            arches: { top: getAdherence('top'), bottom: getAdherence('bottom') }
+        };
     }
-    return 'ready';
+    const timezone = encodeURIComponent(getTimeZone());
+    return apiCall(withPatient(`/api/adherence?timezone=${timezone}`), { method: 'GET' });
 }
 
-// Treatment Notes Operations
-async function createTreatmentNote(date, note) {
-    await apiCall('/api/treatment-notes', {
-        method: 'POST',
-        body: JSON.stringify({ date, note })
-    });
+function renderAdherenceReport(report) {
+    const archSection = (arch) => {
+        const data = report.arches[arch];
+        const label = arch === 'top' ? 'Top' : 'Bottom';
+        const percent = data.adherencePercent === null ? '-' : `${data.adherencePercent}%`;
+        const problems = data.events
+            .filter(event => event.status !== 'on_time')
+            .reverse()
+            .map(event => event.status === 'missed'
+                ? `<li>Missed: due ${formatDate(event.dueDate)}</li>`
+                : `<li>Late: due ${formatDate(event.dueDate)}, done ${formatDate(event.turnDate)} (${event.daysLate} day(s) late)</li>`)
+            .join('');
+        return `
+            <div class="report-arch">
+                <h3>${label} <span class="report-percent">${percent}</span></h3>
+                <div class="report-stats">
+                    <span>${data.due} due</span>
+                    <span>${data.onTime} on time</span>
+                    <span>${data.late} late</span>
+                    <span>${data.missed} missed</span>
+                </div>
+                <div class="report-stats">
+                    <span>Longest streak: ${data.longestStreak}</span>
+                    <span>Current streak: ${data.currentStreak}</span>
+                </div>
+                ${problems ? `<ul class="report-events">${problems}</ul>` : '<p class="setting-hint">No missed or late turns.</p>'}
+            </div>
+        `;
+    };
     
-    await loadData();
+    document.getElementById('adherenceReportTitle').textContent = `${report.childName}: adherence`;
+    document.getElementById('adherenceReportDate').textContent = `As of ${formatDate(report.today)}`;
+    document.getElementById('adherenceReportBody').innerHTML = archSection('top') + archSection('bottom');
 }
 
-async function updateTreatmentNote(id, date, note) {
-    await apiCall('/api/treatment-notes', {
-        method: 'PUT',
-        body: JSON.stringify({ id, date, note })
-    });
-    
-    await loadData();
+// Activity (audit) log
+async function fetchAuditLog() {
+    return apiCall(withPatient('/api/audit'), { method: 'GET' });
 }
 
-async function deleteTreatmentNote(id) {
-    await apiCall(`/api/treatment-notes?id=${id}`, {
-        method: 'DELETE'
+async function restoreFromAudit(auditId) {
+    await apiCall(withPatient('/api/audit'), {
+        method: 'POST',
+        body: JSON.stringify({ auditId })
     });
-    
     await loadData();
 }
 
-// Settings Operations
-async function saveSettings() {
-    await apiCall('/api/settings', {
-        method: 'PUT',
-        body: JSON.stringify(state.settings)
-    });
+function describeAuditEntity(entry) {
+    const row = entry.after || entry.before || {};
+    switch (entry.entity) {
+        case 'turn':
+            return `${row.arch === 'top' ? 'top' : 'bottom'} turn for ${formatDate(row.date)}`;
+        case 'treatment_note':
+            return `treatment note for ${formatDate(row.date)}`;
+        case 'hold':
+            return `hold ${formatDate(row.start_date)} – ${formatDate(row.end_date)}`;
+        case 'patient':
+            return `child "${row.name}"`;
+        case 'push_subscription':
+            return 'reminders on a device';
+        case 'cycle':
+            return `treatment cycle "${row.name}"`;
+        case 'user':
+            return `sign-in for ${row.display_name || row.username}`;
+        case 'share':
+            return `share link${row.label ? ` for ${row.label}` : ''}`;
+        case 'calendar_feed':
+            return 'calendar feed link';
+        case 'archive':
+            return `${row.turn_count} turns${entry.action === 'restore' ? ' from a reset' : ''}`;
+        default:
+            return entry.entity;
+    }
 }
 
-// UI Rendering
+const AUDIT_VERBS = { create: 'added', update: 'changed', delete: 'deleted', restore: 'restored', reset: 'reset', revoke: 'revoked' };
+
+function renderAuditLog(entries) {
+    const list = document.getElementById('auditList');
+    if (entries.length === 0) {
+        list.innerHTML = '<p class="empty-state">No activity yet.</p>';
+        return;
+    }
+    list.innerHTML = entries.map(entry => {
+        const restorable = entry.action === 'delete' && ['turn', 'treatment_note'].includes(entry.entity);
+        const when = new Date(entry.createdAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+        return `
+            <div class="audit-item">
+                <div>
+                    <div>${escapeHtml(entry.actorName || 'Someone')} ${AUDIT_VERBS[entry.action] || entry.action} ${escapeHtml(describeAuditEntity(entry))}</div>
+                    <div class="setting-hint">${when}</div>
+                </div>
+                ${restorable ? `<button class="btn btn-secondary btn-small btn-restore" data-audit-id="${escapeHtml(entry.id)}">Restore</button>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+async function showAuditLog() {
+    renderAuditLog(await fetchAuditLog());
+    document.getElementById('auditModal').classList.remove('hidden');
+}
+
+// Trash: deleted turns and notes stay restorable for 30 days
+async function fetchTrash() {
+    return apiCall(withPatient('/api/trash'), { method: 'GET' });
+}
+
+async function restoreFromTrash(entity, id) {
+    await apiCall(withPatient('/api/trash'), {
+        method: 'POST',
+        body: JSON.stringify({ entity, id })
+    });
+    await loadData();
+}
+
+async function purgeFromTrash(entity, id) {
+    await apiCall(withPatient(`/api/trash?entity=${entity}&id=${encodeURIComponent(id)}`), { method: 'DELETE' });
+}
+
+function renderTrash(items) {
+    const list = document.getElementById('trashList');
+    if (items.length === 0) {
+        list.innerHTML = '<p class="empty-state">Trash is empty.</p>';
+        return;
+    }
+    list.innerHTML = items.map(item => {
+        const what = item.entity === 'turn'
+            ? `${item.arch === 'top' ? 'Top' : 'Bottom'} turn · ${formatDate(item.date)}`
+            : `Note · ${formatDate(item.date)}`;
+        const deleted = `Deleted ${formatDate(dateToISOString(new Date(item.deletedAt)))}${item.deletedBy ? ` by ${escapeHtml(item.deletedBy)}` : ''}; gone for good after ${formatDate(dateToISOString(new Date(item.purgeAfter)))}`;
+        return `
+            <div class="audit-item" data-entity="${item.entity}" data-id="${escapeHtml(item.id)}">
+                <div>
+                    <div>${what}</div>
+                    ${item.note ? `<div class="history-note">"${escapeHtml(item.note)}"</div>` : ''}
+                    <div class="setting-hint">${deleted}</div>
+                </div>
+                <div class="trash-actions">
+                    <button class="btn btn-secondary btn-small btn-trash-restore">Restore</button>
+                    <button class="btn-icon btn-trash-purge" title="Delete forever">🗑️</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function showTrash() {
+    renderTrash(await fetchTrash());
+    document.getElementById('trashModal').classList.remove('hidden');
+}
+
+// Import: the server checks a CSV and reports what it would add; nothing is saved
+// until the preview is confirmed
+let pendingImportCsv = null;
+
+async function previewImport(csv) {
+    return apiCall(withPatient('/api/import'), {
+        method: 'POST',
+        body: JSON.stringify({ csv, dryRun: true, timezone: getTimeZone() })
+    });
+}
+
+async function commitImport(csv) {
+    const result = await apiCall(withPatient('/api/import'), {
+        method: 'POST',
+        body: JSON.stringify({ csv, dryRun: false, timezone: getTimeZone() })
+    });
+    await loadData();
+    return result;
+}
+
+function renderImportPreview(report) {
+    const archLabel = (arch) => (arch === 'top' ? 'Top' : 'Bottom');
+    const added = [
+        ...report.turns.map(turn => `<li>+ ${formatDate(turn.date)} · ${archLabel(turn.arch)} turn${turn.time ? ` at ${formatTime(turn.time)}` : ''}${turn.note ? ` · "${escapeHtml(turn.note)}"` : ''}</li>`),
+        ...report.treatmentNotes.map(note => `<li>+ ${formatDate(note.date)} · ${note.isAppointment ? '📅 ' : ''}Note: ${escapeHtml(note.note)}</li>`)
+    ].join('');
+    const skipped = report.skipped
+        .map(item => `<li>Line ${item.line}: ${formatDate(item.date)} · ${item.kind === 'turn' ? `${archLabel(item.arch)} turn` : 'note'} ${item.reason}</li>`)
+        .join('');
+    const errors = report.errors
+        .map(item => `<li>Line ${item.line}: ${escapeHtml(item.error)}</li>`)
+        .join('');
+    
+    const parts = [`${report.turns.length} turn(s) and ${report.treatmentNotes.length} note(s) to add`];
+    if (report.skipped.length > 0) parts.push(`${report.skipped.length} already there`);
+    if (report.errors.length > 0) parts.push(`${report.errors.length} problem(s) to fix first`);
+    document.getElementById('importSummary').textContent = parts.join(' · ');
+    document.getElementById('importDiff').innerHTML = 
+        (errors ? `<div class="report-arch"><h3>Problems</h3><ul class="report-events">${errors}</ul></div>` : '')
+        + (added ? `<div class="report-arch"><h3>New</h3><ul class="report-events">${added}</ul></div>` : '')
+        + (skipped ? `<div class="report-arch"><h3>Skipped</h3><ul class="report-events">${skipped}</ul></div>` : '');
+    document.getElementById('confirmImportBtn').disabled = report.errors.length > 0 || (report.turns.length + report.treatmentNotes.length) === 0;
+}
+
+// Resets archive every turn in one server-side write; each one can be undone later
+async function resetTurns() {
+    const result = await apiCall(withPatient('/api/reset'), { method: 'POST' });
+    await loadData();
+    return result;
+}
+
+async function undoReset(archiveId) {
+    await apiCall(withPatient(`/api/reset?archiveId=${encodeURIComponent(archiveId)}`), { method: 'DELETE' });
+    await loadData();
+}
+
+function renderResetList(archives) {
+    const container = document.getElementById('settingsResetList');
+    if (!container) return;
+    
+    if (archives.length === 0) {
+        container.innerHTML = '<p class="setting-hint">No resets.</p>';
+        return;
+    }
+    container.innerHTML = archives.map(archive => {
+        const when = formatDate(dateToISOString(new Date(archive.createdAt)));
+        const undone = archive.restoredAt ? ` · undone ${formatDate(dateToISOString(new Date(archive.restoredAt)))}` : '';
+        return `
+            <div class="hold-row" data-id="${escapeHtml(archive.id)}">
+                <div class="hold-row-text">
+                    <div>${when} · ${archive.turnCount} turn${archive.turnCount === 1 ? '' : 's'}${undone}</div>
+                    ${archive.createdBy ? `<div class="setting-hint">by ${escapeHtml(archive.createdBy)}</div>` : ''}
+                </div>
+                ${archive.restoredAt ? '' : '<button class="btn btn-secondary btn-small reset-undo">Undo</button>'}
+            </div>
+        `;
+    }).join('');
+}
+
+async function refreshResets() {
+    try {
+        renderResetList(await apiCall(withPatient('/api/reset'), { method: 'GET' }));
+    } catch (error) {
+        console.error('Failed to load resets:', error);
+        const container = document.getElementById('settingsResetList');
+        if (container) {
+            container.innerHTML = `<p class="setting-hint">${error.offline ? 'Past resets need a connection.' : 'Could not load past resets.'}</p>`;
+        }
+    }
+}
+
+// People who can sign in. Only owners see the list; the server checks again.
+async function inviteUser(details) {
+    return apiCall('/api/users', {
+        method: 'POST',
+        body: JSON.stringify(details)
+    });
+}
+
+async function updateUser(id, changes) {
+    return apiCall('/api/users', {
+        method: 'PUT',
+        body: JSON.stringify({ id, ...changes })
+    });
+}
+
+// A made-up password is only ever returned once, so it stays on screen to copy
+function showNewPassword(user, password) {
+    const output = document.getElementById('userPasswordOutput');
+    if (!output) return;
+    if (!password) {
+        output.classList.add('hidden');
+        output.value = '';
+        return;
+    }
+    output.value = `${user.username}: ${password}`;
+    output.classList.remove('hidden');
+    output.select();
+}
+
+function renderUserList(users) {
+    const container = document.getElementById('settingsUserList');
+    if (!container) return;
+    
+    const selfId = getUser()?.id;
+    container.innerHTML = users.map(user => {
+        const details = [user.username, user.id === selfId ? Roles.ROLE_LABELS[user.role] : '', user.disabled ? 'disabled' : ''].filter(Boolean).join(' · ');
+        // Owners can't change their own role, so there is always one left
+        const roleSelect = user.id === selfId ? '' : `
+                <select class="user-role" aria-label="Role for ${escapeHtml(user.displayName)}">
+                    ${Roles.ROLES.map(role => `<option value="${role}"${role === user.role ? ' selected' : ''}>${Roles.ROLE_LABELS[role]}</option>`).join('')}
+                </select>`;
+        return `
+            <div class="hold-row" data-id="${escapeHtml(user.id)}">
+                <div class="hold-row-text">
+                    <div>${escapeHtml(user.displayName)}</div>
+                    <div class="setting-hint">${escapeHtml(details)}</div>
+                </div>${roleSelect}
+                <button class="btn btn-secondary btn-small user-reset">Reset password</button>
+                ${user.id === selfId ? '' : `<button class="btn btn-secondary btn-small user-toggle" data-disabled="${user.disabled}">${user.disabled ? 'Enable' : 'Disable'}</button>`}
+            </div>
+        `;
+    }).join('');
+}
+
+async function refreshUsers() {
+    if (!can('manage_users')) return;
+    try {
+        renderUserList(await apiCall('/api/users', { method: 'GET' }));
+    } catch (error) {
+        console.error('Failed to load users:', error);
+        const container = document.getElementById('settingsUserList');
+        if (container) {
+            container.innerHTML = `<p class="setting-hint">${error.offline ? 'People need a connection.' : 'Could not load people.'}</p>`;
+        }
+    }
+}
+
+// Treatment cycles: finishing one archives its turns and settings server-side
+async function startCycle(startDate, name) {
+    const result = await apiCall(withPatient('/api/cycles'), {
+        method: 'POST',
+        body: JSON.stringify({ startDate, name })
+    });
+    await loadData();
+    return result;
+}
+
+async function fetchCycle(cycleId) {
+    return apiCall(withPatient(`/api/cycles?id=${encodeURIComponent(cycleId)}`), { method: 'GET' });
+}
+
+function describeCycleDates(cycle) {
+    const start = cycle.startDate ? formatDate(cycle.startDate) : '?';
+    return cycle.endDate ? `${start} – ${formatDate(cycle.endDate)}` : `since ${start}`;
+}
+
+function renderCycleList() {
+    const container = document.getElementById('settingsCycleList');
+    if (!container) return;
+    
+    if (state.cycles.length === 0) {
+        container.innerHTML = '<p class="setting-hint">No finished cycles.</p>';
+        return;
+    }
+    container.innerHTML = state.cycles.map(cycle => `
+        <div class="hold-row" data-id="${escapeHtml(cycle.id)}">
+            <div class="hold-row-text">
+                <div>${escapeHtml(cycle.name)} · ${describeCycleDates(cycle)}</div>
+                <div class="setting-hint">Top ${INSTALL_TURN + cycle.topDone}/${cycle.topTotal} · Bottom ${INSTALL_TURN + cycle.bottomDone}/${cycle.bottomTotal}</div>
+            </div>
+            <button class="btn btn-secondary btn-small cycle-view">View</button>
+        </div>
+    `).join('');
+}
+
+// Read-only: a finished cycle's settings, turns, and the notes written during it
+function renderCycleDetail(cycle) {
+    const archSection = (arch) => {
+        const label = arch === 'top' ? 'Top' : 'Bottom';
+        const schedule = cycle.settings.schedules[arch];
+        // Counted like the dashboard: the install turn is included
+        const done = INSTALL_TURN + (arch === 'top' ? cycle.topDone : cycle.bottomDone);
+        const total = arch === 'top' ? cycle.settings.topTotal : cycle.settings.bottomTotal;
+        const mmPerTurn = arch === 'top' ? cycle.settings.topMmPerTurn : cycle.settings.bottomMmPerTurn;
+        const turns = cycle.turns
+            .filter(turn => turn.arch === arch)
+            .map(turn => `<li>${formatDate(turn.date)}${turn.time ? ` at ${formatTime(turn.time)}` : ''}${turn.logged_by ? ` · ${escapeHtml(turn.logged_by)}` : ''}${turn.note ? ` · "${escapeHtml(turn.note)}"` : ''}</li>`)
+            .join('');
+        return `
+            <div class="report-arch">
+                <h3>${label} <span class="report-percent">${done} / ${total}</span></h3>
+                <div class="report-stats">
+                    <span>Installed ${schedule.installDate ? formatDate(schedule.installDate) : 'not set'}</span>
+                    <span>${describeCadence(schedule)}</span>
+                    <span>${formatMm(Math.min(done, total) * mmPerTurn)} mm</span>
+                </div>
+                ${turns ? `<ul class="report-events">${turns}</ul>` : '<p class="setting-hint">No turns.</p>'}
+            </div>
+        `;
+    };
+    const notes = cycle.notes
+        .map(note => `<li>${formatDate(note.date)}${isAppointmentNote(note) ? ' · 📅' : ''} · ${escapeHtml(note.note)}</li>`)
+        .join('');
+    const holds = cycle.settings.holds
+        .map(hold => `<li>${formatDate(hold.startDate)} – ${formatDate(hold.endDate)} · ${describeHoldArch(hold)}${hold.reason ? `: ${escapeHtml(hold.reason)}` : ''}</li>`)
+        .join('');
+    
+    document.getElementById('cycleModalTitle').textContent = cycle.name;
+    document.getElementById('cycleModalDates').textContent = describeCycleDates(cycle);
+    document.getElementById('cycleDetail').innerHTML = archSection('top') + archSection('bottom')
+        + (holds ? `<div class="report-arch"><h3>Holds</h3><ul class="report-events">${holds}</ul></div>` : '')
+        + `<div class="report-arch"><h3>Treatment notes</h3>${notes ? `<ul class="report-events">${notes}</ul>` : '<p class="setting-hint">No notes.</p>'}</div>`;
+}
+
+// Holds (pauses with a date range); not queued offline since they are planned ahead
+async function createHold(hold) {
+    await apiCall(withPatient('/api/holds'), {
+        method: 'POST',
+        body: JSON.stringify(hold)
+    });
+    await loadData();
+}
+
+async function deleteHold(holdId) {
+    await apiCall(withPatient(`/api/holds?id=${holdId}`), { method: 'DELETE' });
+    await loadData();
+}
+
+function describeHoldArch(hold) {
+    if (!hold.arch) return 'Both arches';
+    return hold.arch === 'top' ? 'Top arch' : 'Bottom arch';
+}
+
+// Treatment Notes Operations
+async function createTreatmentNote(date, note, isAppointment) {
+    // Client-generated id keeps a replayed create from adding the note twice
+    await sendMutation('createNote', withPatient('/api/treatment-notes'), 'POST', {
+        id: generateClientId(),
+        date,
+        note,
+        isAppointment
+    });
+    
+    await loadData();
+}
+
+async function updateTreatmentNote(id, date, note, updatedAt, isAppointment) {
+    let expected = updatedAt;
+    
+    for (;;) {
+        try {
+            await sendMutation('updateNote', withPatient('/api/treatment-notes'), 'PUT', {
+                id,
+                date,
+                note,
+                isAppointment,
+                updatedAt: expected
+            });
+            break;
+        } catch (error) {
+            if (error.status !== 409 || !error.data?.current) throw error;
+            
+            const theirs = error.data.current;
+            const keepMine = await promptConflict({
+                message: 'This note was edited on another device since you opened it.',
+                theirs: `${formatDate(theirs.date)}\n${theirs.note}`,
+                mine: `${formatDate(date)}\n${note}`
+            });
+            if (!keepMine) break;
+            expected = theirs.updated_at;
+        }
+    }
+    
+    await loadData();
+}
+
+function isAppointmentNote(note) {
+    return String(note.is_appointment || '').toLowerCase() === 'true';
+}
+
+async function deleteTreatmentNote(id) {
+    await sendMutation('deleteNote', withPatient(`/api/treatment-notes?id=${id}`), 'DELETE', { id });
+    
+    await loadData();
+}
+
+// Settings Operations
+// Saves `changes` on top of the loaded settings. If someone else saved in the meantime
+// the server answers 409 with its copy, and the user decides whether to reapply theirs.
+// Settings changes may carry a partial schedule for one arch; keep the other arch's fields
+function mergeSettings(base, changes) {
+    const schedules = {};
+    ['top', 'bottom'].forEach(arch => {
+        schedules[arch] = { ...base.schedules?.[arch], ...changes.schedules?.[arch] };
+    });
+    return { ...base, ...changes, schedules };
+}
+
+async function saveSettings(changes) {
+    let payload = mergeSettings(state.settings, changes);
+    
+    for (;;) {
+        try {
+            state.settings = await apiCall(withPatient('/api/settings'), {
+                method: 'PUT',
+                body: JSON.stringify(payload)
+            });
+            break;
+        } catch (error) {
+            if (error.status !== 409 || !error.data?.current) throw error;
+            
+            const theirs = error.data.current;
+            const keepMine = await promptConflict({
+                message: 'Settings were changed on another device since you opened them.',
+                theirs: describeSettings(theirs),
+                mine: describeSettings(mergeSettings(theirs, changes))
+            });
+            if (!keepMine) {
+                state.settings = { ...defaultState.settings, ...theirs };
+                break;
+            }
+            payload = { ...mergeSettings(theirs, changes), updatedAt: theirs.updatedAt };
+        }
+    }
+    
+    const patient = state.patients.find(p => p.id === state.patientId);
+    if (patient) {
+        patient.name = state.settings.childName;
+    }
+}
+
+function describePhaseStart(phase) {
+    return phase.startsOn ? `from ${formatDate(phase.startsOn)}` : `from turn ${phase.startsAtTurn}`;
+}
+
+function describeSettings(settings) {
+    const describeArch = (label, schedule, total, mmPerTurn) => [
+        `${label} install date: ${schedule.installDate ? formatDate(schedule.installDate) : 'Not set'}`,
+        `${label} schedule: ${describeCadence(schedule)}`,
+        ...(schedule.phases || []).map(phase => `${label} ${describePhaseStart(phase)}: ${describeCadence(phase)}`),
+        `${label} total: ${total}`,
+        `${label} mm per turn: ${formatMm(mmPerTurn)}`
+    ];
+    return [
+        `Name: ${settings.childName}`,
+        ...describeArch('Top', settings.schedules.top, settings.topTotal, settings.topMmPerTurn),
+        ...describeArch('Bottom', settings.schedules.bottom, settings.bottomTotal, settings.bottomMmPerTurn)
+    ].join('\n');
+}
+
+// Resolves true to keep the local edit, false to take the server copy
+function promptConflict({ message, theirs, mine }) {
+    return new Promise(resolve => {
+        const modal = document.getElementById('conflictModal');
+        document.getElementById('conflictMessage').textContent = message;
+        document.getElementById('conflictTheirs').textContent = theirs;
+        document.getElementById('conflictMine').textContent = mine;
+        
+        const finish = (keepMine) => {
+            modal.classList.add('hidden');
+            resolve(keepMine);
+        };
+        document.getElementById('conflictKeepMineBtn').onclick = () => finish(true);
+        document.getElementById('conflictUseTheirsBtn').onclick = () => finish(false);
+        modal.classList.remove('hidden');
+    });
+}
+
+// Patient Operations
+async function createPatient(name) {
+    const patient = await apiCall('/api/patients', {
+        method: 'POST',
+        body: JSON.stringify({ name })
+    });
+    
+    await switchPatient(patient.id);
+}
+
+async function switchPatient(patientId) {
+    setSelectedPatientId(patientId);
+    await loadData();
+}
+
+// UI Rendering
 function render() {
     // Update child name
     const childNameEl = document.getElementById('childName');
     if (childNameEl) {
         childNameEl.textContent = state.settings.childName;
+        childNameEl.contentEditable = can('edit_settings') ? 'true' : 'false';
+    }
+    
+    // Update patient switcher
+    const patientSelect = document.getElementById('patientSelect');
+    if (patientSelect) {
+        patientSelect.innerHTML = state.patients.map(patient => {
+            const selected = patient.id === state.patientId ? ' selected' : '';
+            return `<option value="${escapeHtml(patient.id)}"${selected}>${escapeHtml(patient.name)}</option>`;
+        }).join('') + (can('edit_settings') ? '<option value="__add__">+ Add child…</option>' : '');
     }
     
     // Update progress cards (display = logged + install turn)
@@ -469,6 +1583,19 @@ function render() {
     document.getElementById('bottomPercentage').textContent = `${bottomPercentage}%`;
     document.getElementById('bottomProgress').style.width = `${bottomPercentage}%`;
     
+    // Expansion in mm and projected finish from the active schedule
+    [['top', topDoneDisplay], ['bottom', bottomDoneDisplay]].forEach(([arch, doneDisplay]) => {
+        const mmPerTurn = arch === 'top' ? state.settings.topMmPerTurn : state.settings.bottomMmPerTurn;
+        const total = arch === 'top' ? state.settings.topTotal : state.settings.bottomTotal;
+        document.getElementById(`${arch}Expansion`).textContent = formatMm(Math.min(doneDisplay, total) * mmPerTurn);
+        document.getElementById(`${arch}ExpansionTarget`).textContent = formatMm(total * mmPerTurn);
+        
+        const finish = getProjectedCompletionDate(arch);
+        const complete = getStatus(arch) === 'complete';
+        document.getElementById(`${arch}CompletionLabel`).textContent = complete ? 'Finished' : 'Projected finish';
+        document.getElementById(`${arch}CompletionDate`).textContent = finish ? formatDate(finish) : '-';
+    });
+    
     // Update status strip
     const topStatus = getStatus('top');
     const bottomStatus = getStatus('bottom');
@@ -498,21 +1625,79 @@ function render() {
     // Show schedule hint so it's clear Next due uses the interval from settings
     const scheduleHint = document.getElementById('nextDueScheduleHint');
     if (scheduleHint) {
-        if (state.settings.scheduleType === 'twice_per_week') {
-            scheduleHint.textContent = 'twice per week';
-        } else {
-            const n = state.settings.intervalDays;
-            scheduleHint.textContent = n === 1 ? 'every day' : `every ${n} days`;
-        }
+        const topHint = describeCadence(Schedule.getActiveSchedule(state.settings, state.turns, 'top', todayISO()));
+        const bottomHint = describeCadence(Schedule.getActiveSchedule(state.settings, state.turns, 'bottom', todayISO()));
+        scheduleHint.textContent = topHint === bottomHint
+            ? topHint
+            : `top ${topHint} · bottom ${bottomHint}`;
     }
     
-    const overallStatus = topStatus === 'complete' && bottomStatus === 'complete' 
-        ? 'complete'
-        : (topStatus === 'ready' || bottomStatus === 'ready' ? 'ready' : 'wait');
+    const statuses = [topStatus, bottomStatus];
+    let overallStatus = 'wait';
+    if (statuses.every(status => status === 'complete')) {
+        overallStatus = 'complete';
+    } else if (statuses.includes('ready')) {
+        overallStatus = 'ready';
+    } else if (statuses.includes('paused') && statuses.every(status => ['paused', 'hold', 'complete'].includes(status))) {
+        overallStatus = 'paused';
+    } else if (statuses.every(status => status === 'hold' || status === 'complete')) {
+        overallStatus = 'hold';
+    }
     const statusEl = document.getElementById('statusIndicator');
     statusEl.textContent = overallStatus.toUpperCase();
+    
+    // Running adherence; a missed due date shows up here instead of just "ready"
+    const adherenceEl = document.getElementById('adherenceSummary');
+    if (adherenceEl) {
+        const parts = ['top', 'bottom'].map(arch => {
+            const adherence = getAdherence(arch);
+            if (adherence.adherencePercent === null) return null;
+            const missed = adherence.missed > 0 ? ` (${adherence.missed} missed)` : '';
+            return `${arch === 'top' ? 'Top' : 'Bottom'} ${adherence.adherencePercent}%${missed}`;
+        }).filter(Boolean);
+        adherenceEl.textContent = parts.length > 0 ? parts.join(' · ') : '-';
+    }
     statusEl.className = `status-badge ${overallStatus}`;
     
+    const cycleEl = document.getElementById('cycleSummary');
+    if (cycleEl) {
+        cycleEl.textContent = state.cycle
+            ? [state.cycle.name, state.cycle.startDate ? `since ${formatDate(state.cycle.startDate)}` : null].filter(Boolean).join(' · ')
+            : '-';
+    }
+    
+    // Pending sync badge and replay failures
+    const syncBadge = document.getElementById('syncBadge');
+    if (syncBadge) {
+        syncBadge.textContent = `${state.pendingCount} pending`;
+        syncBadge.classList.toggle('hidden', state.pendingCount === 0);
+    }
+    // Active holds explain why an arch has no log button
+    const holdBanner = document.getElementById('holdBanner');
+    if (holdBanner) {
+        const activeHolds = state.holds.filter(hold => hold.startDate <= todayISO() && todayISO() <= hold.endDate);
+        holdBanner.innerHTML = activeHolds.map(hold => `
+            <div>⏸ ${describeHoldArch(hold)} paused until ${formatDate(hold.endDate)}${hold.reason ? `: ${escapeHtml(hold.reason)}` : ''}</div>
+        `).join('');
+        holdBanner.classList.toggle('hidden', activeHolds.length === 0);
+    }
+    
+    const shareBanner = document.getElementById('shareBanner');
+    if (shareBanner) {
+        shareBanner.textContent = state.share
+            ? `Read-only view${state.share.label ? ` for ${state.share.label}` : ''} · this link works until ${formatDate(state.share.expiresAt)}`
+            : '';
+        shareBanner.classList.toggle('hidden', !state.share);
+    }
+    
+    const warningEl = document.getElementById('warningMessage');
+    if (state.syncErrors.length > 0) {
+        warningEl.textContent = `Some offline changes could not be saved (tap to dismiss): ${state.syncErrors.join('; ')}`;
+        warningEl.classList.remove('hidden');
+    } else {
+        warningEl.classList.add('hidden');
+    }
+    
     // Update log buttons: always show tandem when both can log, and always show individual options
     const logButtonsContainer = document.getElementById('logButtons');
     const topCan = canLogTurn('top');
@@ -531,36 +1716,48 @@ function render() {
             buttonsHTML += '<button id="logTurnBtn" class="btn btn-primary">Log Today\'s Turn</button>';
         }
         
-        // Individual options: Log Top and Log Bottom (enabled when due, disabled with reason when not)
-        if (!topComplete) {
+        // Individual options: Log Top and Log Bottom (enabled when due, disabled with reason when not).
+        // A paused arch gets no button at all; the hold banner says why.
+        if (!topComplete && topStatus !== 'paused') {
             if (topCan.canLog) {
                 const cls = bothCanLog ? 'btn btn-secondary' : 'btn btn-primary';
                 buttonsHTML += `<button id="logTopBtn" class="${cls}">Log Top Only</button>`;
             } else {
-                const waitMsg = topCan.reason === 'wait' && topCan.daysRemaining != null
-                    ? `Top: Wait ${topCan.daysRemaining} day(s)`
-                    : 'Top: Not due yet';
-                buttonsHTML += `<button class="btn btn-secondary" disabled>${waitMsg}</button>`;
+                let waitMsg = 'Top: Not due yet';
+                if (topCan.reason === 'hold') {
+                    waitMsg = 'Top: On hold';
+                } else if (topCan.reason === 'wait' && topCan.daysRemaining != null) {
+                    waitMsg = `Top: Wait ${topCan.daysRemaining} day(s)`;
+                }
+                buttonsHTML += `<button class="btn btn-secondary btn-log-exception" data-arch="top" title="Log an orthodontist-approved exception">${waitMsg}</button>`;
             }
         }
-        if (!bottomComplete) {
+        if (!bottomComplete && bottomStatus !== 'paused') {
             if (bottomCan.canLog) {
                 const cls = bothCanLog ? 'btn btn-secondary' : 'btn btn-primary';
                 buttonsHTML += `<button id="logBottomBtn" class="${cls}">Log Bottom Only</button>`;
             } else {
-                const waitMsg = bottomCan.reason === 'wait' && bottomCan.daysRemaining != null
-                    ? `Bottom: Wait ${bottomCan.daysRemaining} day(s)`
-                    : 'Bottom: Not due yet';
-                buttonsHTML += `<button class="btn btn-secondary" disabled>${waitMsg}</button>`;
+                let waitMsg = 'Bottom: Not due yet';
+                if (bottomCan.reason === 'hold') {
+                    waitMsg = 'Bottom: On hold';
+                } else if (bottomCan.reason === 'wait' && bottomCan.daysRemaining != null) {
+                    waitMsg = `Bottom: Wait ${bottomCan.daysRemaining} day(s)`;
+                }
+                buttonsHTML += `<button class="btn btn-secondary btn-log-exception" data-arch="bottom" title="Log an orthodontist-approved exception">${waitMsg}</button>`;
             }
         }
     }
     
-    logButtonsContainer.innerHTML = buttonsHTML;
+    // Both are taken out of a shared view
+    if (logButtonsContainer) {
+        logButtonsContainer.innerHTML = buttonsHTML;
+    }
     
     // Update undo button
     const undoBtn = document.getElementById('undoBtn');
-    undoBtn.disabled = state.turns.length === 0;
+    if (undoBtn) {
+        undoBtn.disabled = state.turns.length === 0;
+    }
     
     // Update history
     const historyList = document.getElementById('historyList');
@@ -580,6 +1777,7 @@ function render() {
             return parseLocalDate(b).getTime() - parseLocalDate(a).getTime();
         });
         
+        const canUndo = can('log_turns');
         historyList.innerHTML = sortedDates.slice(0, 20).map(date => {
             const dateTurns = turnsByDate[date];
             const topTurn = dateTurns.find(t => t.arch === 'top');
@@ -587,16 +1785,27 @@ function render() {
             const note = topTurn?.note || bottomTurn?.note;
             
             const noteHtml = note ? `<div class="history-note">"${escapeHtml(note)}"</div>` : '';
+            const pendingMark = (turn) => turn.pending
+                ? '<span class="pending-mark" title="Waiting to sync">⏳</span>'
+                : (turn.override === 'true' ? '<span class="pending-mark" title="Orthodontist-approved exception">⚑</span>' : '');
+            const backfillMark = (turn) => turn.backfilled === 'true'
+                ? `<span class="pending-mark" title="Logged later, on ${escapeHtml(formatDate(dateToISOString(new Date(turn.created_at))))}">⏪</span>`
+                : '';
+            const turnTime = (turn) => {
+                const who = turn.logged_by ? `logged by ${escapeHtml(turn.logged_by)}` : '';
+                const when = turn.time ? `at ${formatTime(turn.time)}` : '';
+                return who || when ? ` <span class="history-time">${[who, when].filter(Boolean).join(' ')}</span>` : '';
+            };
             const topHtml = topTurn 
                 ? `<div class="history-turn-item">
-                    <span>Top</span>
-                    <button class="btn-icon btn-undo-turn" data-turn-id="${topTurn.id}" title="Undo top turn">↩️</button>
+                    <span>Top${turnTime(topTurn)}${pendingMark(topTurn)}${backfillMark(topTurn)}</span>
+                    ${canUndo ? `<button class="btn-icon btn-undo-turn" data-turn-id="${topTurn.id}" title="Undo top turn">↩️</button>` : ''}
                    </div>`
                 : '';
             const bottomHtml = bottomTurn
                 ? `<div class="history-turn-item">
-                    <span>Bottom</span>
-                    <button class="btn-icon btn-undo-turn" data-turn-id="${bottomTurn.id}" title="Undo bottom turn">↩️</button>
+                    <span>Bottom${turnTime(bottomTurn)}${pendingMark(bottomTurn)}${backfillMark(bottomTurn)}</span>
+                    ${canUndo ? `<button class="btn-icon btn-undo-turn" data-turn-id="${bottomTurn.id}" title="Undo bottom turn">↩️</button>` : ''}
                    </div>`
                 : '';
             
@@ -617,26 +1826,64 @@ function render() {
     if (state.treatmentNotes.length === 0) {
         treatmentNotesList.innerHTML = '<p class="empty-state">No treatment notes yet.</p>';
     } else {
+        const canEditNotes = can('edit_notes');
         treatmentNotesList.innerHTML = state.treatmentNotes.slice(0, 20).map(note => {
+            // Pending notes can't be edited until the server has them
+            let actionsHtml = '';
+            if (note.pending) {
+                actionsHtml = '<span class="pending-mark" title="Waiting to sync">⏳</span>';
+            } else if (canEditNotes) {
+                actionsHtml = `<button class="btn-icon btn-edit-note" data-note-id="${note.id}" title="Edit note">✏️</button>
+                        <button class="btn-icon btn-delete-note" data-note-id="${note.id}" title="Delete note">🗑️</button>`;
+            }
             return `
                 <div class="treatment-note-item">
                     <div class="treatment-note-content">
-                        <div class="treatment-note-date">${formatDate(note.date)}</div>
+                        <div class="treatment-note-date">${formatDate(note.date)}${isAppointmentNote(note) ? '<span class="appointment-mark">📅 Appointment</span>' : ''}${note.logged_by ? `<span class="history-time"> · added by ${escapeHtml(note.logged_by)}</span>` : ''}</div>
                         <div class="treatment-note-text">${escapeHtml(note.note)}</div>
                     </div>
                     <div class="treatment-note-actions">
-                        <button class="btn-icon btn-edit-note" data-note-id="${note.id}" title="Edit note">✏️</button>
-                        <button class="btn-icon btn-delete-note" data-note-id="${note.id}" title="Delete note">🗑️</button>
+                        ${actionsHtml}
                     </div>
                 </div>
             `;
         }).join('');
     }
     
+    applyPermissions();
+    
     // Re-attach event listeners
     attachEventListeners();
 }
 
+function openNoteModal(arch, override = false) {
+    const noteModal = document.getElementById('noteModal');
+    noteModal.dataset.arch = arch;
+    noteModal.dataset.override = override ? 'true' : 'false';
+    
+    const warning = document.getElementById('noteModalWarning');
+    const label = arch === 'top' ? 'Top' : 'Bottom';
+    warning.textContent = override
+        ? `${label} isn't due yet. Only log it if the orthodontist approved an extra turn.`
+        : '';
+    warning.classList.toggle('hidden', !override);
+    document.getElementById('noteModalTitle').textContent = override ? 'Log Approved Exception' : 'Add Note (Optional)';
+    document.getElementById('confirmNoteBtn').textContent = override ? 'Log Anyway' : 'Log Turn';
+    
+    // Defaults to today; an earlier day (back to install) records a forgotten turn
+    const dateInput = document.getElementById('noteDateInput');
+    const installDates = (arch === 'both' ? ['top', 'bottom'] : [arch])
+        .map(a => state.settings.schedules[a].installDate)
+        .filter(Boolean)
+        .sort();
+    dateInput.value = todayISO();
+    dateInput.max = todayISO();
+    dateInput.min = installDates.length > 0 ? installDates[installDates.length - 1] : '';
+    document.getElementById('noteTimeInput').value = '';
+    
+    noteModal.classList.remove('hidden');
+}
+
 // Event Listeners
 function attachEventListeners() {
     // Login button
@@ -665,6 +1912,7 @@ function attachEventListeners() {
                 document.querySelector('.container').style.display = '';
                 await loadData();
                 render();
+                flushQueue();
             } catch (error) {
                 errorEl.textContent = error.message || 'Login failed';
                 errorEl.classList.remove('hidden');
@@ -680,19 +1928,23 @@ function attachEventListeners() {
     if (logTurnBtn && !logTurnBtn.dataset.listenerAttached) {
         logTurnBtn.dataset.listenerAttached = 'true';
         logTurnBtn.onclick = () => {
-            const noteModal = document.getElementById('noteModal');
-            noteModal.dataset.arch = 'both';
-            noteModal.classList.remove('hidden');
+            openNoteModal('both');
         };
     }
     
+    // Not-due buttons open the note modal as an approved exception
+    document.querySelectorAll('.btn-log-exception').forEach(btn => {
+        if (!btn.dataset.listenerAttached) {
+            btn.dataset.listenerAttached = 'true';
+            btn.onclick = () => openNoteModal(btn.dataset.arch, true);
+        }
+    });
+    
     const logTopBtn = document.getElementById('logTopBtn');
     if (logTopBtn && !logTopBtn.dataset.listenerAttached) {
         logTopBtn.dataset.listenerAttached = 'true';
         logTopBtn.onclick = () => {
-            const noteModal = document.getElementById('noteModal');
-            noteModal.dataset.arch = 'top';
-            noteModal.classList.remove('hidden');
+            openNoteModal('top');
         };
     }
     
@@ -700,9 +1952,7 @@ function attachEventListeners() {
     if (logBottomBtn && !logBottomBtn.dataset.listenerAttached) {
         logBottomBtn.dataset.listenerAttached = 'true';
         logBottomBtn.onclick = () => {
-            const noteModal = document.getElementById('noteModal');
-            noteModal.dataset.arch = 'bottom';
-            noteModal.classList.remove('hidden');
+            openNoteModal('bottom');
         };
     }
     
@@ -714,13 +1964,27 @@ function attachEventListeners() {
             const noteModal = document.getElementById('noteModal');
             const noteInput = document.getElementById('noteInput');
             const arch = noteModal.dataset.arch || 'both';
+            const override = noteModal.dataset.override === 'true';
             const note = noteInput.value.trim() || null;
+            const date = document.getElementById('noteDateInput').value || todayISO();
+            const time = document.getElementById('noteTimeInput').value || null;
             
             noteInput.value = '';
             noteModal.classList.add('hidden');
             
             try {
-                await logTurn(arch, note);
+                try {
+                    await logTurn(arch, note, override, date, time);
+                } catch (error) {
+                    // The server's schedule check can disagree with a stale dashboard
+                    if (error.status !== 422 || override) throw error;
+                    if (!confirm(`${error.message}. Log it anyway as an orthodontist-approved exception?`)) {
+                        await loadData();
+                        render();
+                        return;
+                    }
+                    await logTurn(arch, note, true, date, time);
+                }
                 render();
             } catch (error) {
                 alert('Failed to log turn: ' + error.message);
@@ -787,18 +2051,37 @@ function attachEventListeners() {
     if (confirmResetBtn && !confirmResetBtn.dataset.listenerAttached) {
         confirmResetBtn.dataset.listenerAttached = 'true';
         confirmResetBtn.onclick = async () => {
-            // Delete all turns
-            for (const turn of state.turns) {
-                try {
-                    await apiCall(`/api/turns?id=${turn.id}`, { method: 'DELETE' });
-                } catch (error) {
-                    console.error('Error deleting turn:', error);
-                }
+            confirmResetBtn.disabled = true;
+            try {
+                await resetTurns();
+                render();
+                document.getElementById('resetModal').classList.add('hidden');
+            } catch (error) {
+                alert('Failed to reset: ' + error.message);
+            } finally {
+                confirmResetBtn.disabled = false;
             }
-            
-            await loadData();
-            render();
-            document.getElementById('resetModal').classList.add('hidden');
+        };
+    }
+    
+    const adherenceBtn = document.getElementById('adherenceBtn');
+    if (adherenceBtn && !adherenceBtn.dataset.listenerAttached) {
+        adherenceBtn.dataset.listenerAttached = 'true';
+        adherenceBtn.onclick = async () => {
+            try {
+                renderAdherenceReport(await fetchAdherenceReport());
+                document.getElementById('adherenceModal').classList.remove('hidden');
+            } catch (error) {
+                alert('Failed to load adherence report: ' + error.message);
+            }
+        };
+    }
+    
+    const closeAdherenceBtn = document.getElementById('closeAdherenceBtn');
+    if (closeAdherenceBtn && !closeAdherenceBtn.dataset.listenerAttached) {
+        closeAdherenceBtn.dataset.listenerAttached = 'true';
+        closeAdherenceBtn.onclick = () => {
+            document.getElementById('adherenceModal').classList.add('hidden');
         };
     }
     
@@ -819,6 +2102,12 @@ function attachEventListeners() {
             panel.classList.remove('hidden');
             updateSettingsForm();
             setupSettingsForm();
+            applyPermissions();
+            refreshReminders();
+            refreshResets();
+            refreshUsers();
+            refreshShares();
+            refreshCalendarFeed();
         };
     }
     
@@ -827,6 +2116,8 @@ function attachEventListeners() {
         closeSettingsBtn.dataset.listenerAttached = 'true';
         closeSettingsBtn.onclick = () => {
             document.getElementById('settingsPanel').classList.add('hidden');
+            showNewPassword(null, null);
+            showShareUrl(null);
         };
     }
     
@@ -835,8 +2126,41 @@ function attachEventListeners() {
     if (childNameEl && !childNameEl.dataset.listenerAttached) {
         childNameEl.dataset.listenerAttached = 'true';
         childNameEl.onblur = async () => {
-            state.settings.childName = childNameEl.textContent.trim() || 'Child';
-            await saveSettings();
+            const childName = childNameEl.textContent.trim() || 'Child';
+            if (childName === state.settings.childName) return;
+            await saveSettings({ childName });
+            render();
+        };
+    }
+    
+    // Sync failure warning
+    const warningEl = document.getElementById('warningMessage');
+    if (warningEl && !warningEl.dataset.listenerAttached) {
+        warningEl.dataset.listenerAttached = 'true';
+        warningEl.onclick = () => {
+            state.syncErrors = [];
+            warningEl.classList.add('hidden');
+        };
+    }
+    
+    // Patient switcher
+    const patientSelect = document.getElementById('patientSelect');
+    if (patientSelect && !patientSelect.dataset.listenerAttached) {
+        patientSelect.dataset.listenerAttached = 'true';
+        patientSelect.onchange = async () => {
+            try {
+                if (patientSelect.value === '__add__') {
+                    const name = (prompt('Child\'s name') || '').trim();
+                    if (name) {
+                        await createPatient(name);
+                    }
+                } else {
+                    await switchPatient(patientSelect.value);
+                }
+            } catch (error) {
+                alert('Failed to switch child: ' + error.message);
+            }
+            render();
         };
     }
     
@@ -849,6 +2173,7 @@ function attachEventListeners() {
             modal.dataset.noteId = '';
             document.getElementById('treatmentNoteDateInput').value = dateToISOString(todayMidnight());
             document.getElementById('treatmentNoteTextInput').value = '';
+            document.getElementById('treatmentNoteAppointmentInput').checked = false;
             modal.classList.remove('hidden');
         };
     }
@@ -861,6 +2186,7 @@ function attachEventListeners() {
             const noteId = modal.dataset.noteId;
             const date = document.getElementById('treatmentNoteDateInput').value;
             const note = document.getElementById('treatmentNoteTextInput').value.trim();
+            const isAppointment = document.getElementById('treatmentNoteAppointmentInput').checked;
             
             if (!date || !note) {
                 alert('Please enter both date and note');
@@ -869,9 +2195,9 @@ function attachEventListeners() {
             
             try {
                 if (noteId) {
-                    await updateTreatmentNote(noteId, date, note);
+                    await updateTreatmentNote(noteId, date, note, modal.dataset.updatedAt, isAppointment);
                 } else {
-                    await createTreatmentNote(date, note);
+                    await createTreatmentNote(date, note, isAppointment);
                 }
                 modal.classList.add('hidden');
                 render();
@@ -898,8 +2224,10 @@ function attachEventListeners() {
                 if (note) {
                     const modal = document.getElementById('treatmentNoteModal');
                     modal.dataset.noteId = noteId;
+                    modal.dataset.updatedAt = note.updated_at || '';
                     document.getElementById('treatmentNoteDateInput').value = note.date;
                     document.getElementById('treatmentNoteTextInput').value = note.note;
+                    document.getElementById('treatmentNoteAppointmentInput').checked = isAppointmentNote(note);
                     modal.classList.remove('hidden');
                 }
             };
@@ -911,7 +2239,7 @@ function attachEventListeners() {
             btn.dataset.listenerAttached = 'true';
             btn.onclick = async () => {
                 const noteId = btn.dataset.noteId;
-                if (confirm('Are you sure you want to delete this treatment note?')) {
+                if (confirm('Move this treatment note to the trash? It can be restored for 30 days.')) {
                     try {
                         await deleteTreatmentNote(noteId);
                         render();
@@ -924,39 +2252,116 @@ function attachEventListeners() {
     });
 }
 
+// Phase editor: one row per phase, saved as a whole list whenever a row changes
+function renderPhaseRows(arch) {
+    const prefix = arch === 'top' ? 'settingsTop' : 'settingsBottom';
+    const container = document.getElementById(`${prefix}Phases`);
+    if (!container || container.contains(document.activeElement)) return;
+    
+    const phases = state.settings.schedules[arch].phases || [];
+    container.innerHTML = phases.map((phase, index) => {
+        const byDate = Boolean(phase.startsOn);
+        const option = (value, label, current) => `<option value="${value}"${value === current ? ' selected' : ''}>${label}</option>`;
+        return `
+            <div class="phase-row" data-index="${index}">
+                <select class="phase-start-type" aria-label="Phase starts">
+                    ${option('turn', 'From turn', byDate ? 'date' : 'turn')}
+                    ${option('date', 'From date', byDate ? 'date' : 'turn')}
+                </select>
+                ${byDate
+                    ? `<input type="date" class="phase-start-value" value="${escapeHtml(phase.startsOn)}" aria-label="Start date">`
+                    : `<input type="number" class="phase-start-value" min="1" value="${phase.startsAtTurn}" aria-label="Start turn">`}
+                <select class="phase-schedule-type" aria-label="Phase schedule">
+                    ${option('every_n_days', 'Every N days', phase.scheduleType)}
+                    ${option('twice_per_week', 'Twice per week', phase.scheduleType)}
+                    ${option('hold', 'Hold', phase.scheduleType)}
+                </select>
+                <input type="number" class="phase-interval" min="1" value="${phase.intervalDays}" aria-label="Interval (days)"${phase.scheduleType === 'every_n_days' ? '' : ' style="display: none"'}>
+                <button class="btn-icon phase-remove" title="Remove phase">✕</button>
+            </div>
+        `;
+    }).join('');
+}
+
+function readPhaseRows(container) {
+    return Array.from(container.querySelectorAll('.phase-row')).map(row => {
+        const startType = row.querySelector('.phase-start-type').value;
+        const startInput = row.querySelector('.phase-start-value');
+        // Switching the start type leaves the other kind of value in the input
+        const startValue = (startInput.type === 'date') === (startType === 'date') ? startInput.value : '';
+        const start = startType === 'date'
+            ? { startsOn: startValue || todayISO() }
+            : { startsAtTurn: Math.max(1, parseInt(startValue) || 1) };
+        return {
+            ...start,
+            scheduleType: row.querySelector('.phase-schedule-type').value,
+            intervalDays: Math.max(1, parseInt(row.querySelector('.phase-interval').value) || 2)
+        };
+    });
+}
+
+function renderHoldList() {
+    const container = document.getElementById('settingsHoldList');
+    if (!container) return;
+    
+    if (state.holds.length === 0) {
+        container.innerHTML = '<p class="setting-hint">No holds.</p>';
+        return;
+    }
+    container.innerHTML = state.holds.map(hold => `
+        <div class="hold-row" data-id="${escapeHtml(hold.id)}">
+            <div class="hold-row-text">
+                <div>${formatDate(hold.startDate)} – ${formatDate(hold.endDate)} · ${describeHoldArch(hold)}</div>
+                ${hold.reason ? `<div class="setting-hint">${escapeHtml(hold.reason)}</div>` : ''}
+            </div>
+            <button class="btn-icon hold-remove" title="Remove hold">✕</button>
+        </div>
+    `).join('');
+}
+
 function updateSettingsForm() {
     const childNameInput = document.getElementById('settingsChildName');
     if (childNameInput && document.activeElement !== childNameInput) {
         childNameInput.value = state.settings.childName;
     }
     
-    const installDateInput = document.getElementById('settingsInstallDate');
-    if (installDateInput && document.activeElement !== installDateInput) {
-        installDateInput.value = state.settings.installDate || '';
-    }
-    
-    const scheduleTypeInputs = document.querySelectorAll('input[name="scheduleType"]');
-    scheduleTypeInputs.forEach(input => {
-        if (input.value === state.settings.scheduleType) {
-            input.checked = true;
+    ['top', 'bottom'].forEach(arch => {
+        const prefix = arch === 'top' ? 'settingsTop' : 'settingsBottom';
+        const schedule = state.settings.schedules[arch];
+        
+        const installDateInput = document.getElementById(`${prefix}InstallDate`);
+        if (installDateInput && document.activeElement !== installDateInput) {
+            installDateInput.value = schedule.installDate || '';
+        }
+        
+        document.querySelectorAll(`input[name="${arch}ScheduleType"]`).forEach(input => {
+            input.checked = input.value === schedule.scheduleType;
+        });
+        
+        const intervalGroup = document.getElementById(`${prefix}IntervalGroup`);
+        if (intervalGroup) {
+            intervalGroup.style.display = schedule.scheduleType === 'twice_per_week' ? 'none' : '';
+        }
+        const intervalInput = document.getElementById(`${prefix}IntervalDays`);
+        if (intervalInput && document.activeElement !== intervalInput) {
+            intervalInput.value = schedule.intervalDays;
+        }
+        
+        const totalInput = document.getElementById(`${prefix}Total`);
+        if (totalInput && document.activeElement !== totalInput) {
+            totalInput.value = arch === 'top' ? state.settings.topTotal : state.settings.bottomTotal;
+        }
+        
+        const mmInput = document.getElementById(`${prefix}MmPerTurn`);
+        if (mmInput && document.activeElement !== mmInput) {
+            mmInput.value = arch === 'top' ? state.settings.topMmPerTurn : state.settings.bottomMmPerTurn;
         }
+        
+        renderPhaseRows(arch);
     });
     
-    const intervalInput = document.getElementById('settingsIntervalDays');
-    if (intervalInput && document.activeElement !== intervalInput) {
-        intervalInput.value = state.settings.intervalDays;
-        intervalInput.style.display = state.settings.scheduleType === 'twice_per_week' ? 'none' : 'block';
-    }
-    
-    const topTotalInput = document.getElementById('settingsTopTotal');
-    if (topTotalInput && document.activeElement !== topTotalInput) {
-        topTotalInput.value = state.settings.topTotal;
-    }
-    
-    const bottomTotalInput = document.getElementById('settingsBottomTotal');
-    if (bottomTotalInput && document.activeElement !== bottomTotalInput) {
-        bottomTotalInput.value = state.settings.bottomTotal;
-    }
+    renderHoldList();
+    renderCycleList();
 }
 
 function setupSettingsForm() {
@@ -964,61 +2369,594 @@ function setupSettingsForm() {
     if (childNameInput && !childNameInput.dataset.listenerAttached) {
         childNameInput.dataset.listenerAttached = 'true';
         childNameInput.onblur = async () => {
-            state.settings.childName = childNameInput.value.trim() || 'Child';
-            await saveSettings();
+            await saveSettings({ childName: childNameInput.value.trim() || 'Child' });
+            updateSettingsForm();
+            render();
         };
     }
     
-    const installDateInput = document.getElementById('settingsInstallDate');
-    if (installDateInput && !installDateInput.dataset.listenerAttached) {
-        installDateInput.dataset.listenerAttached = 'true';
-        installDateInput.onchange = async () => {
-            state.settings.installDate = installDateInput.value || null;
-            await saveSettings();
+    ['top', 'bottom'].forEach(arch => {
+        const prefix = arch === 'top' ? 'settingsTop' : 'settingsBottom';
+        const saveSchedule = async (patch) => {
+            await saveSettings({ schedules: { [arch]: patch } });
+            updateSettingsForm();
             render();
         };
-    }
-    
-    const scheduleTypeInputs = document.querySelectorAll('input[name="scheduleType"]');
-    scheduleTypeInputs.forEach(input => {
-        if (!input.dataset.listenerAttached) {
-            input.dataset.listenerAttached = 'true';
-            input.onchange = async () => {
-                state.settings.scheduleType = input.value;
-                await saveSettings();
+        
+        const installDateInput = document.getElementById(`${prefix}InstallDate`);
+        if (installDateInput && !installDateInput.dataset.listenerAttached) {
+            installDateInput.dataset.listenerAttached = 'true';
+            installDateInput.onchange = () => saveSchedule({ installDate: installDateInput.value || null });
+        }
+        
+        document.querySelectorAll(`input[name="${arch}ScheduleType"]`).forEach(input => {
+            if (!input.dataset.listenerAttached) {
+                input.dataset.listenerAttached = 'true';
+                input.onchange = () => saveSchedule({ scheduleType: input.value });
+            }
+        });
+        
+        const intervalInput = document.getElementById(`${prefix}IntervalDays`);
+        if (intervalInput && !intervalInput.dataset.listenerAttached) {
+            intervalInput.dataset.listenerAttached = 'true';
+            intervalInput.onchange = () => saveSchedule({ intervalDays: Math.max(1, parseInt(intervalInput.value) || 2) });
+        }
+        
+        const savePhases = async (phases) => {
+            document.activeElement?.blur();
+            try {
+                await saveSchedule({ phases });
+            } catch (error) {
+                alert('Failed to save phases: ' + error.message);
+                renderPhaseRows(arch);
+            }
+        };
+        
+        const phaseList = document.getElementById(`${prefix}Phases`);
+        if (phaseList && !phaseList.dataset.listenerAttached) {
+            phaseList.dataset.listenerAttached = 'true';
+            phaseList.onchange = () => savePhases(readPhaseRows(phaseList));
+            phaseList.onclick = (e) => {
+                const removeBtn = e.target.closest('.phase-remove');
+                if (!removeBtn) return;
+                const index = Number(removeBtn.closest('.phase-row').dataset.index);
+                savePhases(readPhaseRows(phaseList).filter((_, i) => i !== index));
+            };
+        }
+        
+        const addPhaseBtn = document.getElementById(`${prefix}AddPhase`);
+        if (addPhaseBtn && !addPhaseBtn.dataset.listenerAttached) {
+            addPhaseBtn.dataset.listenerAttached = 'true';
+            addPhaseBtn.onclick = () => {
+                // Default to starting after the turn the arch is on now
+                const done = state.turns.filter(t => t.arch === arch).length + INSTALL_TURN;
+                const phases = readPhaseRows(phaseList);
+                phases.push({ startsAtTurn: done + 1, scheduleType: 'every_n_days', intervalDays: 2 });
+                savePhases(phases);
+            };
+        }
+        
+        const totalInput = document.getElementById(`${prefix}Total`);
+        const totalKey = arch === 'top' ? 'topTotal' : 'bottomTotal';
+        const totalDefault = arch === 'top' ? 27 : 23;
+        if (totalInput && !totalInput.dataset.listenerAttached) {
+            totalInput.dataset.listenerAttached = 'true';
+            totalInput.onchange = async () => {
+                await saveSettings({ [totalKey]: Math.max(1, parseInt(totalInput.value) || totalDefault) });
+                updateSettingsForm();
+                render();
+            };
+        }
+        
+        const mmInput = document.getElementById(`${prefix}MmPerTurn`);
+        const mmKey = arch === 'top' ? 'topMmPerTurn' : 'bottomMmPerTurn';
+        if (mmInput && !mmInput.dataset.listenerAttached) {
+            mmInput.dataset.listenerAttached = 'true';
+            mmInput.onchange = async () => {
+                const mm = parseFloat(mmInput.value);
+                try {
+                    await saveSettings({ [mmKey]: mm > 0 ? mm : 0.25 });
+                } catch (error) {
+                    alert('Failed to save mm per turn: ' + error.message);
+                }
                 updateSettingsForm();
                 render();
             };
         }
     });
     
-    const intervalInput = document.getElementById('settingsIntervalDays');
-    if (intervalInput && !intervalInput.dataset.listenerAttached) {
-        intervalInput.dataset.listenerAttached = 'true';
-        intervalInput.onchange = async () => {
-            state.settings.intervalDays = Math.max(1, parseInt(intervalInput.value) || 2);
-            await saveSettings();
-            render();
+    const auditLogBtn = document.getElementById('auditLogBtn');
+    if (auditLogBtn && !auditLogBtn.dataset.listenerAttached) {
+        auditLogBtn.dataset.listenerAttached = 'true';
+        auditLogBtn.onclick = async () => {
+            try {
+                await showAuditLog();
+            } catch (error) {
+                alert('Failed to load activity log: ' + error.message);
+            }
         };
     }
     
-    const topTotalInput = document.getElementById('settingsTopTotal');
-    if (topTotalInput && !topTotalInput.dataset.listenerAttached) {
-        topTotalInput.dataset.listenerAttached = 'true';
-        topTotalInput.onchange = async () => {
-            state.settings.topTotal = Math.max(1, parseInt(topTotalInput.value) || 27);
-            await saveSettings();
-            render();
+    const auditList = document.getElementById('auditList');
+    if (auditList && !auditList.dataset.listenerAttached) {
+        auditList.dataset.listenerAttached = 'true';
+        auditList.onclick = async (e) => {
+            const restoreBtn = e.target.closest('.btn-restore');
+            if (!restoreBtn) return;
+            restoreBtn.disabled = true;
+            try {
+                await restoreFromAudit(restoreBtn.dataset.auditId);
+                render();
+                await showAuditLog();
+            } catch (error) {
+                alert('Failed to restore: ' + error.message);
+                restoreBtn.disabled = false;
+            }
         };
     }
     
-    const bottomTotalInput = document.getElementById('settingsBottomTotal');
-    if (bottomTotalInput && !bottomTotalInput.dataset.listenerAttached) {
-        bottomTotalInput.dataset.listenerAttached = 'true';
-        bottomTotalInput.onchange = async () => {
-            state.settings.bottomTotal = Math.max(1, parseInt(bottomTotalInput.value) || 23);
-            await saveSettings();
-            render();
+    const trashBtn = document.getElementById('trashBtn');
+    if (trashBtn && !trashBtn.dataset.listenerAttached) {
+        trashBtn.dataset.listenerAttached = 'true';
+        trashBtn.onclick = async () => {
+            try {
+                await showTrash();
+            } catch (error) {
+                alert('Failed to load trash: ' + error.message);
+            }
+        };
+    }
+    
+    const trashList = document.getElementById('trashList');
+    if (trashList && !trashList.dataset.listenerAttached) {
+        trashList.dataset.listenerAttached = 'true';
+        trashList.onclick = async (e) => {
+            const button = e.target.closest('.btn-trash-restore, .btn-trash-purge');
+            if (!button) return;
+            const { entity, id } = button.closest('.audit-item').dataset;
+            const purge = button.classList.contains('btn-trash-purge');
+            if (purge && !confirm('Delete this forever? This cannot be undone.')) return;
+            
+            button.disabled = true;
+            try {
+                if (purge) {
+                    await purgeFromTrash(entity, id);
+                } else {
+                    await restoreFromTrash(entity, id);
+                    render();
+                }
+                await showTrash();
+            } catch (error) {
+                alert(`Failed to ${purge ? 'delete' : 'restore'}: ` + error.message);
+                button.disabled = false;
+            }
+        };
+    }
+    
+    const confirmImportBtn = document.getElementById('confirmImportBtn');
+    if (confirmImportBtn && !confirmImportBtn.dataset.listenerAttached) {
+        confirmImportBtn.dataset.listenerAttached = 'true';
+        confirmImportBtn.onclick = async () => {
+            if (!pendingImportCsv) return;
+            
+            confirmImportBtn.disabled = true;
+            try {
+                await commitImport(pendingImportCsv);
+                pendingImportCsv = null;
+                document.getElementById('importFileInput').value = '';
+                document.getElementById('importModal').classList.add('hidden');
+                render();
+            } catch (error) {
+                // Something changed since the preview; show the new report
+                if (error.data && Array.isArray(error.data.errors)) {
+                    renderImportPreview(error.data);
+                }
+                alert('Failed to import: ' + error.message);
+                confirmImportBtn.disabled = false;
+            }
+        };
+    }
+    
+    const cancelImportBtn = document.getElementById('cancelImportBtn');
+    if (cancelImportBtn && !cancelImportBtn.dataset.listenerAttached) {
+        cancelImportBtn.dataset.listenerAttached = 'true';
+        cancelImportBtn.onclick = () => {
+            pendingImportCsv = null;
+            document.getElementById('importModal').classList.add('hidden');
+        };
+    }
+    
+    const closeCycleBtn = document.getElementById('closeCycleBtn');
+    if (closeCycleBtn && !closeCycleBtn.dataset.listenerAttached) {
+        closeCycleBtn.dataset.listenerAttached = 'true';
+        closeCycleBtn.onclick = () => {
+            document.getElementById('cycleModal').classList.add('hidden');
+        };
+    }
+    
+    const closeTrashBtn = document.getElementById('closeTrashBtn');
+    if (closeTrashBtn && !closeTrashBtn.dataset.listenerAttached) {
+        closeTrashBtn.dataset.listenerAttached = 'true';
+        closeTrashBtn.onclick = () => {
+            document.getElementById('trashModal').classList.add('hidden');
+        };
+    }
+    
+    const closeAuditBtn = document.getElementById('closeAuditBtn');
+    if (closeAuditBtn && !closeAuditBtn.dataset.listenerAttached) {
+        closeAuditBtn.dataset.listenerAttached = 'true';
+        closeAuditBtn.onclick = () => {
+            document.getElementById('auditModal').classList.add('hidden');
+        };
+    }
+    
+    const addHoldBtn = document.getElementById('addHoldBtn');
+    if (addHoldBtn && !addHoldBtn.dataset.listenerAttached) {
+        addHoldBtn.dataset.listenerAttached = 'true';
+        addHoldBtn.onclick = async () => {
+            const startInput = document.getElementById('holdStartInput');
+            const endInput = document.getElementById('holdEndInput');
+            const reasonInput = document.getElementById('holdReasonInput');
+            if (!startInput.value || !endInput.value) {
+                alert('Please choose a start and end date for the hold');
+                return;
+            }
+            try {
+                await createHold({
+                    startDate: startInput.value,
+                    endDate: endInput.value,
+                    arch: document.getElementById('holdArchInput').value,
+                    reason: reasonInput.value.trim()
+                });
+                startInput.value = '';
+                endInput.value = '';
+                reasonInput.value = '';
+                updateSettingsForm();
+                render();
+            } catch (error) {
+                alert('Failed to add hold: ' + error.message);
+            }
+        };
+    }
+    
+    const holdList = document.getElementById('settingsHoldList');
+    if (holdList && !holdList.dataset.listenerAttached) {
+        holdList.dataset.listenerAttached = 'true';
+        holdList.onclick = async (e) => {
+            const removeBtn = e.target.closest('.hold-remove');
+            if (!removeBtn) return;
+            try {
+                await deleteHold(removeBtn.closest('.hold-row').dataset.id);
+                updateSettingsForm();
+                render();
+            } catch (error) {
+                alert('Failed to remove hold: ' + error.message);
+            }
+        };
+    }
+    
+    const exportBtn = document.getElementById('exportBtn');
+    if (exportBtn && !exportBtn.dataset.listenerAttached) {
+        exportBtn.dataset.listenerAttached = 'true';
+        exportBtn.onclick = async () => {
+            const from = document.getElementById('exportFromInput').value;
+            const to = document.getElementById('exportToInput').value;
+            const params = new URLSearchParams({ format: document.getElementById('exportFormatInput').value });
+            if (from) params.set('from', from);
+            if (to) params.set('to', to);
+            
+            exportBtn.disabled = true;
+            try {
+                await downloadFile(withPatient(`/api/export?${params}`));
+            } catch (error) {
+                alert('Failed to export: ' + error.message);
+            } finally {
+                exportBtn.disabled = false;
+            }
+        };
+    }
+    
+    const reportBtn = document.getElementById('reportBtn');
+    if (reportBtn && !reportBtn.dataset.listenerAttached) {
+        reportBtn.dataset.listenerAttached = 'true';
+        reportBtn.onclick = async () => {
+            const from = document.getElementById('reportFromInput').value;
+            const to = document.getElementById('reportToInput').value;
+            const params = new URLSearchParams({ timezone: getTimeZone() });
+            if (from) params.set('from', from);
+            if (to) params.set('to', to);
+            
+            reportBtn.disabled = true;
+            try {
+                await downloadFile(withPatient(`/api/visit-report?${params}`));
+            } catch (error) {
+                alert('Failed to download visit report: ' + error.message);
+            } finally {
+                reportBtn.disabled = false;
+            }
+        };
+    }
+    
+    const importPreviewBtn = document.getElementById('importPreviewBtn');
+    if (importPreviewBtn && !importPreviewBtn.dataset.listenerAttached) {
+        importPreviewBtn.dataset.listenerAttached = 'true';
+        importPreviewBtn.onclick = async () => {
+            const file = document.getElementById('importFileInput').files[0];
+            if (!file) {
+                alert('Choose a CSV file to import');
+                return;
+            }
+            
+            importPreviewBtn.disabled = true;
+            try {
+                pendingImportCsv = await file.text();
+                renderImportPreview(await previewImport(pendingImportCsv));
+                document.getElementById('importModal').classList.remove('hidden');
+            } catch (error) {
+                alert('Failed to read import: ' + error.message);
+            } finally {
+                importPreviewBtn.disabled = false;
+            }
+        };
+    }
+    
+    const startCycleBtn = document.getElementById('startCycleBtn');
+    if (startCycleBtn && !startCycleBtn.dataset.listenerAttached) {
+        startCycleBtn.dataset.listenerAttached = 'true';
+        startCycleBtn.onclick = async () => {
+            const startInput = document.getElementById('cycleStartInput');
+            const nameInput = document.getElementById('cycleNameInput');
+            if (!startInput.value) {
+                alert('Choose the date the new cycle starts');
+                return;
+            }
+            const current = state.cycle ? state.cycle.name : 'the current cycle';
+            if (!confirm(`Finish ${current} and start a new one on ${formatDate(startInput.value)}? Its turns move to past cycles.`)) return;
+            
+            startCycleBtn.disabled = true;
+            try {
+                await startCycle(startInput.value, nameInput.value.trim());
+                startInput.value = '';
+                nameInput.value = '';
+                updateSettingsForm();
+                render();
+            } catch (error) {
+                alert('Failed to start new cycle: ' + error.message);
+            } finally {
+                startCycleBtn.disabled = false;
+            }
+        };
+    }
+    
+    const cycleList = document.getElementById('settingsCycleList');
+    if (cycleList && !cycleList.dataset.listenerAttached) {
+        cycleList.dataset.listenerAttached = 'true';
+        cycleList.onclick = async (e) => {
+            const viewBtn = e.target.closest('.cycle-view');
+            if (!viewBtn) return;
+            try {
+                renderCycleDetail(await fetchCycle(viewBtn.closest('.hold-row').dataset.id));
+                document.getElementById('cycleModal').classList.remove('hidden');
+            } catch (error) {
+                alert('Failed to load cycle: ' + error.message);
+            }
+        };
+    }
+    
+    const resetList = document.getElementById('settingsResetList');
+    if (resetList && !resetList.dataset.listenerAttached) {
+        resetList.dataset.listenerAttached = 'true';
+        resetList.onclick = async (e) => {
+            const undoBtn = e.target.closest('.reset-undo');
+            if (!undoBtn) return;
+            if (!confirm('Bring back the turns from this reset?')) return;
+            
+            undoBtn.disabled = true;
+            try {
+                await undoReset(undoBtn.closest('.hold-row').dataset.id);
+                render();
+                await refreshResets();
+            } catch (error) {
+                alert('Failed to undo reset: ' + error.message);
+                undoBtn.disabled = false;
+            }
+        };
+    }
+    
+    const inviteUserBtn = document.getElementById('inviteUserBtn');
+    if (inviteUserBtn && !inviteUserBtn.dataset.listenerAttached) {
+        inviteUserBtn.dataset.listenerAttached = 'true';
+        inviteUserBtn.onclick = async () => {
+            const usernameInput = document.getElementById('inviteUsernameInput');
+            const displayNameInput = document.getElementById('inviteDisplayNameInput');
+            const passwordInput = document.getElementById('invitePasswordInput');
+            const roleInput = document.getElementById('inviteRoleInput');
+            if (!usernameInput.value.trim()) {
+                alert('Enter a username');
+                return;
+            }
+            
+            inviteUserBtn.disabled = true;
+            try {
+                const result = await inviteUser({
+                    username: usernameInput.value.trim(),
+                    displayName: displayNameInput.value.trim(),
+                    password: passwordInput.value,
+                    role: roleInput.value
+                });
+                usernameInput.value = '';
+                displayNameInput.value = '';
+                passwordInput.value = '';
+                roleInput.value = 'caregiver';
+                showNewPassword(result.user, result.temporaryPassword);
+                await refreshUsers();
+            } catch (error) {
+                alert('Failed to add person: ' + error.message);
+            } finally {
+                inviteUserBtn.disabled = false;
+            }
+        };
+    }
+    
+    const userList = document.getElementById('settingsUserList');
+    if (userList && !userList.dataset.listenerAttached) {
+        userList.dataset.listenerAttached = 'true';
+        userList.onclick = async (e) => {
+            const button = e.target.closest('.user-reset, .user-toggle');
+            if (!button) return;
+            const id = button.closest('.hold-row').dataset.id;
+            
+            button.disabled = true;
+            try {
+                if (button.classList.contains('user-reset')) {
+                    const self = id === getUser()?.id;
+                    const question = self
+                        ? 'Make up a new password for yourself? You will be signed out everywhere, including here, and need it to sign back in.'
+                        : 'Make up a new password for this person? Their old one stops working and they are signed out everywhere.';
+                    if (!confirm(question)) {
+                        button.disabled = false;
+                        return;
+                    }
+                    const result = await updateUser(id, { resetPassword: true });
+                    showNewPassword(result.user, result.temporaryPassword);
+                    // This session has just ended; keep the new password on screen until the next request
+                    if (self) return;
+                } else {
+                    await updateUser(id, { disabled: button.dataset.disabled !== 'true' });
+                }
+                await refreshUsers();
+            } catch (error) {
+                alert('Failed to update person: ' + error.message);
+                button.disabled = false;
+            }
+        };
+        userList.onchange = async (e) => {
+            const roleSelect = e.target.closest('.user-role');
+            if (!roleSelect) return;
+            try {
+                await updateUser(roleSelect.closest('.hold-row').dataset.id, { role: roleSelect.value });
+            } catch (error) {
+                alert('Failed to change role: ' + error.message);
+            }
+            await refreshUsers();
+        };
+    }
+    
+    const reminderTimeInput = document.getElementById('settingsReminderTime');
+    if (reminderTimeInput && !reminderTimeInput.dataset.listenerAttached) {
+        reminderTimeInput.dataset.listenerAttached = 'true';
+        reminderTimeInput.onchange = async () => {
+            if (!reminderTimeInput.value) return;
+            try {
+                await updateReminderTime(reminderTimeInput.value);
+                await refreshReminders();
+            } catch (error) {
+                alert('Failed to update reminder time: ' + error.message);
+            }
+        };
+    }
+    
+    const calendarLinkBtn = document.getElementById('calendarLinkBtn');
+    if (calendarLinkBtn && !calendarLinkBtn.dataset.listenerAttached) {
+        calendarLinkBtn.dataset.listenerAttached = 'true';
+        calendarLinkBtn.onclick = async () => {
+            const urlInput = document.getElementById('calendarFeedUrl');
+            if (urlInput.value && !confirm('Get a new link? Calendars subscribed to the current one stop updating.')) return;
+            
+            calendarLinkBtn.disabled = true;
+            try {
+                showCalendarFeed(await createCalendarLink());
+                urlInput.select();
+                if (navigator.clipboard) {
+                    navigator.clipboard.writeText(urlInput.value).catch(() => {});
+                }
+            } catch (error) {
+                alert('Failed to create calendar link: ' + error.message);
+            } finally {
+                calendarLinkBtn.disabled = false;
+            }
+        };
+    }
+    
+    const calendarRevokeBtn = document.getElementById('calendarRevokeBtn');
+    if (calendarRevokeBtn && !calendarRevokeBtn.dataset.listenerAttached) {
+        calendarRevokeBtn.dataset.listenerAttached = 'true';
+        calendarRevokeBtn.onclick = async () => {
+            if (!confirm('Turn off the calendar feed? Subscribed calendars stop updating right away.')) return;
+            
+            calendarRevokeBtn.disabled = true;
+            try {
+                await revokeCalendarLink();
+                showCalendarFeed(null);
+            } catch (error) {
+                alert('Failed to turn off calendar link: ' + error.message);
+            } finally {
+                calendarRevokeBtn.disabled = false;
+            }
+        };
+    }
+    
+    const createShareBtn = document.getElementById('createShareBtn');
+    if (createShareBtn && !createShareBtn.dataset.listenerAttached) {
+        createShareBtn.dataset.listenerAttached = 'true';
+        createShareBtn.onclick = async () => {
+            const labelInput = document.getElementById('shareLabelInput');
+            const daysInput = document.getElementById('shareDaysInput');
+            
+            createShareBtn.disabled = true;
+            try {
+                const share = await createShare(labelInput.value.trim(), parseInt(daysInput.value, 10));
+                labelInput.value = '';
+                showShareUrl(share.url);
+                await refreshShares();
+            } catch (error) {
+                alert('Failed to create share link: ' + error.message);
+            } finally {
+                createShareBtn.disabled = false;
+            }
+        };
+    }
+    
+    const shareList = document.getElementById('settingsShareList');
+    if (shareList && !shareList.dataset.listenerAttached) {
+        shareList.dataset.listenerAttached = 'true';
+        shareList.onclick = async (e) => {
+            const copyBtn = e.target.closest('.share-copy');
+            if (copyBtn) {
+                showShareUrl(copyBtn.dataset.url);
+                return;
+            }
+            const revokeBtn = e.target.closest('.share-revoke');
+            if (!revokeBtn) return;
+            if (!confirm('Revoke this link? Anyone using it loses access right away.')) return;
+            
+            revokeBtn.disabled = true;
+            try {
+                await revokeShare(revokeBtn.closest('.hold-row').dataset.id);
+                showShareUrl(null);
+                await refreshShares();
+            } catch (error) {
+                alert('Failed to revoke share link: ' + error.message);
+                revokeBtn.disabled = false;
+            }
+        };
+    }
+    
+    const reminderToggleBtn = document.getElementById('reminderToggleBtn');
+    if (reminderToggleBtn && !reminderToggleBtn.dataset.listenerAttached) {
+        reminderToggleBtn.dataset.listenerAttached = 'true';
+        reminderToggleBtn.onclick = async () => {
+            reminderToggleBtn.disabled = true;
+            try {
+                if (reminderToggleBtn.dataset.enabled === 'true') {
+                    await disableReminders();
+                } else {
+                    await enableReminders(reminderTimeInput?.value || '19:30');
+                }
+            } catch (error) {
+                alert('Failed to update reminders: ' + error.message);
+            }
+            await refreshReminders();
         };
     }
 }
@@ -1048,9 +2986,45 @@ document.addEventListener('keypress', (e) => {
     }
 });
 
+// Replay queued changes as soon as the connection comes back
+window.addEventListener('online', () => {
+    flushQueue();
+});
+
+// Read-only dashboard for a share link. Everything that changes data is taken out of
+// the page, not just hidden; /api/share-view can only read anyway.
+async function openSharedView() {
+    ['settingsBtn', 'settingsPanel', 'patientSelect', 'syncBadge'].forEach(id => {
+        document.getElementById(id)?.remove();
+    });
+    document.querySelectorAll('.container [data-permission]').forEach(el => {
+        if (!el.dataset.permission.split(' ').every(can)) {
+            el.remove();
+        }
+    });
+    hideLogin();
+    
+    const container = document.querySelector('.container');
+    try {
+        await loadData();
+        container.style.display = '';
+        render();
+    } catch (error) {
+        console.error('Failed to open shared dashboard:', error);
+        document.getElementById('shareError').textContent = error.message;
+        document.getElementById('shareErrorModal').classList.remove('hidden');
+    }
+}
+
 // Initialize app
 (async function init() {
     attachEventListeners();
+    registerServiceWorker();
+    
+    if (SHARE_TOKEN) {
+        await openSharedView();
+        return;
+    }
     
     const token = getToken();
     const user = getUser();
@@ -1072,6 +3046,7 @@ document.addEventListener('keypress', (e) => {
     try {
         await loadData();
         render();
+        flushQueue();
     } catch (error) {
         console.error('Failed to load data:', error);
         showLogin();
@@ -18,22 +18,63 @@ const path = require('path');
         }
     }
 })();
+// Without a Google service account configured, fall back to the local JSON store
+if (!process.env.STORAGE_DRIVER && !process.env.GOOGLE_SHEETS_SPREADSHEET_ID) {
+    process.env.STORAGE_DRIVER = 'file';
+}
 const http = require('http');
 
 const PORT = process.env.PORT || 3000;
 const API_HANDLERS = {
     '/api/login': require('./api/login.js'),
     '/api/verify': require('./api/verify.js'),
+    '/api/patients': require('./api/patients.js'),
+    '/api/users': require('./api/users.js'),
+    '/api/shares': require('./api/shares.js'),
+    '/api/share-view': require('./api/share-view.js'),
     '/api/settings': require('./api/settings.js'),
     '/api/turns': require('./api/turns.js'),
-    '/api/treatment-notes': require('./api/treatment-notes.js')
+    '/api/treatment-notes': require('./api/treatment-notes.js'),
+    '/api/holds': require('./api/holds.js'),
+    '/api/adherence': require('./api/adherence.js'),
+    '/api/audit': require('./api/audit.js'),
+    '/api/trash': require('./api/trash.js'),
+    '/api/reset': require('./api/reset.js'),
+    '/api/cycles': require('./api/cycles.js'),
+    '/api/export': require('./api/export.js'),
+    '/api/import': require('./api/import.js'),
+    '/api/visit-report': require('./api/visit-report.js'),
+    '/api/reminders': require('./api/reminders.js'),
+    '/api/cron/reminders': require('./api/cron/reminders.js'),
+    '/api/calendar-link': require('./api/calendar-link.js'),
+    '/api/calendar.ics': require('./api/calendar.ics.js')
 };
 
+// Only the app shell is served as files. The repo root also holds .env.local, the
+// .data/ store (password hashes, tokens, push subscriptions) and the API source.
+const STATIC_FILES = new Set(['/index.html', '/app.js', '/styles.css', '/sw.js', '/manifest.webmanifest']);
+const STATIC_DIRS = ['/icons/', '/shared/'];
+
+// Dot-segments, encoded or not, and dotfiles never reach the filesystem
+function hasDotSegment(pathname) {
+    try {
+        return decodeURIComponent(pathname).split(/[\\/]/).some((segment) => segment.startsWith('.'));
+    } catch (_) {
+        return true;
+    }
+}
+
+function isStaticAsset(pathname) {
+    return STATIC_FILES.has(pathname) || STATIC_DIRS.some((dir) => pathname.startsWith(dir));
+}
+
 const MIME = {
     '.html': 'text/html',
     '.js': 'application/javascript',
     '.css': 'text/css',
     '.json': 'application/json',
+    '.webmanifest': 'application/manifest+json',
+    '.svg': 'image/svg+xml',
     '.ico': 'image/x-icon'
 };
 
@@ -43,6 +84,7 @@ function wrapResponse(res) {
             res.setHeader('Content-Type', 'application/json');
             res.end(JSON.stringify(obj));
         },
+        send: (body) => res.end(body),
         end: () => res.end()
     };
     res.status = (code) => {
@@ -90,7 +132,14 @@ const server = http.createServer(async (req, res) => {
         return;
     }
 
-    const filePath = path.join(__dirname, pathname === '/' ? 'index.html' : pathname);
+    if (hasDotSegment(pathname)) {
+        res.writeHead(404);
+        res.end();
+        return;
+    }
+
+    // Anything else that isn't part of the shell gets index.html, as a navigation would
+    const filePath = isStaticAsset(pathname) ? path.join(__dirname, pathname) : path.join(__dirname, 'index.html');
     const ext = path.extname(filePath);
     fs.readFile(filePath, (err, data) => {
         if (err || !data) {
@@ -108,4 +157,5 @@ const server = http.createServer(async (req, res) => {
 
 server.listen(PORT, '127.0.0.1', () => {
     console.log(`Local dev server: http://127.0.0.1:${PORT}`);
+    console.log(`Storage driver: ${process.env.STORAGE_DRIVER || 'sheets'}`);
 });
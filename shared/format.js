@@ -0,0 +1,28 @@
+/**
+ * Wording shared by the API (require) and the dashboard (window.ExpanderFormat), so
+ * exports, visit reports, and the screen describe a schedule the same way.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ExpanderFormat = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Millimetres to two decimals without trailing zeros (0.25, 1.5, 6)
+    function formatMm(mm) {
+        return `${Number(mm.toFixed(2))}`;
+    }
+
+    // 'every 2 days', 'every day', 'twice per week' or 'on hold'
+    function describeCadence(schedule) {
+        if (schedule.scheduleType === 'hold') return 'on hold';
+        if (schedule.scheduleType === 'twice_per_week') return 'twice per week';
+        return schedule.intervalDays === 1 ? 'every day' : `every ${schedule.intervalDays} days`;
+    }
+
+    return {
+        formatMm,
+        describeCadence
+    };
+});
@@ -0,0 +1,47 @@
+/**
+ * Who may do what, shared by the API (require) and the dashboard (window.ExpanderRoles).
+ * The API enforces it; the dashboard only uses it to hide controls a role can't use.
+ *
+ * owner      everything, including settings, reset, cycles, people, and share links
+ * caregiver  logs turns and writes treatment notes; can't change settings
+ * clinician  reads everything and downloads exports and visit reports
+ * viewer     reads the dashboard
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ExpanderRoles = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const ROLES = ['owner', 'caregiver', 'clinician', 'viewer'];
+
+    const ROLE_LABELS = {
+        owner: 'Owner',
+        caregiver: 'Caregiver',
+        clinician: 'Clinician',
+        viewer: 'Viewer'
+    };
+
+    const ROLE_PERMISSIONS = {
+        owner: ['view', 'log_turns', 'edit_notes', 'restore', 'export', 'edit_settings', 'view_activity', 'manage_users', 'share'],
+        caregiver: ['view', 'log_turns', 'edit_notes', 'restore', 'export'],
+        clinician: ['view', 'export'],
+        viewer: ['view']
+    };
+
+    function isRole(role) {
+        return ROLES.includes(role);
+    }
+
+    function can(role, permission) {
+        return isRole(role) && ROLE_PERMISSIONS[role].includes(permission);
+    }
+
+    return {
+        ROLES,
+        ROLE_LABELS,
+        isRole,
+        can
+    };
+});
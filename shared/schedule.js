@@ -0,0 +1,389 @@
+/**
+ * Turn schedule engine shared by the API (require) and the dashboard (window.ExpanderSchedule).
+ * Dates are 'YYYY-MM-DD' strings in the family's local calendar; math is done in UTC
+ * so neither the server's nor the browser's timezone ever shifts a day.
+ *
+ * settings: { topTotal, bottomTotal, schedules: { top, bottom } } where each schedule is
+ *   { scheduleType, intervalDays, installDate, phases }
+ * phases: ordered [{ startsOn | startsAtTurn, scheduleType, intervalDays }]; scheduleType
+ *   may also be 'hold' (no turns until a later phase starts)
+ * settings.holds: optional [{ startDate, endDate, arch, reason }] pauses; a hold with no
+ *   arch pauses both
+ * turns: [{ date, arch }] for one patient
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ExpanderSchedule = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Install turn: orthodontist did first turn at install, so done = logged turns + 1
+    const INSTALL_TURN = 1;
+
+    function parseDate(dateStr) {
+        const [year, month, day] = String(dateStr).split('-').map((part) => parseInt(part, 10));
+        return Date.UTC(year, month - 1, day);
+    }
+
+    function formatDate(ms) {
+        return new Date(ms).toISOString().slice(0, 10);
+    }
+
+    function addDays(dateStr, days) {
+        return formatDate(parseDate(dateStr) + days * DAY_MS);
+    }
+
+    function daysBetween(a, b) {
+        return Math.round((parseDate(b) - parseDate(a)) / DAY_MS);
+    }
+
+    // Monday as start of week
+    function getWeekStart(dateStr) {
+        const day = new Date(parseDate(dateStr)).getUTCDay();
+        return addDays(dateStr, day === 0 ? -6 : 1 - day);
+    }
+
+    function archTurns(turns, arch) {
+        return turns.filter((turn) => turn.arch === arch);
+    }
+
+    function getLastDate(turns, arch) {
+        return archTurns(turns, arch).reduce(
+            (latest, turn) => (!latest || turn.date > latest ? turn.date : latest),
+            null
+        );
+    }
+
+    function getTurnsInWeek(turns, arch, dateStr) {
+        const weekStart = getWeekStart(dateStr);
+        const weekEnd = addDays(weekStart, 6);
+        return archTurns(turns, arch).filter((turn) => turn.date >= weekStart && turn.date <= weekEnd).length;
+    }
+
+    function getTotal(settings, arch) {
+        return arch === 'top' ? settings.topTotal : settings.bottomTotal;
+    }
+
+    // Each arch runs its own schedule; settings without `schedules` share one for both
+    function getArchSchedule(settings, arch) {
+        return (settings.schedules && settings.schedules[arch]) || settings;
+    }
+
+    function getDoneCount(turns, arch) {
+        return archTurns(turns, arch).length + INSTALL_TURN;
+    }
+
+    function isComplete(settings, turns, arch) {
+        return getDoneCount(turns, arch) >= getTotal(settings, arch);
+    }
+
+    // Hold covering `today` for this arch, if any
+    function getActiveHold(settings, arch, today) {
+        return (settings.holds || []).find((hold) =>
+            (!hold.arch || hold.arch === arch) && hold.startDate <= today && today <= hold.endDate
+        ) || null;
+    }
+
+    // Day the interval counts from: the last turn, or the end of a hold that finished
+    // after it (counting resumes from the hold's end rather than the turn before it).
+    // Before the first turn only holds ending after install count.
+    function getCountFrom(settings, turns, arch, today) {
+        const lastDate = getLastDate(turns, arch);
+        const since = lastDate || getArchSchedule(settings, arch).installDate || '';
+        return (settings.holds || []).reduce((latest, hold) => {
+            const applies = (!hold.arch || hold.arch === arch) && hold.endDate < today && hold.endDate >= since;
+            return applies && (!latest || hold.endDate > latest) ? hold.endDate : latest;
+        }, lastDate);
+    }
+
+    // The base schedule applies from install; each phase takes over once its start date
+    // has arrived or the arch has reached its turn number. Later phases win.
+    function getActiveSchedule(settings, turns, arch, today) {
+        const base = getArchSchedule(settings, arch);
+        const done = getDoneCount(turns, arch);
+        return (base.phases || []).reduce((active, phase) => {
+            const started = phase.startsOn ? today >= phase.startsOn : done >= phase.startsAtTurn;
+            return started ? { ...base, ...phase } : active;
+        }, base);
+    }
+
+    // canLogTurn without the resume date of a pause, which takes a scan to find
+    function checkTurn(settings, turns, arch, today) {
+        if (isComplete(settings, turns, arch)) {
+            return { canLog: false, reason: 'complete' };
+        }
+
+        const hold = getActiveHold(settings, arch, today);
+        if (hold) {
+            return { canLog: false, reason: 'paused', hold, message: hold.reason || 'Paused' };
+        }
+
+        const schedule = getActiveSchedule(settings, turns, arch, today);
+        if (schedule.scheduleType === 'hold') {
+            return { canLog: false, reason: 'hold', message: 'On hold' };
+        }
+
+        if (schedule.scheduleType === 'twice_per_week') {
+            // Turns start on install day (a later arch may be installed after the first)
+            if (schedule.installDate && today < schedule.installDate) {
+                return { canLog: false, reason: 'wait', daysRemaining: daysBetween(today, schedule.installDate) };
+            }
+            if (getTurnsInWeek(turns, arch, today) >= 2) {
+                return { canLog: false, reason: 'wait', message: 'Already logged 2 turns this week' };
+            }
+            return { canLog: true };
+        }
+
+        // Before the first turn (and any hold) the interval counts from the install date,
+        // as getNextDueDate does, so a future install is never ready
+        const countFrom = getCountFrom(settings, turns, arch, today) || schedule.installDate;
+        if (!countFrom) {
+            return { canLog: true };
+        }
+
+        const daysSince = daysBetween(countFrom, today);
+        if (daysSince < schedule.intervalDays) {
+            return {
+                canLog: false,
+                reason: 'wait',
+                daysRemaining: schedule.intervalDays - daysSince
+            };
+        }
+        return { canLog: true };
+    }
+
+    function canLogTurn(settings, turns, arch, today) {
+        const check = checkTurn(settings, turns, arch, today);
+        if (check.reason !== 'paused') {
+            return check;
+        }
+        // The interval counts from the hold's last day, so the first turn after it may
+        // come later than the day after it ends (null if a hold schedule follows)
+        const { hold, ...paused } = check;
+        return { ...paused, resumesOn: getNextDueDate(settings, turns, arch, addDays(hold.endDate, 1)) };
+    }
+
+    function getStatus(settings, turns, arch, today) {
+        if (isComplete(settings, turns, arch)) {
+            return 'complete';
+        }
+        const check = canLogTurn(settings, turns, arch, today);
+        return check.canLog ? 'ready' : check.reason;
+    }
+
+    // How far ahead to look for the next loggable day (covers a long hold with an end date)
+    const MAX_SCAN_DAYS = 366;
+
+    function getNextDueDate(settings, turns, arch, today) {
+        if (isComplete(settings, turns, arch)) {
+            return null;
+        }
+
+        // Before the first logged turn (and any hold) the count starts from the install date
+        const schedule = getActiveSchedule(settings, turns, arch, today);
+        if (
+            !getCountFrom(settings, turns, arch, today) &&
+            !getActiveHold(settings, arch, today) &&
+            schedule.scheduleType === 'every_n_days'
+        ) {
+            if (!schedule.installDate) {
+                return null;
+            }
+            const due = addDays(schedule.installDate, schedule.intervalDays);
+            const hold = getActiveHold(settings, arch, due);
+            return hold ? getNextDueDate(settings, turns, arch, addDays(hold.endDate, 1)) : due;
+        }
+
+        // Otherwise the first day the rules allow a turn; phases can change them on the way
+        for (let offset = 0; offset <= MAX_SCAN_DAYS; offset += 1) {
+            const date = addDays(today, offset);
+            if (checkTurn(settings, turns, arch, date).canLog) {
+                return date;
+            }
+        }
+        return null;
+    }
+
+    // Dates of every remaining turn for an arch, assuming each is logged on the day it
+    // becomes due from `today` onward (overdue turns land on today). Twice-per-week turns
+    // are spaced up to three days apart within a week, so future weeks fall on Monday and
+    // Thursday. Stops early at a hold with no later date to resume on.
+    function projectTurnDates(settings, turns, arch, today) {
+        const projected = [...turns];
+        const dates = [];
+        let cursor = today;
+
+        while (!isComplete(settings, projected, arch)) {
+            // At most one turn a day; twice-per-week moves on to the next spaced day
+            if (getLastDate(projected, arch) === cursor) {
+                const schedule = getActiveSchedule(settings, projected, arch, cursor);
+                const daysLeftInWeek = daysBetween(cursor, addDays(getWeekStart(cursor), 6));
+                const step = schedule.scheduleType === 'twice_per_week' ? Math.min(3, daysLeftInWeek) || 1 : 1;
+                cursor = addDays(cursor, step);
+                continue;
+            }
+
+            if (checkTurn(settings, projected, arch, cursor).canLog) {
+                dates.push(cursor);
+                projected.push({ arch, date: cursor });
+                continue;
+            }
+
+            const next = getNextDueDate(settings, projected, arch, cursor);
+            if (!next) {
+                break;
+            }
+            cursor = next > cursor ? next : addDays(cursor, 1);
+        }
+        return dates;
+    }
+
+    // Day the last turn lands if every remaining one is logged when due; the last turn's
+    // date once complete, null when the projection stops at an open-ended hold
+    function getProjectedCompletionDate(settings, turns, arch, today) {
+        if (isComplete(settings, turns, arch)) {
+            return getLastDate(turns, arch);
+        }
+        const remaining = getTotal(settings, arch) - getDoneCount(turns, arch);
+        const dates = projectTurnDates(settings, turns, arch, today);
+        return dates.length === remaining ? dates[dates.length - 1] : null;
+    }
+
+    function isHeldDuringWeek(settings, arch, weekStart) {
+        for (let offset = 0; offset < 7; offset += 1) {
+            if (getActiveHold(settings, arch, addDays(weekStart, offset))) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function summarizeAdherence(events) {
+        const count = (status) => events.filter((event) => event.status === status).length;
+        let longestStreak = 0;
+        let currentStreak = 0;
+        events.forEach((event) => {
+            currentStreak = event.status === 'on_time' ? currentStreak + 1 : 0;
+            longestStreak = Math.max(longestStreak, currentStreak);
+        });
+
+        const onTime = count('on_time');
+        const late = count('late');
+        return {
+            due: events.length,
+            onTime,
+            late,
+            missed: count('missed'),
+            adherencePercent: events.length > 0 ? Math.round(((onTime + late) / events.length) * 100) : null,
+            longestStreak,
+            currentStreak,
+            events
+        };
+    }
+
+    // Replays an arch from its install date (or first turn) to `today` against the schedule.
+    // Each due turn becomes an event: 'on_time' (logged by the due date), 'late' (logged
+    // after it but before the following one came due) or 'missed'. A missed turn still moves
+    // the schedule along as if it had been done; a late one restarts the count from its day.
+    // Twice-per-week turns are due by the end of each week (the install week owes fewer if
+    // it started partway through); weeks touched by a hold are not counted against. A turn due today is not missed until tomorrow.
+    // adherencePercent is turns done (on time or late) over turns due; streaks count
+    // consecutive on-time turns.
+    function computeAdherence(settings, turns, arch, today) {
+        const actual = archTurns(turns, arch)
+            .filter((turn) => turn.date <= today)
+            .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+        const events = [];
+        // Actual turns plus stand-ins for missed ones, which drive when the next turn is due
+        const slotTurns = [];
+        let next = 0;
+        let cursor = getArchSchedule(settings, arch).installDate || (actual[0] && actual[0].date);
+
+        const take = (turn, event) => {
+            events.push({ ...event, turnDate: turn.date });
+            slotTurns.push(turn);
+            next += 1;
+            cursor = turn.date;
+        };
+
+        while (cursor && !isComplete(settings, slotTurns, arch)) {
+            const turn = actual[next];
+            const schedule = getActiveSchedule(settings, slotTurns, arch, cursor);
+
+            if (schedule.scheduleType === 'twice_per_week' && !getActiveHold(settings, arch, cursor)) {
+                const weekStart = getWeekStart(cursor);
+                const weekEnd = addDays(weekStart, 6);
+                if (turn && turn.date <= weekEnd) {
+                    take(turn, { dueDate: weekEnd, status: 'on_time' });
+                    continue;
+                }
+                if (weekEnd >= today) {
+                    break;
+                }
+                if (!isHeldDuringWeek(settings, arch, weekStart)) {
+                    // The install week only owes its share of two turns for the days left in it
+                    const installDate = getArchSchedule(settings, arch).installDate;
+                    const daysCounted = installDate && installDate > weekStart ? daysBetween(installDate, weekEnd) + 1 : 7;
+                    let missing = Math.floor((2 * daysCounted) / 7) - getTurnsInWeek(slotTurns, arch, weekEnd);
+                    while (missing > 0 && !isComplete(settings, slotTurns, arch)) {
+                        events.push({ dueDate: weekEnd, status: 'missed', turnDate: null });
+                        slotTurns.push({ arch, date: weekEnd });
+                        missing -= 1;
+                    }
+                }
+                cursor = addDays(weekEnd, 1);
+                continue;
+            }
+
+            const due = getNextDueDate(settings, slotTurns, arch, cursor);
+            if (!due) {
+                break;
+            }
+            if (turn && turn.date <= due) {
+                take(turn, { dueDate: due, status: 'on_time' });
+                continue;
+            }
+            if (due > cursor && getActiveSchedule(settings, slotTurns, arch, due).scheduleType === 'twice_per_week') {
+                cursor = due;
+                continue;
+            }
+            if (due >= today) {
+                break;
+            }
+
+            const following = getNextDueDate(settings, [...slotTurns, { arch, date: due }], arch, addDays(due, 1));
+            if (turn && (!following || turn.date < following)) {
+                take(turn, { dueDate: due, status: 'late', daysLate: daysBetween(due, turn.date) });
+                continue;
+            }
+            events.push({ dueDate: due, status: 'missed', turnDate: null });
+            slotTurns.push({ arch, date: due });
+            cursor = due;
+        }
+
+        return summarizeAdherence(events);
+    }
+
+    return {
+        INSTALL_TURN,
+        addDays,
+        daysBetween,
+        getWeekStart,
+        getLastDate,
+        getTurnsInWeek,
+        getArchSchedule,
+        getActiveSchedule,
+        getActiveHold,
+        isComplete,
+        canLogTurn,
+        getStatus,
+        getNextDueDate,
+        projectTurnDates,
+        getProjectedCompletionDate,
+        summarizeAdherence,
+        computeAdherence
+    };
+});
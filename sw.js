@@ -0,0 +1,164 @@
+/**
+ * Service worker: caches the app shell so the tracker opens without a connection,
+ * and keeps the last successful API reads so the dashboard can render offline.
+ * Queued mutations live in IndexedDB and are replayed by the page (it holds the
+ * auth token); background sync only wakes the page up to do that.
+ * Reminder pushes from /api/cron/reminders are shown as notifications here.
+ */
+const SHELL_CACHE = 'expander-shell-v5';
+const API_CACHE = 'expander-api-v2';
+const SYNC_TAG = 'replay-mutations';
+
+// The reads the dashboard needs offline. Everything else under /api/ (exports, reports,
+// people, the activity log, share views) goes straight to the network and is never stored.
+const CACHED_API_PATHS = [
+    '/api/settings',
+    '/api/turns',
+    '/api/treatment-notes',
+    '/api/holds',
+    '/api/cycles',
+    '/api/patients'
+];
+
+const SHELL_FILES = [
+    '/',
+    '/index.html',
+    '/styles.css',
+    '/shared/schedule.js',
+    '/shared/roles.js',
+    '/shared/format.js',
+    '/app.js',
+    '/manifest.webmanifest',
+    '/icons/icon.svg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then((cache) => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((keys) => Promise.all(
+                keys
+                    .filter((key) => key !== SHELL_CACHE && key !== API_CACHE)
+                    .map((key) => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// API reads: network first, fall back to the last good response
+async function networkFirst(request) {
+    const cache = await caches.open(API_CACHE);
+    try {
+        const response = await fetch(request);
+        const noStore = /no-store/i.test(response.headers.get('Cache-Control') || '');
+        if (response.ok && !noStore) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+// Shell files: serve from cache, refresh in the background
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    const refresh = fetch(request)
+        .then((response) => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) {
+        return cached;
+    }
+    const response = await refresh;
+    if (response) {
+        return response;
+    }
+    if (request.mode === 'navigate') {
+        return cache.match('/index.html');
+    }
+    return Response.error();
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (url.pathname.startsWith('/api/')) {
+        if (CACHED_API_PATHS.includes(url.pathname)) {
+            event.respondWith(networkFirst(request));
+        }
+        return;
+    }
+
+    event.respondWith(staleWhileRevalidate(request.mode === 'navigate' ? new Request('/index.html') : request));
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag !== SYNC_TAG) {
+        return;
+    }
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window' }).then((clients) => {
+            clients.forEach((client) => client.postMessage({ type: SYNC_TAG }));
+        })
+    );
+});
+
+self.addEventListener('push', (event) => {
+    let payload = {};
+    try {
+        payload = event.data ? event.data.json() : {};
+    } catch (error) {
+        payload = { body: event.data.text() };
+    }
+
+    event.waitUntil(
+        self.registration.showNotification(payload.title || 'Expander Tracker', {
+            body: payload.body || 'A turn is due tonight.',
+            tag: payload.tag,
+            icon: '/icons/icon.svg',
+            badge: '/icons/icon.svg',
+            data: { url: payload.url || '/' }
+        })
+    );
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+            const existing = clients.find((client) => client.url.startsWith(self.location.origin));
+            if (existing) {
+                return existing.focus();
+            }
+            return self.clients.openWindow(url);
+        })
+    );
+});
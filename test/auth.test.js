@@ -0,0 +1,58 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { PASSWORD, seed, invoke } = require('./helpers');
+const { signTypedToken } = require('../api/lib/auth');
+
+beforeEach(() => seed());
+
+async function login(username, password) {
+    return invoke('login', { method: 'POST', as: null, body: { username, password } });
+}
+
+test('login returns a session for the right password only', async () => {
+    const ok = await login('DAD', PASSWORD);
+    assert.strictEqual(ok.status, 200);
+    assert.deepStrictEqual(ok.body.user, { id: 'owner-1', username: 'dad', displayName: 'Dad', role: 'owner' });
+
+    const verified = await invoke('verify', { method: 'POST', as: null, headers: { authorization: `Bearer ${ok.body.token}` } });
+    assert.strictEqual(verified.status, 200);
+    assert.strictEqual(verified.body.user.role, 'owner');
+
+    assert.strictEqual((await login('dad', 'wrong')).status, 401);
+    assert.strictEqual((await login('nobody', PASSWORD)).status, 401);
+    assert.strictEqual((await login('dad', '')).status, 400);
+});
+
+test('requests without a valid session get 401', async () => {
+    assert.strictEqual((await invoke('turns', { as: null })).status, 401);
+    assert.strictEqual((await invoke('turns', { as: null, headers: { authorization: 'Bearer not-a-jwt' } })).status, 401);
+
+    // Purpose-specific tokens never work as a session
+    const calendar = signTypedToken('calendar', { feedId: 'x', patientId: 'patient-1' });
+    assert.strictEqual((await invoke('turns', { as: null, headers: { authorization: `Bearer ${calendar}` } })).status, 401);
+});
+
+test('disabling a user or resetting their password ends their sessions', async () => {
+    const session = (await login('dad', PASSWORD)).body.token;
+    const asDad = { as: null, headers: { authorization: `Bearer ${session}` } };
+    assert.strictEqual((await invoke('turns', asDad)).status, 200);
+
+    const reset = await invoke('users', { method: 'PUT', body: { id: 'caregiver-1', resetPassword: true } });
+    assert.strictEqual(reset.status, 200);
+    assert.strictEqual((await invoke('turns', { as: 'caregiver-1' })).status, 401);
+
+    const disabled = await invoke('users', { method: 'PUT', body: { id: 'viewer-1', disabled: true } });
+    assert.strictEqual(disabled.status, 200);
+    assert.strictEqual((await invoke('turns', { as: 'viewer-1' })).status, 401);
+
+    await invoke('users', { method: 'PUT', body: { id: 'viewer-1', disabled: false } });
+    assert.strictEqual((await invoke('turns', { as: 'viewer-1' })).status, 401);
+});
+
+test('the role comes from the users row, not the token', async () => {
+    assert.strictEqual((await invoke('shares', { as: 'caregiver-1' })).status, 403);
+
+    const promoted = await invoke('users', { method: 'PUT', body: { id: 'caregiver-1', role: 'owner' } });
+    assert.strictEqual(promoted.status, 200);
+    assert.strictEqual((await invoke('shares', { as: 'caregiver-1' })).status, 200);
+});
@@ -0,0 +1,94 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { seed, readStore, invoke, isoDaysAgo } = require('./helpers');
+
+function storedTurn(id, date, extra = {}) {
+    return { id, patient_id: 'patient-1', user_id: 'owner-1', date, arch: 'top', created_at: `${date}T20:00:00.000Z`, ...extra };
+}
+
+// Two turns in the current course, one of them in the trash
+beforeEach(() => {
+    seed({
+        turns: [
+            storedTurn('kept', isoDaysAgo(6)),
+            storedTurn('trashed', isoDaysAgo(4), { deleted_at: new Date().toISOString(), deleted_by: 'Dad' })
+        ]
+    });
+});
+
+function startCycle(startDate = isoDaysAgo(0)) {
+    return invoke('cycles', { method: 'POST', body: { startDate } });
+}
+
+test('a turn restored from the trash goes back to the cycle it was logged in', async () => {
+    const started = await startCycle();
+    assert.strictEqual(started.status, 201, started.body.error);
+    assert.strictEqual(started.body.cycle.topDone, 1);
+
+    const restored = await invoke('trash', { method: 'POST', body: { entity: 'turn', id: 'trashed' } });
+    assert.strictEqual(restored.status, 200, restored.body.error);
+    assert.strictEqual(restored.body.archive_id, started.body.cycle.id);
+
+    assert.deepStrictEqual((await invoke('turns')).body, []);
+    const cycle = await invoke('cycles', { query: { id: started.body.cycle.id } });
+    assert.deepStrictEqual(cycle.body.turns.map((turn) => turn.id), ['trashed', 'kept']);
+});
+
+test('a reset puts trashed turns away too, and undoing it brings them back', async () => {
+    const reset = await invoke('reset', { method: 'POST' });
+    assert.strictEqual(reset.status, 201, reset.body.error);
+    assert.strictEqual(reset.body.count, 1);
+    assert.strictEqual(readStore().turns.find((turn) => turn.id === 'trashed').archive_id, reset.body.archiveId);
+
+    const undone = await invoke('reset', { method: 'DELETE', query: { archiveId: reset.body.archiveId } });
+    assert.strictEqual(undone.status, 200, undone.body.error);
+    assert.strictEqual(undone.body.count, 1);
+
+    assert.strictEqual((await invoke('trash', { method: 'POST', body: { entity: 'turn', id: 'trashed' } })).status, 200);
+    assert.deepStrictEqual((await invoke('turns')).body.map((turn) => turn.id), ['trashed', 'kept']);
+});
+
+test('a purged turn is not restored into a later cycle', async () => {
+    const deleted = await invoke('turns', { method: 'DELETE', query: { id: 'kept' } });
+    assert.strictEqual(deleted.status, 200);
+    const entry = (await invoke('audit', { query: { entity: 'turn' } })).body.find((row) => row.action === 'delete');
+    assert.strictEqual((await invoke('trash', { method: 'DELETE', query: { entity: 'turn', id: 'kept' } })).status, 200);
+
+    // Backdate the delete so the new cycle comes after it
+    const store = readStore();
+    store.audit_log.find((row) => row.id === entry.id).created_at = '2000-01-01T00:00:00.000Z';
+    seed(store);
+
+    assert.strictEqual((await startCycle()).status, 201);
+
+    const restored = await invoke('audit', { method: 'POST', body: { auditId: entry.id } });
+    assert.strictEqual(restored.status, 409);
+    assert.deepStrictEqual((await invoke('turns')).body, []);
+});
+
+test('saving settings keeps the new cycle\'s name', async () => {
+    const started = await invoke('cycles', { method: 'POST', body: { startDate: isoDaysAgo(0), name: 'Second expander' } });
+    assert.strictEqual(started.body.settings.cycleName, 'Second expander');
+
+    const saved = await invoke('settings', { method: 'PUT', body: { updatedAt: started.body.settings.updatedAt, topTotal: 12 } });
+    assert.strictEqual(saved.status, 200, saved.body.error);
+    assert.strictEqual(saved.body.cycleName, 'Second expander');
+    assert.strictEqual(saved.headers.etag, (await invoke('settings')).headers.etag);
+});
+
+test('starting a cycle closes the current one and lists it', async () => {
+    assert.strictEqual((await startCycle()).status, 201);
+
+    const list = await invoke('cycles');
+    assert.strictEqual(list.body.active.number, 2);
+    assert.deepStrictEqual(list.body.cycles.map((cycle) => [cycle.number, cycle.endDate, cycle.topDone]), [[1, isoDaysAgo(6), 1]]);
+    assert.strictEqual((await invoke('settings')).body.schedules.top.installDate, isoDaysAgo(0));
+    assert.strictEqual((await invoke('cycles', { query: { id: 'missing' } })).status, 404);
+});
+
+test('a cycle cannot start before its last turn, and only owners start one', async () => {
+    assert.strictEqual((await startCycle(isoDaysAgo(8))).status, 400);
+    assert.strictEqual((await startCycle('yesterday')).status, 400);
+    assert.strictEqual((await invoke('cycles', { method: 'POST', as: 'caregiver-1', body: { startDate: isoDaysAgo(0) } })).status, 403);
+    assert.strictEqual((await invoke('cycles', { as: 'viewer-1' })).status, 200);
+});
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+// Handlers run against the file storage driver in a throwaway directory, one per test file
+// (node --test runs each file in its own process).
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'expander-test-'));
+process.env.JWT_SECRET = 'test-secret';
+process.env.STORAGE_DRIVER = 'file';
+process.env.DATA_FILE = path.join(dir, 'tracker.json');
+delete process.env.APP_USERS;
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+const PATIENT = { id: 'patient-1', name: 'Ava', created_at: '2026-01-01T00:00:00.000Z', updated_at: '' };
+
+// Every seeded user signs in with this; few bcrypt rounds keep the tests quick
+const PASSWORD = 'correct horse';
+const PASSWORD_HASH = bcrypt.hashSync(PASSWORD, 4);
+
+const USERS = [
+    { id: 'owner-1', username: 'dad', display_name: 'Dad', role: 'owner' },
+    { id: 'caregiver-1', username: 'grandma', display_name: 'Grandma', role: 'caregiver' },
+    { id: 'viewer-1', username: 'aunt', display_name: 'Aunt', role: 'viewer' }
+];
+
+// Replaces the whole store; every test starts from one patient and the users above
+function seed(tabs = {}) {
+    fs.writeFileSync(process.env.DATA_FILE, JSON.stringify({
+        patients: [PATIENT],
+        users: USERS.map((user) => ({ password_hash: PASSWORD_HASH, disabled_at: '', token_version: '', ...user })),
+        ...tabs
+    }));
+}
+
+function readStore() {
+    return JSON.parse(fs.readFileSync(process.env.DATA_FILE, 'utf8'));
+}
+
+// A session token as api/login.js signs it
+function tokenFor(userId) {
+    const user = USERS.find((row) => row.id === userId);
+    return jwt.sign(
+        { userId, username: user.username, displayName: user.display_name, role: user.role, tokenVersion: 0 },
+        process.env.JWT_SECRET
+    );
+}
+
+// Calls a handler in api/ with a Vercel-shaped request and collects the response
+async function invoke(name, { method = 'GET', query = {}, body, headers = {}, as = 'owner-1' } = {}) {
+    const handler = require(path.join(__dirname, '..', 'api', `${name}.js`));
+    const response = { status: null, headers: {}, body: undefined };
+    const res = {
+        setHeader(key, value) {
+            response.headers[key.toLowerCase()] = value;
+        },
+        status(code) {
+            response.status = code;
+            return {
+                json(value) {
+                    response.body = value;
+                },
+                send(value) {
+                    response.body = value;
+                },
+                end(value) {
+                    response.body = value;
+                }
+            };
+        }
+    };
+    const authorization = as ? { authorization: `Bearer ${tokenFor(as)}` } : {};
+    await handler({ method, query, body, headers: { host: 'localhost:3000', ...authorization, ...headers } }, res);
+    return response;
+}
+
+function isoDaysAgo(days) {
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+module.exports = {
+    PASSWORD,
+    PATIENT,
+    seed,
+    readStore,
+    tokenFor,
+    invoke,
+    isoDaysAgo
+};
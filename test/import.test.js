@@ -0,0 +1,54 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { seed, readStore, invoke } = require('./helpers');
+
+const CSV = [
+    'date,arch,note,time',
+    '2026-09-01,both,,19:30',
+    '2026-09-03,top,,',
+    '2026-09-02,,Spacers placed,',
+    '2026-13-01,top,,'
+].join('\n');
+
+beforeEach(() => seed());
+
+function importCsv(body, as) {
+    return invoke('import', { method: 'POST', as, body: { timezone: 'UTC', ...body } });
+}
+
+test('a dry run reports what it would do and writes nothing', async () => {
+    const before = readStore();
+    const preview = await importCsv({ csv: CSV });
+    assert.strictEqual(preview.status, 200, preview.body.error);
+    assert.strictEqual(preview.body.dryRun, true);
+    assert.deepStrictEqual(preview.body.turns.map((turn) => `${turn.date} ${turn.arch}`), [
+        '2026-09-01 top',
+        '2026-09-01 bottom',
+        '2026-09-03 top'
+    ]);
+    assert.strictEqual(preview.body.treatmentNotes.length, 1);
+    assert.deepStrictEqual(preview.body.errors.map((error) => error.line), [5]);
+    assert.deepStrictEqual(readStore(), before);
+});
+
+test('a file with errors is not imported', async () => {
+    const response = await importCsv({ csv: CSV, dryRun: false });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual((await invoke('turns')).body, []);
+});
+
+test('importing writes the rows once and skips them the second time', async () => {
+    const csv = CSV.split('\n').slice(0, 4).join('\n');
+    const imported = await importCsv({ csv, dryRun: false });
+    assert.strictEqual(imported.status, 201, imported.body.error);
+    assert.strictEqual((await invoke('turns')).body.length, 3);
+    assert.strictEqual((await invoke('treatment-notes')).body.length, 1);
+
+    const again = await importCsv({ csv });
+    assert.strictEqual(again.body.turns.length, 0);
+    assert.strictEqual(again.body.skipped.length, 4);
+});
+
+test('viewers cannot import', async () => {
+    assert.strictEqual((await importCsv({ csv: CSV }, 'viewer-1')).status, 403);
+});
@@ -0,0 +1,111 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { seed, readStore, invoke, isoDaysAgo } = require('./helpers');
+
+// Reminders go to the local push stand-in's outbox instead of a push service
+const OUTBOX_FILE = path.join(path.dirname(process.env.DATA_FILE), 'push-outbox.jsonl');
+process.env.PUSH_DRIVER = 'local';
+process.env.PUSH_OUTBOX_FILE = OUTBOX_FILE;
+process.env.CRON_SECRET = 'cron-secret';
+
+function readOutbox() {
+    if (!fs.existsSync(OUTBOX_FILE)) return [];
+    return fs.readFileSync(OUTBOX_FILE, 'utf8').trim().split('\n').filter(Boolean).map((line) => JSON.parse(line));
+}
+
+function runCron(secret = 'cron-secret') {
+    return invoke('cron/reminders', { as: null, headers: { authorization: `Bearer ${secret}` } });
+}
+
+function logTurn(arch) {
+    return invoke('turns', { method: 'POST', body: { turns: [{ date: isoDaysAgo(0), arch }], timezone: 'UTC' } });
+}
+
+// Both arches due every day; the device wants its reminder from midnight UTC, so any run sends it
+beforeEach(async () => {
+    seed();
+    fs.rmSync(OUTBOX_FILE, { force: true });
+
+    const current = (await invoke('settings')).body;
+    const daily = { installDate: isoDaysAgo(30), scheduleType: 'every_n_days', intervalDays: 1 };
+    await invoke('settings', {
+        method: 'PUT',
+        body: { updatedAt: current.updatedAt, schedules: { top: daily, bottom: daily } }
+    });
+
+    const subscribed = await invoke('reminders', {
+        method: 'POST',
+        body: {
+            subscription: { endpoint: 'https://push.example/device-1', keys: { p256dh: 'key', auth: 'secret' } },
+            remindAt: '00:00',
+            timezone: 'UTC'
+        }
+    });
+    assert.strictEqual(subscribed.status, 201, subscribed.body.error);
+});
+
+test('the job only runs with the cron secret', async () => {
+    assert.strictEqual((await runCron('wrong')).status, 401);
+    assert.strictEqual((await invoke('cron/reminders', { as: null })).status, 401);
+    assert.deepStrictEqual(readOutbox(), []);
+});
+
+test('sends one reminder per device per day for the arches still due', async () => {
+    const first = await runCron();
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(first.body.sent, 1);
+
+    const outbox = readOutbox();
+    assert.strictEqual(outbox.length, 1);
+    assert.strictEqual(outbox[0].userId, 'owner-1');
+    assert.strictEqual(outbox[0].endpoint, 'https://push.example/device-1');
+    assert.strictEqual(outbox[0].payload.title, 'Ava: turn due tonight');
+    assert.strictEqual(outbox[0].payload.body, 'Top and bottom turns due tonight.');
+
+    const second = await runCron();
+    assert.strictEqual(second.body.skipped, 1);
+    assert.strictEqual(readOutbox().length, 1);
+});
+
+test('skips arches already logged today', async () => {
+    assert.strictEqual((await logTurn('top')).status, 201);
+    await runCron();
+    assert.deepStrictEqual(readOutbox().map((entry) => entry.payload.body), ['Bottom turn due tonight.']);
+
+    // A new day's run after the other arch is logged too has nothing to send
+    const store = readStore();
+    store.push_subscriptions[0].last_sent_date = isoDaysAgo(1);
+    seed(store);
+    assert.strictEqual((await logTurn('bottom')).status, 201);
+
+    const response = await runCron();
+    assert.strictEqual(response.body.sent, 0);
+    assert.strictEqual(readOutbox().length, 1);
+});
+
+test('devices of a disabled or removed person get nothing', async () => {
+    const store = readStore();
+    store.users.find((row) => row.id === 'owner-1').disabled_at = new Date().toISOString();
+    seed(store);
+    assert.strictEqual((await runCron()).body.sent, 0);
+
+    store.users = store.users.filter((row) => row.id !== 'owner-1');
+    seed(store);
+    assert.strictEqual((await runCron()).body.sent, 0);
+    assert.deepStrictEqual(readOutbox(), []);
+});
+
+test('nothing is sent before the install date', async () => {
+    const current = (await invoke('settings')).body;
+    const future = { installDate: isoDaysAgo(-5), scheduleType: 'every_n_days', intervalDays: 1 };
+    const updated = await invoke('settings', {
+        method: 'PUT',
+        body: { updatedAt: current.updatedAt, schedules: { top: future, bottom: future } }
+    });
+    assert.strictEqual(updated.status, 200, updated.body.error);
+
+    assert.strictEqual((await runCron()).body.sent, 0);
+    assert.deepStrictEqual(readOutbox(), []);
+});
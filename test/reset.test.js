@@ -0,0 +1,66 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { seed, invoke, isoDaysAgo } = require('./helpers');
+
+function storedTurn(id, date, arch = 'top') {
+    return { id, patient_id: 'patient-1', user_id: 'owner-1', date, arch, created_at: `${date}T20:00:00.000Z` };
+}
+
+beforeEach(() => seed({ turns: [storedTurn('a', isoDaysAgo(4)), storedTurn('b', isoDaysAgo(2))] }));
+
+function reset(as) {
+    return invoke('reset', { method: 'POST', as });
+}
+
+function undo(archiveId) {
+    return invoke('reset', { method: 'DELETE', query: { archiveId } });
+}
+
+test('only owners reset or undo a reset', async () => {
+    assert.strictEqual((await reset('caregiver-1')).status, 403);
+    const archived = await reset();
+    assert.strictEqual(
+        (await invoke('reset', { method: 'DELETE', as: 'caregiver-1', query: { archiveId: archived.body.archiveId } })).status,
+        403
+    );
+});
+
+test('undo brings back the archived turns', async () => {
+    const archived = await reset();
+    assert.strictEqual(archived.status, 201, archived.body.error);
+    assert.strictEqual(archived.body.count, 2);
+    assert.deepStrictEqual((await invoke('turns')).body, []);
+    assert.strictEqual((await reset()).status, 400);
+
+    const archives = (await invoke('reset')).body;
+    assert.deepStrictEqual(archives.map((row) => [row.id, row.turnCount, row.restoredAt]), [[archived.body.archiveId, 2, null]]);
+
+    const undone = await undo(archived.body.archiveId);
+    assert.strictEqual(undone.status, 200, undone.body.error);
+    assert.strictEqual(undone.body.count, 2);
+    assert.deepStrictEqual((await invoke('turns')).body.map((turn) => turn.id), ['b', 'a']);
+    assert.ok((await invoke('reset')).body[0].restoredAt);
+
+    assert.strictEqual((await undo(archived.body.archiveId)).status, 409);
+    assert.strictEqual((await undo('missing')).status, 404);
+});
+
+test('undo is refused when turns were logged on the same days since', async () => {
+    const archived = await reset();
+    const relogged = await invoke('turns', {
+        method: 'POST',
+        body: { turns: [{ date: isoDaysAgo(2), arch: 'top' }], timezone: 'UTC', override: true }
+    });
+    assert.strictEqual(relogged.status, 201, relogged.body.error);
+
+    const undone = await undo(archived.body.archiveId);
+    assert.strictEqual(undone.status, 409);
+    assert.deepStrictEqual(undone.body.conflicts, [{ date: isoDaysAgo(2), arch: 'top' }]);
+    assert.strictEqual((await invoke('turns')).body.length, 1);
+});
+
+test('undo is refused once a new cycle has started', async () => {
+    const archived = await reset();
+    assert.strictEqual((await invoke('cycles', { method: 'POST', body: { startDate: isoDaysAgo(0) } })).status, 201);
+    assert.strictEqual((await undo(archived.body.archiveId)).status, 409);
+});
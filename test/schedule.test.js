@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Schedule = require('../shared/schedule');
+
+// One arch's settings in the shape the engine reads; bottom mirrors top
+function settingsWith(top, { total = 10, holds = [] } = {}) {
+    const schedule = { scheduleType: 'every_n_days', intervalDays: 3, installDate: '2026-01-01', phases: [], ...top };
+    return { topTotal: total, bottomTotal: total, schedules: { top: schedule, bottom: schedule }, holds };
+}
+
+function turnsOn(...dates) {
+    return dates.map((date) => ({ arch: 'top', date }));
+}
+
+test('before the first turn the interval counts from the install date', () => {
+    const settings = settingsWith({});
+
+    const check = Schedule.canLogTurn(settings, [], 'top', '2026-01-02');
+    assert.strictEqual(check.canLog, false);
+    assert.strictEqual(check.reason, 'wait');
+    assert.strictEqual(check.daysRemaining, 2);
+    assert.strictEqual(Schedule.getStatus(settings, [], 'top', '2026-01-02'), 'wait');
+    assert.strictEqual(Schedule.getNextDueDate(settings, [], 'top', '2026-01-02'), '2026-01-04');
+    assert.strictEqual(Schedule.canLogTurn(settings, [], 'top', '2026-01-04').canLog, true);
+
+    const dates = Schedule.projectTurnDates(settings, [], 'top', '2026-01-01');
+    assert.strictEqual(dates[0], '2026-01-04');
+    assert.strictEqual(dates.length, 9);
+    assert.strictEqual(Schedule.getProjectedCompletionDate(settings, [], 'top', '2026-01-02'), '2026-01-28');
+});
+
+test('an arch with no install date can log its first turn any day', () => {
+    const settings = settingsWith({ installDate: null });
+    assert.strictEqual(Schedule.canLogTurn(settings, [], 'top', '2026-01-02').canLog, true);
+});
+
+test('nothing is due before a future install', () => {
+    const everyThree = settingsWith({ installDate: '2026-02-01' });
+    assert.strictEqual(Schedule.canLogTurn(everyThree, [], 'top', '2026-01-20').canLog, false);
+    assert.strictEqual(Schedule.getNextDueDate(everyThree, [], 'top', '2026-01-20'), '2026-02-04');
+    assert.strictEqual(Schedule.projectTurnDates(everyThree, [], 'top', '2026-01-20')[0], '2026-02-04');
+
+    const twiceWeekly = settingsWith({ installDate: '2026-02-01', scheduleType: 'twice_per_week' });
+    const check = Schedule.canLogTurn(twiceWeekly, [], 'top', '2026-01-20');
+    assert.strictEqual(check.canLog, false);
+    assert.strictEqual(check.daysRemaining, 12);
+    assert.strictEqual(Schedule.getNextDueDate(twiceWeekly, [], 'top', '2026-01-20'), '2026-02-01');
+    assert.strictEqual(Schedule.canLogTurn(twiceWeekly, [], 'top', '2026-02-01').canLog, true);
+});
+
+test('an arch that has reached its total is complete', () => {
+    const settings = settingsWith({}, { total: 3 });
+    const turns = turnsOn('2026-01-04', '2026-01-07');
+    assert.strictEqual(Schedule.canLogTurn(settings, turns, 'top', '2026-01-20').reason, 'complete');
+    assert.strictEqual(Schedule.getNextDueDate(settings, turns, 'top', '2026-01-20'), null);
+});
+
+test('a pause resumes on the first day the interval allows after it', () => {
+    const settings = settingsWith(
+        { intervalDays: 2 },
+        { holds: [{ startDate: '2026-01-03', endDate: '2026-01-10', arch: null, reason: 'Sick' }] }
+    );
+    const turns = turnsOn('2026-01-02');
+
+    const check = Schedule.canLogTurn(settings, turns, 'top', '2026-01-05');
+    assert.strictEqual(check.reason, 'paused');
+    assert.strictEqual(check.message, 'Sick');
+    assert.strictEqual(check.resumesOn, '2026-01-12');
+    assert.strictEqual(Schedule.canLogTurn(settings, turns, 'top', '2026-01-11').canLog, false);
+    assert.strictEqual(Schedule.canLogTurn(settings, turns, 'top', check.resumesOn).canLog, true);
+    assert.strictEqual(Schedule.getNextDueDate(settings, turns, 'top', '2026-01-05'), '2026-01-12');
+});
+
+test('adherence counts every-N-days turns as on time, late or missed', () => {
+    const settings = settingsWith({});
+    // Due 01-04 (on time), 01-07 (late on 01-08), 01-11 (missed), 01-14 (on time)
+    const report = Schedule.computeAdherence(settings, turnsOn('2026-01-04', '2026-01-08', '2026-01-14'), 'top', '2026-01-15');
+
+    assert.deepStrictEqual(report.events.map((event) => [event.dueDate, event.status]), [
+        ['2026-01-04', 'on_time'],
+        ['2026-01-07', 'late'],
+        ['2026-01-11', 'missed'],
+        ['2026-01-14', 'on_time']
+    ]);
+    assert.strictEqual(report.events[1].daysLate, 1);
+    assert.strictEqual(report.adherencePercent, 75);
+    assert.strictEqual(report.longestStreak, 1);
+    assert.strictEqual(report.currentStreak, 1);
+});
+
+test('a turn due today is not missed yet', () => {
+    const report = Schedule.computeAdherence(settingsWith({}), [], 'top', '2026-01-04');
+    assert.strictEqual(report.due, 0);
+    assert.strictEqual(report.adherencePercent, null);
+});
+
+test('a twice-per-week install late in the week owes only its share of that week', () => {
+    // Sunday install: nothing owed for that one day
+    const sunday = settingsWith({ installDate: '2026-01-11', scheduleType: 'twice_per_week' });
+    const first = Schedule.computeAdherence(sunday, [], 'top', '2026-01-12');
+    assert.strictEqual(first.missed, 0);
+    assert.strictEqual(first.adherencePercent, null);
+
+    // Thursday install: one turn owed for Thursday to Sunday, then two a week
+    const thursday = settingsWith({ installDate: '2026-01-08', scheduleType: 'twice_per_week' });
+    const report = Schedule.computeAdherence(thursday, turnsOn('2026-01-13', '2026-01-16'), 'top', '2026-01-19');
+    assert.deepStrictEqual(report.events.map((event) => [event.dueDate, event.status]), [
+        ['2026-01-11', 'missed'],
+        ['2026-01-18', 'on_time'],
+        ['2026-01-18', 'on_time']
+    ]);
+});
@@ -0,0 +1,56 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { seed, invoke } = require('./helpers');
+
+beforeEach(() => seed());
+
+async function save(body, as) {
+    const current = (await invoke('settings')).body;
+    return invoke('settings', { method: 'PUT', as, body: { updatedAt: current.updatedAt, ...body } });
+}
+
+test('GET returns defaults named after the child before anything is saved', async () => {
+    const response = await invoke('settings');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.childName, 'Ava');
+    assert.ok(response.body.topTotal > 0);
+    assert.ok(response.body.schedules.top && response.body.schedules.bottom);
+});
+
+test('PUT only changes the fields it is sent', async () => {
+    const first = await save({
+        topTotal: 30,
+        bottomTotal: 20,
+        schedules: {
+            top: { installDate: '2026-09-01', scheduleType: 'every_n_days', intervalDays: 3 },
+            bottom: { installDate: '2026-09-02', scheduleType: 'twice_per_week' }
+        }
+    });
+    assert.strictEqual(first.status, 200, first.body.error);
+
+    const second = await save({ topTotal: 12, schedules: { bottom: { intervalDays: 4, scheduleType: 'every_n_days' } } });
+    assert.strictEqual(second.status, 200, second.body.error);
+    assert.strictEqual(second.body.topTotal, 12);
+    assert.strictEqual(second.body.bottomTotal, 20);
+    assert.strictEqual(second.body.schedules.top.intervalDays, 3);
+    assert.strictEqual(second.body.schedules.bottom.installDate, '2026-09-02');
+    assert.strictEqual(second.body.schedules.bottom.intervalDays, 4);
+});
+
+test('PUT rejects a stale copy, a missing version and invalid values', async () => {
+    const saved = await save({ topTotal: 30 });
+    assert.strictEqual(saved.status, 200);
+    await save({ topTotal: 31 });
+
+    const stale = await invoke('settings', { method: 'PUT', body: { updatedAt: saved.body.updatedAt, topTotal: 32 } });
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual(stale.body.current.topTotal, 31);
+
+    assert.strictEqual((await invoke('settings', { method: 'PUT', body: { topTotal: 32 } })).status, 428);
+    assert.strictEqual((await save({ topTotal: 0 })).status, 400);
+});
+
+test('only roles that edit settings can save them', async () => {
+    assert.strictEqual((await save({ topTotal: 30 }, 'caregiver-1')).status, 403);
+    assert.strictEqual((await invoke('settings', { as: 'viewer-1' })).status, 200);
+});
@@ -0,0 +1,69 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { seed, invoke } = require('./helpers');
+
+beforeEach(() => seed());
+
+function tokenIn(url, name) {
+    return new URL(url).searchParams.get(name);
+}
+
+function viewShare(token) {
+    return invoke('share-view', { as: null, query: { token } });
+}
+
+function readFeed(token) {
+    return invoke('calendar.ics', { as: null, query: { token } });
+}
+
+test('only owners manage share links and the calendar feed', async () => {
+    for (const as of ['caregiver-1', 'viewer-1']) {
+        assert.strictEqual((await invoke('shares', { as })).status, 403);
+        assert.strictEqual((await invoke('shares', { method: 'POST', as, body: { label: 'Dr. Lee' } })).status, 403);
+        assert.strictEqual((await invoke('calendar-link', { as })).status, 403);
+        assert.strictEqual((await invoke('calendar-link', { method: 'POST', as, body: { timezone: 'UTC' } })).status, 403);
+    }
+});
+
+test('a share link shows the dashboard until it is revoked', async () => {
+    const created = await invoke('shares', { method: 'POST', body: { label: 'Dr. Lee', days: 7 } });
+    assert.strictEqual(created.status, 201, created.body.error);
+    const token = tokenIn(created.body.url, 'share');
+
+    const view = await viewShare(token);
+    assert.strictEqual(view.status, 200, view.body.error);
+    assert.strictEqual(view.body.share.label, 'Dr. Lee');
+    assert.strictEqual(view.body.patient.name, 'Ava');
+    assert.strictEqual(view.headers['cache-control'], 'no-store');
+
+    assert.strictEqual((await invoke('shares', { method: 'DELETE', query: { id: created.body.id } })).status, 200);
+    assert.strictEqual((await viewShare(token)).status, 401);
+    assert.strictEqual((await viewShare('not-a-token')).status, 401);
+});
+
+test('a calendar feed token does not open the share view', async () => {
+    const created = await invoke('calendar-link', { method: 'POST', body: { timezone: 'UTC' } });
+    assert.strictEqual((await viewShare(tokenIn(created.body.url, 'token'))).status, 401);
+});
+
+test('the calendar feed stops working once replaced or revoked', async () => {
+    const first = await invoke('calendar-link', { method: 'POST', body: { timezone: 'America/Chicago' } });
+    assert.strictEqual(first.status, 201, first.body.error);
+    const firstToken = tokenIn(first.body.url, 'token');
+
+    const feed = await readFeed(firstToken);
+    assert.strictEqual(feed.status, 200);
+    assert.match(feed.body, /^BEGIN:VCALENDAR/);
+
+    const second = await invoke('calendar-link', { method: 'POST', body: { timezone: 'UTC' } });
+    assert.strictEqual((await readFeed(firstToken)).status, 401);
+    assert.strictEqual((await invoke('calendar-link')).body.id, second.body.id);
+
+    assert.strictEqual((await invoke('calendar-link', { method: 'DELETE' })).status, 200);
+    assert.strictEqual((await readFeed(tokenIn(second.body.url, 'token'))).status, 401);
+    assert.strictEqual((await invoke('calendar-link')).body, null);
+});
+
+test('the calendar feed rejects an unknown timezone', async () => {
+    assert.strictEqual((await invoke('calendar-link', { method: 'POST', body: { timezone: 'Mars/Olympus' } })).status, 400);
+});
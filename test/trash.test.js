@@ -0,0 +1,55 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { seed, invoke, isoDaysAgo } = require('./helpers');
+
+function storedTurn(id, date) {
+    return { id, patient_id: 'patient-1', user_id: 'owner-1', date, arch: 'top', created_at: `${date}T20:00:00.000Z` };
+}
+
+beforeEach(() => seed({ turns: [storedTurn('a', isoDaysAgo(4))] }));
+
+function undoTurn(id) {
+    return invoke('turns', { method: 'DELETE', query: { id } });
+}
+
+function findDelete() {
+    return invoke('audit', { query: { entity: 'turn' } }).then((list) => list.body.find((row) => row.action === 'delete'));
+}
+
+test('a trashed turn can be restored unless its day has been logged again', async () => {
+    assert.strictEqual((await undoTurn('a')).status, 200);
+    const trash = (await invoke('trash')).body;
+    assert.deepStrictEqual(trash.map((item) => [item.entity, item.id, item.deletedBy]), [['turn', 'a', 'Dad']]);
+
+    const relogged = await invoke('turns', {
+        method: 'POST',
+        body: { turns: [{ date: isoDaysAgo(4), arch: 'top' }], timezone: 'UTC', override: true }
+    });
+    assert.strictEqual((await invoke('trash', { method: 'POST', body: { entity: 'turn', id: 'a' } })).status, 409);
+
+    assert.strictEqual((await undoTurn(relogged.body[0].id)).status, 200);
+    const restored = await invoke('trash', { method: 'POST', body: { entity: 'turn', id: 'a' } });
+    assert.strictEqual(restored.status, 200, restored.body.error);
+    assert.deepStrictEqual((await invoke('turns')).body.map((turn) => turn.id), ['a']);
+    assert.strictEqual((await invoke('trash', { method: 'POST', body: { entity: 'turn', id: 'a' } })).status, 404);
+});
+
+test('the activity log restores a deleted turn, even after it is purged', async () => {
+    await undoTurn('a');
+    const entry = await findDelete();
+    assert.strictEqual((await invoke('trash', { method: 'DELETE', query: { entity: 'turn', id: 'a' } })).status, 200);
+    assert.deepStrictEqual((await invoke('trash')).body, []);
+
+    const restored = await invoke('audit', { method: 'POST', body: { auditId: entry.id } });
+    assert.strictEqual(restored.status, 201, restored.body.error);
+    assert.deepStrictEqual((await invoke('turns')).body.map((turn) => turn.id), ['a']);
+    assert.strictEqual((await invoke('audit', { method: 'POST', body: { auditId: entry.id } })).status, 409);
+});
+
+test('only roles with restore use the trash and only owners restore from the log', async () => {
+    await undoTurn('a');
+    const entry = await findDelete();
+    assert.strictEqual((await invoke('trash', { as: 'viewer-1' })).status, 403);
+    assert.strictEqual((await invoke('audit', { method: 'POST', as: 'caregiver-1', body: { auditId: entry.id } })).status, 403);
+    assert.strictEqual((await invoke('trash', { as: 'caregiver-1' })).status, 200);
+});
@@ -0,0 +1,62 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { seed, invoke } = require('./helpers');
+
+beforeEach(() => seed());
+
+function createNote(body, as) {
+    return invoke('treatment-notes', { method: 'POST', as, body });
+}
+
+test('creates a note once, even when an offline client replays it', async () => {
+    const body = { id: 'note-client-0001', date: '2026-10-01', note: ' Checked the expander ', isAppointment: true };
+    const created = await createNote(body);
+    assert.strictEqual(created.status, 201, created.body.error);
+    assert.strictEqual(created.body.note, 'Checked the expander');
+    assert.strictEqual(created.body.is_appointment, 'true');
+
+    const replayed = await createNote(body);
+    assert.strictEqual(replayed.status, 200);
+    assert.strictEqual((await invoke('treatment-notes')).body.length, 1);
+});
+
+test('rejects notes without a valid date or text', async () => {
+    assert.strictEqual((await createNote({ date: '2026-10-01' })).status, 400);
+    assert.strictEqual((await createNote({ date: '10/01/2026', note: 'x' })).status, 400);
+    assert.strictEqual((await createNote({ id: 'bad id', date: '2026-10-01', note: 'x' })).status, 400);
+});
+
+test('an edit based on an old copy gets 409 with the current note', async () => {
+    const created = (await createNote({ date: '2026-10-01', note: 'First' })).body;
+
+    const edited = await invoke('treatment-notes', {
+        method: 'PUT',
+        body: { id: created.id, date: '2026-10-01', note: 'Second', updatedAt: created.updated_at }
+    });
+    assert.strictEqual(edited.status, 200, edited.body.error);
+
+    const stale = await invoke('treatment-notes', {
+        method: 'PUT',
+        body: { id: created.id, date: '2026-10-01', note: 'Third', updatedAt: created.updated_at }
+    });
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual(stale.body.current.note, 'Second');
+
+    const missingVersion = await invoke('treatment-notes', {
+        method: 'PUT',
+        body: { id: created.id, date: '2026-10-01', note: 'Third' }
+    });
+    assert.strictEqual(missingVersion.status, 428);
+});
+
+test('deleting moves the note to the trash; viewers can only read', async () => {
+    const created = (await createNote({ date: '2026-10-01', note: 'First' })).body;
+
+    assert.strictEqual((await createNote({ date: '2026-10-02', note: 'x' }, 'viewer-1')).status, 403);
+    assert.strictEqual((await invoke('treatment-notes', { as: 'viewer-1' })).body.length, 1);
+
+    const deleted = await invoke('treatment-notes', { method: 'DELETE', query: { id: created.id } });
+    assert.strictEqual(deleted.status, 200);
+    assert.deepStrictEqual((await invoke('treatment-notes')).body, []);
+    assert.strictEqual((await invoke('trash')).body.length, 1);
+});
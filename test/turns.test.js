@@ -0,0 +1,103 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { seed, readStore, invoke, isoDaysAgo } = require('./helpers');
+
+// Top turns every 2 days from a month ago; `extra` overrides the top schedule
+async function configure(topTotal, extra = {}) {
+    const current = (await invoke('settings')).body;
+    const response = await invoke('settings', {
+        method: 'PUT',
+        body: {
+            updatedAt: current.updatedAt,
+            topTotal,
+            schedules: { top: { installDate: isoDaysAgo(30), scheduleType: 'every_n_days', intervalDays: 2, ...extra } }
+        }
+    });
+    assert.strictEqual(response.status, 200, response.body.error);
+}
+
+function logTurns(turns, options = {}) {
+    return invoke('turns', { method: 'POST', as: options.as, body: { turns, timezone: 'UTC', ...options.body } });
+}
+
+function storedTurn(id, date) {
+    return { id, patient_id: 'patient-1', user_id: 'owner-1', date, arch: 'top', created_at: `${date}T20:00:00.000Z` };
+}
+
+beforeEach(() => seed());
+
+test('logs a turn for today with who logged it', async () => {
+    await configure(20);
+    const response = await logTurns([{ date: isoDaysAgo(0), arch: 'top' }]);
+    assert.strictEqual(response.status, 201, response.body.error);
+    assert.strictEqual(response.body[0].logged_by, 'Dad');
+    assert.strictEqual(response.body[0].backfilled, '');
+
+    const list = await invoke('turns');
+    assert.deepStrictEqual(list.body.map((turn) => turn.id), [response.body[0].id]);
+});
+
+test('rejects a turn that is not due, unless overridden', async () => {
+    await configure(20);
+    assert.strictEqual((await logTurns([{ date: isoDaysAgo(1), arch: 'top' }])).status, 201);
+
+    const blocked = await logTurns([{ date: isoDaysAgo(0), arch: 'top' }]);
+    assert.strictEqual(blocked.status, 422);
+    assert.strictEqual(blocked.body.reason, 'wait');
+    assert.strictEqual(blocked.body.daysRemaining, 1);
+
+    const overridden = await logTurns([{ date: isoDaysAgo(0), arch: 'top' }], { body: { override: true } });
+    assert.strictEqual(overridden.status, 201);
+    assert.strictEqual(overridden.body[0].override, 'true');
+});
+
+test('rejects duplicates, future dates and malformed turns', async () => {
+    await configure(20);
+    assert.strictEqual((await logTurns([{ date: isoDaysAgo(2), arch: 'top' }])).status, 201);
+    assert.strictEqual((await logTurns([{ date: isoDaysAgo(2), arch: 'top' }])).status, 409);
+    assert.strictEqual((await logTurns([{ date: '2999-01-01', arch: 'top' }])).status, 400);
+    assert.strictEqual((await logTurns([{ date: isoDaysAgo(0), arch: 'middle' }])).status, 400);
+    assert.strictEqual((await logTurns([])).status, 400);
+});
+
+test('backfills count toward the total and keep later turns due', async () => {
+    await configure(3);
+    seed({ ...readStore(), turns: [storedTurn('a', isoDaysAgo(6)), storedTurn('b', isoDaysAgo(4))] });
+
+    const complete = await logTurns([{ date: isoDaysAgo(10), arch: 'top' }]);
+    assert.strictEqual(complete.status, 422);
+    assert.strictEqual(complete.body.reason, 'complete');
+
+    await configure(20);
+    const crowded = await logTurns([{ date: isoDaysAgo(7), arch: 'top' }]);
+    assert.strictEqual(crowded.status, 422);
+    assert.strictEqual(crowded.body.reason, 'wait');
+
+    const backfilled = await logTurns([{ date: isoDaysAgo(8), arch: 'top' }]);
+    assert.strictEqual(backfilled.status, 201, backfilled.body.error);
+    assert.strictEqual(backfilled.body[0].backfilled, 'true');
+});
+
+test('a turn queued offline is not marked backfilled', async () => {
+    await configure(20);
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const response = await logTurns(
+        [{ date: isoDaysAgo(1), arch: 'top', time: '19:30' }],
+        { body: { queuedAt: yesterday.toISOString() } }
+    );
+    assert.strictEqual(response.status, 201, response.body.error);
+    assert.strictEqual(response.body[0].backfilled, '');
+});
+
+test('undo moves the turn to the trash; viewers can do neither', async () => {
+    await configure(20);
+    const logged = await logTurns([{ date: isoDaysAgo(0), arch: 'top' }]);
+    const id = logged.body[0].id;
+
+    assert.strictEqual((await logTurns([{ date: isoDaysAgo(0), arch: 'bottom' }], { as: 'viewer-1' })).status, 403);
+    assert.strictEqual((await invoke('turns', { method: 'DELETE', as: 'viewer-1', query: { id } })).status, 403);
+
+    assert.strictEqual((await invoke('turns', { method: 'DELETE', query: { id } })).status, 200);
+    assert.deepStrictEqual((await invoke('turns')).body, []);
+    assert.strictEqual((await invoke('turns', { method: 'DELETE', query: { id } })).status, 404);
+});